@@ -34,17 +34,29 @@ const upload = multer({
 // Global WebSocket connections storage
 global.wsConnections = new Map();
 
-// WebSocket Server Setup
-const wss = new WebSocket.Server({ server });
+// WebSocket Server Setup - authenticate the upgrade request with an ID token
+const authMiddleware = require('./src/middleware/authMiddleware');
+
+const wss = new WebSocket.Server({
+  server,
+  verifyClient: (info, done) => {
+    authMiddleware.authenticateUpgrade(info.req)
+      .then(user => {
+        if (!user) {
+          return done(false, 401, 'Unauthorized');
+        }
+        info.req.user = user;
+        done(true);
+      })
+      .catch(() => done(false, 401, 'Unauthorized'));
+  }
+});
 
 wss.on('connection', (ws, req) => {
-  const url = new URL(req.url, `http://localhost:${PORT}`);
-  const userId = url.searchParams.get('userId');
+  const userId = req.user.uid;
 
-  if (userId) {
-    global.wsConnections.set(userId, ws);
-    console.log(`🔌 WebSocket connected for user: ${userId}`);
-  }
+  global.wsConnections.set(userId, ws);
+  console.log(`🔌 WebSocket connected for user: ${userId}`);
 
   ws.on('message', async (message) => {
     try {
@@ -65,10 +77,11 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', () => {
-    if (userId) {
+    // Only drop the entry if it still points at this socket
+    if (global.wsConnections.get(userId) === ws) {
       global.wsConnections.delete(userId);
-      console.log(`🔌 WebSocket disconnected for user: ${userId}`);
     }
+    console.log(`🔌 WebSocket disconnected for user: ${userId}`);
   });
 
   ws.on('error', (error) => {
@@ -78,6 +91,16 @@ wss.on('connection', (ws, req) => {
 
 // Import routes
 const apiRoutes = require('./src/routes/index');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+const gmailService = require('./src/services/gmailService');
+const batchService = require('./src/services/batchService');
+const storageService = require('./src/services/storageService');
+
+// Fail at startup, not on the first upload, when production storage is missing
+storageService.getStorage();
+
+// Likewise for a test-only token verifier selected in production
+authMiddleware.getVerifier();
 
 // Health check route (for Cloud Run)
 app.get('/', (req, res) => {
@@ -92,21 +115,8 @@ app.get('/', (req, res) => {
 // API Routes
 app.use('/api', apiRoutes);
 
-// Webhook endpoints (placeholders for now)
-app.post('/webhooks/calendar', (req, res) => {
-  console.log('📅 Calendar webhook received');
-  res.status(200).send('OK');
-});
-
-app.post('/webhooks/gmail', (req, res) => {
-  console.log('📧 Gmail webhook received');
-  res.status(200).send('OK');
-});
-
-app.post('/webhooks/sms', (req, res) => {
-  console.log('📱 SMS webhook received');
-  res.status(200).send('OK');
-});
+// Webhook endpoints
+app.use('/webhooks', webhookRoutes);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -143,6 +153,18 @@ function initializeCronJobs() {
     // Will implement in health analysis task
   });
 
+  // Gmail push notifications expire after 7 days - renew daily at 3 AM
+  cron.schedule('0 3 * * *', () => {
+    console.log('📧 Renewing Gmail watches...');
+    gmailService.renewWatches();
+  });
+
+  // Batches whose instance restarted or crashed mid-way - hourly
+  cron.schedule('15 * * * *', () => {
+    console.log('📦 Expiring stale batches...');
+    batchService.expireStaleBatches();
+  });
+
   // Subscription reminders - daily at 10 AM
   cron.schedule('0 10 * * *', () => {
     console.log('🔔 Checking subscription reminders...');
@@ -161,6 +183,9 @@ server.listen(PORT, () => {
 
   // Initialize background services
   initializeCronJobs();
+
+  // Batches left unfinished by the previous run can't be resumed
+  batchService.expireStaleBatches();
 });
 
 // Graceful shutdown
@@ -1,64 +1,269 @@
 const axios = require('axios');
+const { CircuitBreaker, ConcurrencyLimiter } = require('./resilience');
 
 class GeminiClient {
     constructor() {
         this.apiKey = process.env.GEMINI_API_KEY;
         this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
 
+        // Default per-call timeout; callers can pass their own
+        this.timeout = 30000;
+
+        // Retries on 429/5xx and network errors, with jittered exponential backoff
+        this.maxRetries = parseInt(process.env.GEMINI_MAX_RETRIES) || 3;
+        this.baseDelayMs = 500;
+        this.maxDelayMs = 8000;
+        // A Retry-After longer than this is not waited out
+        this.maxRetryAfterMs = 30000;
+        this.retryableStatuses = [429, 500, 502, 503, 504];
+
+        this.breaker = new CircuitBreaker({
+            name: 'Gemini API',
+            failureThreshold: 5,
+            cooldownMs: 30000
+        });
+        this.limiter = new ConcurrencyLimiter(parseInt(process.env.GEMINI_MAX_CONCURRENCY) || 4);
+
+        // Called with a usage record after every call, successful or not
+        this.usageListeners = [];
+
         // Configure axios client
         this.client = axios.create({
             baseURL: this.baseUrl,
-            timeout: 30000,
+            timeout: this.timeout,
             headers: {
                 'Content-Type': 'application/json'
             }
         });
     }
 
-    // Generic method to call Gemini API
-    async callGemini(contents, model = 'gemini-2.5-flash') {
-        try {
-            if (!this.apiKey) {
-                throw new Error('Gemini API key not found in environment variables');
-            }
+    /**
+     * Generic method to call Gemini API
+     * @param {Object} options - { responseSchema, json, timeout, systemInstruction, caller, userId } a
+     *   responseSchema (OpenAPI subset) constrains the output to matching JSON;
+     *   json alone enables JSON mode; timeout (ms) applies to each attempt;
+     *   systemInstruction is sent apart from the (possibly untrusted) contents;
+     *   caller and userId are attached to the usage record
+     */
+    async callGemini(contents, model = 'gemini-2.5-flash', options = {}) {
+        if (!this.apiKey) {
+            throw new Error('Gemini API key not found in environment variables');
+        }
 
-            const url = `/${model}:generateContent`;
+        const url = `/${model}:generateContent`;
 
-            const requestBody = {
-                contents,
+        const requestBody = {
+            contents,
+        };
+
+        if (options.systemInstruction) {
+            requestBody.systemInstruction = { parts: [{ text: options.systemInstruction }] };
+        }
+
+        if (options.responseSchema || options.json) {
+            requestBody.generationConfig = {
+                responseMimeType: 'application/json',
+                ...(options.responseSchema ? { responseSchema: options.responseSchema } : {})
             };
+        }
 
-            console.log(`🤖 Calling Gemini API with model: ${model}`);
+        const timeout = options.timeout || this.timeout;
+        const startedAt = Date.now();
+        let usageMetadata = null;
+
+        for (let attempt = 0; ; attempt++) {
+            const waitMs = this.breaker.acquire();
+            if (waitMs > 0) {
+                const error = new Error(`Gemini API unavailable: circuit open, retry in ${Math.ceil(waitMs / 1000)}s`);
+                // Calls turned away before any attempt never reached the API
+                if (attempt > 0) {
+                    this.recordUsage(model, options, { startedAt, attempts: attempt, usageMetadata, error });
+                }
+                throw error;
+            }
 
-            const response = await this.client.post(url, requestBody, {
-                params: { key: this.apiKey }
-            });
+            try {
+                console.log(`🤖 Calling Gemini API with model: ${model}${attempt > 0 ? ` (retry ${attempt})` : ''}`);
 
-            if (response.data.error) {
-                throw new Error(`Gemini API error: ${response.data.error.message}`);
+                const response = await this.limiter.run(() => this.client.post(url, requestBody, {
+                    params: { key: this.apiKey },
+                    timeout: timeout
+                }));
+                usageMetadata = response.data?.usageMetadata || null;
+
+                const generatedText = this.getResponseText(response.data);
+                this.breaker.recordSuccess();
+                console.log('✅ Gemini API response received');
+
+                this.recordUsage(model, options, { startedAt, attempts: attempt + 1, usageMetadata });
+                return generatedText;
+
+            } catch (error) {
+                const transient = this.isTransient(error);
+                const delay = transient && attempt < this.maxRetries ? this.getRetryDelay(error, attempt) : null;
+
+                if (delay === null) {
+                    if (transient) {
+                        this.breaker.recordFailure();
+                    } else {
+                        // The service answered; a bad request says nothing about its health
+                        this.breaker.release();
+                    }
+                    throw this.failCall(error, timeout, model, options, { startedAt, attempts: attempt + 1, usageMetadata });
+                }
+
+                // A failed trial call reopens the circuit instead of retrying
+                if (this.breaker.getState().state === 'half_open') {
+                    this.breaker.recordFailure();
+                    throw this.failCall(error, timeout, model, options, { startedAt, attempts: attempt + 1, usageMetadata });
+                }
+
+                this.breaker.release();
+                console.warn(`⏳ Gemini API ${error.response?.status || error.code || 'error'}, retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
+        }
+    }
+
+    getResponseText(data) {
+        if (data.error) {
+            throw new Error(`Gemini API error: ${data.error.message}`);
+        }
+
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        const text = parts.map(part => part.text || '').join('');
+        if (!text) {
+            const reason = data.candidates?.[0]?.finishReason || data.promptFeedback?.blockReason;
+            throw new Error(`No response from Gemini API${reason ? ` (${reason})` : ''}`);
+        }
+
+        return text;
+    }
+
+    /**
+     * Rate limits, server errors, timeouts and dropped connections
+     */
+    isTransient(error) {
+        if (error.response) {
+            return this.retryableStatuses.includes(error.response.status);
+        }
+        return Boolean(error.request) || ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'].includes(error.code);
+    }
+
+    /**
+     * Delay before the next attempt: the server's Retry-After when given,
+     * otherwise full-jitter exponential backoff
+     * @returns {number|null} ms, or null when the server asks for too long a wait
+     */
+    getRetryDelay(error, attempt) {
+        const retryAfter = this.getRetryAfterMs(error.response);
+        if (retryAfter !== null) {
+            return retryAfter <= this.maxRetryAfterMs ? retryAfter : null;
+        }
+
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return Math.round(Math.random() * ceiling);
+    }
+
+    /**
+     * Retry-After header (seconds or HTTP date), or the RetryInfo detail
+     * Gemini puts in 429 bodies ("retryDelay": "17s")
+     */
+    getRetryAfterMs(response) {
+        if (!response) {
+            return null;
+        }
 
-            if (!response.data.candidates || !response.data.candidates[0]) {
-                throw new Error('No response from Gemini API');
+        const header = response.headers?.['retry-after'];
+        if (header) {
+            const seconds = Number(header);
+            if (isFinite(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+            const date = new Date(header).getTime();
+            if (!isNaN(date)) {
+                return Math.max(0, date - Date.now());
             }
+        }
 
-            const generatedText = response.data.candidates[0].content.parts[0].text;
-            console.log('✅ Gemini API response received');
+        const retryInfo = (response.data?.error?.details || [])
+            .find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+        const match = /^([\d.]+)s$/.exec(retryInfo?.retryDelay || '');
 
-            return generatedText;
+        return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+    }
 
-        } catch (error) {
-            if (error.response) {
-                console.error('❌ Gemini API error:', error.response.data);
-                throw new Error(`Gemini API error: ${error.response.data.error?.message || 'Unknown error'}`);
-            } else if (error.request) {
-                console.error('❌ Network error:', error.message);
-                throw new Error('Network error calling Gemini API');
-            } else {
-                console.error('❌ Gemini client error:', error.message);
-                throw error;
+    /**
+     * Record the failed call and convert its error for the caller
+     */
+    failCall(error, timeout, model, options, call) {
+        const clientError = this.toClientError(error, timeout);
+        this.recordUsage(model, options, { ...call, error: clientError });
+        return clientError;
+    }
+
+    /**
+     * Register a listener for usage records:
+     *   { model, caller, user_id, prompt_tokens, output_tokens, total_tokens,
+     *     latency_ms, attempts, success, error, timestamp }
+     * Output tokens include thinking tokens, which are billed as output.
+     */
+    onUsage(listener) {
+        this.usageListeners.push(listener);
+    }
+
+    recordUsage(model, options, { startedAt, attempts, usageMetadata, error = null }) {
+        const promptTokens = usageMetadata?.promptTokenCount || 0;
+        const outputTokens = (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0);
+
+        const record = {
+            model,
+            caller: options.caller || 'other',
+            user_id: options.userId || null,
+            prompt_tokens: promptTokens,
+            output_tokens: outputTokens,
+            total_tokens: usageMetadata?.totalTokenCount || promptTokens + outputTokens,
+            latency_ms: Date.now() - startedAt,
+            attempts,
+            success: !error,
+            error: error ? error.message : null,
+            timestamp: new Date().toISOString()
+        };
+
+        this.usageListeners.forEach(listener => {
+            try {
+                listener(record);
+            } catch (listenerError) {
+                console.error('❌ Gemini usage listener failed:', listenerError.message);
             }
+        });
+    }
+
+    toClientError(error, timeout) {
+        if (error.response) {
+            console.error('❌ Gemini API error:', error.response.data);
+            return new Error(`Gemini API error: ${error.response.data?.error?.message || `HTTP ${error.response.status}`}`);
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            console.error('❌ Gemini API timeout:', error.message);
+            return new Error(`Gemini API timed out after ${timeout}ms`);
         }
+        if (error.request) {
+            console.error('❌ Network error:', error.message);
+            return new Error('Network error calling Gemini API');
+        }
+        console.error('❌ Gemini client error:', error.message);
+        return error;
+    }
+
+    /**
+     * Circuit and queue state, for health checks
+     */
+    getStatus() {
+        return {
+            circuit: this.breaker.getState(),
+            concurrency: this.limiter.getState()
+        };
     }
 }
 
@@ -0,0 +1,111 @@
+/**
+ * Circuit breaker: after `failureThreshold` consecutive failures the circuit
+ * opens and calls fail fast for `cooldownMs`. Then a single trial call is let
+ * through (half-open); its success closes the circuit, its failure reopens it.
+ */
+class CircuitBreaker {
+    constructor({ name, failureThreshold = 5, cooldownMs = 30000 } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * @returns {number} ms until the next call is allowed, 0 if one may go now.
+     * Claims the trial call when the circuit is ready to half-open.
+     */
+    acquire() {
+        if (this.state === 'closed') {
+            return 0;
+        }
+
+        const remaining = this.openedAt + this.cooldownMs - Date.now();
+        if (this.state === 'open' && remaining <= 0) {
+            this.state = 'half_open';
+            console.log(`🔌 ${this.name} circuit half-open, sending a trial call`);
+        }
+
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return 0;
+        }
+
+        return Math.max(remaining, 1);
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`🔌 ${this.name} circuit closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.error(`🔌 ${this.name} circuit open after ${this.failures} failures; failing fast for ${this.cooldownMs / 1000}s`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Calls that ended without a verdict on the service (e.g. a bad request)
+     * give the trial slot back
+     */
+    release() {
+        this.trialInFlight = false;
+    }
+
+    getState() {
+        return { state: this.state, failures: this.failures, opened_at: this.openedAt };
+    }
+}
+
+/**
+ * Caps the number of tasks running at once; the rest wait in FIFO order
+ */
+class ConcurrencyLimiter {
+    constructor(maxConcurrent = 4) {
+        this.maxConcurrent = maxConcurrent;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    async run(task) {
+        if (this.active >= this.maxConcurrent) {
+            await new Promise(resolve => this.queue.push(resolve));
+        } else {
+            this.active++;
+        }
+
+        try {
+            return await task();
+        } finally {
+            const next = this.queue.shift();
+            if (next) {
+                // Hand the slot straight to the next waiter
+                next();
+            } else {
+                this.active--;
+            }
+        }
+    }
+
+    getState() {
+        return { active: this.active, queued: this.queue.length, max_concurrent: this.maxConcurrent };
+    }
+}
+
+module.exports = { CircuitBreaker, ConcurrencyLimiter };
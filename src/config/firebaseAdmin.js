@@ -0,0 +1,67 @@
+const { initializeApp, getApps, cert, applicationDefault } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getStorage } = require('firebase-admin/storage');
+
+class FirebaseAdminConfig {
+    constructor() {
+        this.app = null;
+        this.auth = null;
+        this.storage = null;
+        this.initialized = false;
+    }
+
+    initialize() {
+        try {
+            // Check if Firebase Admin is already initialized
+            if (this.initialized) {
+                return this.auth;
+            }
+
+            const projectId = process.env.FIREBASE_PROJECT_ID;
+            if (!projectId) {
+                throw new Error('FIREBASE_PROJECT_ID not found in environment variables');
+            }
+
+            // Prefer explicit service account credentials, fall back to ADC (Cloud Run)
+            const credential = process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY
+                ? cert({
+                    projectId,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+                })
+                : applicationDefault();
+
+            this.app = getApps()[0] || initializeApp({ credential, projectId });
+            this.auth = getAuth(this.app);
+            this.initialized = true;
+
+            console.log('✅ Firebase Admin initialized successfully');
+            return this.auth;
+
+        } catch (error) {
+            console.error('❌ Firebase Admin initialization error:', error.message);
+            throw new Error(`Failed to initialize Firebase Admin: ${error.message}`);
+        }
+    }
+
+    getAuth() {
+        if (!this.initialized) {
+            return this.initialize();
+        }
+        return this.auth;
+    }
+
+    getStorage() {
+        if (!this.initialized) {
+            this.initialize();
+        }
+        if (!this.storage) {
+            this.storage = getStorage(this.app);
+        }
+        return this.storage;
+    }
+}
+
+// Export singleton instance
+const firebaseAdminConfig = new FirebaseAdminConfig();
+module.exports = firebaseAdminConfig;
@@ -0,0 +1,32 @@
+const usageService = require('../services/usageService');
+const { sendError } = require('../errors');
+
+class AdminController {
+    async getUsage(req, res) {
+        try {
+            const report = await usageService.getReport({
+                startDate: req.query.startDate,
+                endDate: req.query.endDate,
+                userId: req.query.userId
+            });
+
+            return res.json({
+                success: true,
+                message: 'Gemini usage fetched successfully',
+                data: report
+            });
+
+        } catch (error) {
+            console.error('❌ Get usage error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    // ==================== ERROR HANDLING ====================
+
+    handleError(error, res) {
+        return sendError(error, res);
+    }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,127 @@
+const categoryService = require('../services/categoryService');
+const { sendError } = require('../errors');
+
+class CategoryController {
+    async getCategories(req, res) {
+        try {
+            const categories = await categoryService.getUserCategories(req.user.uid);
+
+            return res.json({
+                success: true,
+                message: 'Categories fetched successfully',
+                data: { categories }
+            });
+
+        } catch (error) {
+            console.error('❌ Get categories error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async replaceCategories(req, res) {
+        try {
+            const categories = await categoryService.saveUserCategories(req.user.uid, req.body.categories);
+
+            return res.json({
+                success: true,
+                message: 'Categories updated successfully',
+                data: { categories }
+            });
+
+        } catch (error) {
+            console.error('❌ Replace categories error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async addCategory(req, res) {
+        try {
+            const { id, name, subcategories = [] } = req.body;
+            const categories = await categoryService.addCategory(req.user.uid, { id, name, subcategories });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Category added successfully',
+                data: { categories }
+            });
+
+        } catch (error) {
+            console.error('❌ Add category error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async removeCategory(req, res) {
+        try {
+            const categories = await categoryService.removeCategory(req.user.uid, req.params.categoryId);
+
+            return res.json({
+                success: true,
+                message: 'Category removed successfully',
+                data: { categories }
+            });
+
+        } catch (error) {
+            console.error('❌ Remove category error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async addSubcategory(req, res) {
+        try {
+            const { id, name } = req.body;
+            const categories = await categoryService.addSubcategory(req.user.uid, req.params.categoryId, { id, name });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Subcategory added successfully',
+                data: { categories }
+            });
+
+        } catch (error) {
+            console.error('❌ Add subcategory error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async removeSubcategory(req, res) {
+        try {
+            const { categoryId, subcategoryId } = req.params;
+            const categories = await categoryService.removeSubcategory(req.user.uid, categoryId, subcategoryId);
+
+            return res.json({
+                success: true,
+                message: 'Subcategory removed successfully',
+                data: { categories }
+            });
+
+        } catch (error) {
+            console.error('❌ Remove subcategory error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async resetCategories(req, res) {
+        try {
+            const categories = await categoryService.resetCategories(req.user.uid);
+
+            return res.json({
+                success: true,
+                message: 'Categories reset to defaults',
+                data: { categories }
+            });
+
+        } catch (error) {
+            console.error('❌ Reset categories error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    // ==================== ERROR HANDLING ====================
+
+    handleError(error, res) {
+        return sendError(error, res);
+    }
+}
+
+module.exports = new CategoryController();
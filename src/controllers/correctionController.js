@@ -0,0 +1,60 @@
+const correctionService = require('../services/correctionService');
+const { sendError } = require('../errors');
+
+class CorrectionController {
+    async getCorrections(req, res) {
+        try {
+            const corrections = await correctionService.getUserCorrections(req.user.uid);
+
+            return res.json({
+                success: true,
+                message: 'Learned category mappings fetched successfully',
+                data: { corrections, count: corrections.length }
+            });
+
+        } catch (error) {
+            console.error('❌ Get corrections error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async resetCorrections(req, res) {
+        try {
+            const deletedCount = await correctionService.resetCorrections(req.user.uid);
+
+            return res.json({
+                success: true,
+                message: `Reset ${deletedCount} learned category mappings`,
+                data: { deleted_count: deletedCount }
+            });
+
+        } catch (error) {
+            console.error('❌ Reset corrections error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async deleteCorrection(req, res) {
+        try {
+            await correctionService.deleteCorrection(req.user.uid, req.params.merchantKey);
+
+            return res.json({
+                success: true,
+                message: 'Learned category mapping deleted successfully',
+                data: { merchant_key: req.params.merchantKey }
+            });
+
+        } catch (error) {
+            console.error('❌ Delete correction error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    // ==================== ERROR HANDLING ====================
+
+    handleError(error, res) {
+        return sendError(error, res);
+    }
+}
+
+module.exports = new CorrectionController();
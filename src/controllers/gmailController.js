@@ -0,0 +1,60 @@
+const gmailService = require('../services/gmailService');
+const { sendError } = require('../errors');
+
+class GmailController {
+    async getConnections(req, res) {
+        try {
+            const connections = await gmailService.getUserConnections(req.user.uid);
+
+            return res.json({
+                success: true,
+                message: 'Gmail connections fetched successfully',
+                data: { connections, count: connections.length }
+            });
+
+        } catch (error) {
+            console.error('❌ Get Gmail connections error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async connect(req, res) {
+        try {
+            const connection = await gmailService.connectMailbox(req.user.uid, req.body);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Gmail connected successfully',
+                data: connection
+            });
+
+        } catch (error) {
+            console.error('❌ Gmail connect error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async disconnect(req, res) {
+        try {
+            await gmailService.disconnectMailbox(req.user.uid, req.params.emailAddress);
+
+            return res.json({
+                success: true,
+                message: 'Gmail disconnected successfully',
+                data: { email_address: gmailService.normalizeEmailAddress(req.params.emailAddress) }
+            });
+
+        } catch (error) {
+            console.error('❌ Gmail disconnect error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    // ==================== ERROR HANDLING ====================
+
+    handleError(error, res) {
+        return sendError(error, res);
+    }
+}
+
+module.exports = new GmailController();
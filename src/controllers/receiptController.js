@@ -1,13 +1,28 @@
 const receiptService = require('../services/receiptService');
+const transactionSearchService = require('../services/transactionSearchService');
+const categoryService = require('../services/categoryService');
+const batchService = require('../services/batchService');
+const pdfService = require('../services/pdfService');
+const emailParserService = require('../services/emailParserService');
+const mediaService = require('../services/mediaService');
+const lineItemService = require('../services/lineItemService');
+const { sendError } = require('../errors');
 
 class ReceiptController {
+    constructor() {
+        this.editableTransactionFields = ['merchant', 'amount', 'category', 'subcategory', 'items', 'totals', 'timestamp'];
+
+        // PDF/image attachments extracted from an uploaded .eml
+        this.maxEmailAttachments = 5;
+    }
+
     async processReceipt(req, res) {
         try {
-            // Extract user ID from auth middleware
-            const userId = req.user?.uid || 'demo-user';
+            // User ID is set by the auth middleware
+            const userId = req.user.uid;
             
             // Validate request
-            const validation = this.validateReceiptRequest(req);
+            const validation = await this.validateReceiptRequest(req);
             if (!validation.isValid) {
                 return res.status(400).json({
                     success: false,
@@ -55,10 +70,11 @@ class ReceiptController {
 
     async getUserTransactions(req, res) {
         try {
-            const userId = req.user?.uid || 'demo-user';
+            const userId = req.user.uid;
             
             // Validate query parameters
-            const filters = this.validateAndParseFilters(req.query);
+            const categories = await categoryService.getUserCategories(userId);
+            const filters = this.validateAndParseFilters(req.query, categories);
             
             const result = await receiptService.getUserTransactions(userId, filters);
             
@@ -76,7 +92,7 @@ class ReceiptController {
 
     async getSpendingAnalytics(req, res) {
         try {
-            const userId = req.user?.uid || 'demo-user';
+            const userId = req.user.uid;
             const days = this.validateDaysParameter(req.query.days);
             
             const result = await receiptService.getSpendingAnalytics(userId, days);
@@ -93,42 +109,266 @@ class ReceiptController {
         }
     }
 
+    async processBatch(req, res) {
+        try {
+            const userId = req.user.uid;
+
+            const { errors, items } = await this.prepareBatchItems(req);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors
+                });
+            }
+
+            const batch = await batchService.createBatch(userId, items);
+
+            return res.status(202).json({
+                success: true,
+                message: `Batch queued with ${batch.total} items`,
+                data: batch
+            });
+
+        } catch (error) {
+            console.error('❌ Batch processing error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    /**
+     * Reject batch uploads over the total size limit before they are buffered.
+     * Node never reads past Content-Length, so requests must declare it.
+     */
+    limitBatchRequest(req, res, next) {
+        const length = parseInt(req.headers['content-length']);
+        const maxMB = batchService.maxRequestSize / (1024 * 1024);
+
+        if (!length) {
+            return res.status(411).json({
+                success: false,
+                error: 'length_required',
+                message: `Batch uploads must declare Content-Length (at most ${maxMB}MB)`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (length > batchService.maxRequestSize) {
+            return res.status(413).json({
+                success: false,
+                error: 'payload_too_large',
+                message: `A batch upload can be at most ${maxMB}MB`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        next();
+    }
+
+    /**
+     * Multer rejects uploads with too many files, unexpected fields or files
+     * over the size limit; anything else goes on to the server's handler
+     */
+    handleUploadError(error, res, next) {
+        if (error.name !== 'MulterError') {
+            return next(error);
+        }
+
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        const message = {
+            LIMIT_FILE_SIZE: `Files can be at most ${mediaService.maxFileSize / (1024 * 1024)}MB`,
+            LIMIT_FILE_COUNT: 'Too many files in one upload',
+            LIMIT_UNEXPECTED_FILE: `Unexpected or too many files in field "${error.field}"`
+        }[error.code] || error.message;
+
+        return res.status(tooLarge ? 413 : 400).json({
+            success: false,
+            error: tooLarge ? 'payload_too_large' : 'validation_error',
+            message: message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    async getBatch(req, res) {
+        try {
+            const batch = await batchService.getBatch(req.user.uid, req.params.batchId);
+
+            return res.json({
+                success: true,
+                message: 'Batch status fetched successfully',
+                data: batch
+            });
+
+        } catch (error) {
+            console.error('❌ Get batch error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async createManualTransaction(req, res) {
+        try {
+            const userId = req.user.uid;
+
+            const categories = await categoryService.loadUserCategories(userId);
+            const validation = this.validateManualTransaction(req.body, categories);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const result = await receiptService.createManualTransaction(validation.transaction, userId);
+
+            return res.status(result.action_type === 'expense_created' ? 201 : 200).json({
+                success: true,
+                message: this.getSuccessMessage(result.action_type),
+                data: result
+            });
+
+        } catch (error) {
+            console.error('❌ Manual transaction error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async getTransaction(req, res) {
+        try {
+            const userId = req.user.uid;
+            const transaction = await receiptService.getTransaction(req.params.id, userId);
+
+            return res.json({
+                success: true,
+                message: 'Transaction fetched successfully',
+                data: transaction
+            });
+
+        } catch (error) {
+            console.error('❌ Get transaction error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async getTransactionSource(req, res) {
+        try {
+            const userId = req.user.uid;
+            if (!/^\d+$/.test(req.params.index)) {
+                throw new Error('Validation failed: source index must be a non-negative integer');
+            }
+
+            const file = await receiptService.getTransactionSourceFile(req.params.id, parseInt(req.params.index, 10), userId);
+
+            res.set('Content-Type', file.contentType);
+            // Served inline, so browsers must not second-guess the type
+            res.set('X-Content-Type-Options', 'nosniff');
+            res.set('Content-Disposition', `inline; filename="${file.name.replace(/["\\\r\n]/g, '_')}"`);
+            res.set('Cache-Control', 'private, max-age=3600');
+            return res.send(file.content);
+
+        } catch (error) {
+            console.error('❌ Get transaction source error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async updateTransaction(req, res) {
+        try {
+            const userId = req.user.uid;
+
+            const categories = await categoryService.loadUserCategories(userId);
+            const validation = this.validateTransactionUpdate(req.body, categories);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const transaction = await receiptService.updateTransaction(req.params.id, userId, validation.updates);
+
+            return res.json({
+                success: true,
+                message: 'Transaction updated successfully',
+                data: transaction
+            });
+
+        } catch (error) {
+            console.error('❌ Update transaction error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async deleteTransaction(req, res) {
+        try {
+            const userId = req.user.uid;
+            await receiptService.deleteTransaction(req.params.id, userId);
+
+            return res.json({
+                success: true,
+                message: 'Transaction deleted successfully',
+                data: { transaction_id: req.params.id }
+            });
+
+        } catch (error) {
+            console.error('❌ Delete transaction error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async restoreTransaction(req, res) {
+        try {
+            const userId = req.user.uid;
+            const transaction = await receiptService.restoreTransaction(req.params.id, userId);
+
+            return res.json({
+                success: true,
+                message: 'Transaction restored successfully',
+                data: transaction
+            });
+
+        } catch (error) {
+            console.error('❌ Restore transaction error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
     // ==================== VALIDATION METHODS ====================
     
-    validateReceiptRequest(req) {
+    async validateReceiptRequest(req) {
         const errors = [];
         const { type } = req.body;
 
         // Validate receipt type
-        const validTypes = ['image', 'audio', 'text', 'email'];
+        const validTypes = ['image', 'audio', 'pdf', 'text', 'email', 'sms'];
         if (!type) {
             errors.push('Receipt type is required');
         } else if (!validTypes.includes(type)) {
             errors.push(`Invalid receipt type. Supported types: ${validTypes.join(', ')}`);
         }
 
-        // Type-specific validation
-        if (type === 'image' || type === 'audio') {
+        // Type-specific validation; file types are checked by content
+        if (type === 'image' || type === 'audio' || type === 'pdf' || (type === 'email' && req.file)) {
             if (!req.file) {
                 errors.push(`${type} file is required`);
             } else {
-                // File size validation (10MB limit)
-                if (req.file.size > 10 * 1024 * 1024) {
-                    errors.push('File size must be less than 10MB');
+                const inspection = mediaService.inspectUpload(req.file, type);
+                const fileError = inspection.error || (type === 'pdf' ? await pdfService.validatePdf(req.file.buffer) : null);
+                if (fileError) {
+                    errors.push(fileError);
                 }
+            }
+        }
 
-                // File type validation
-                if (type === 'image') {
-                    const validImageTypes = ['image/jpeg', 'image/png', 'image/jpg'];
-                    if (!validImageTypes.includes(req.file.mimetype)) {
-                        errors.push('Invalid image format. Supported: JPEG, PNG');
-                    }
-                } else if (type === 'audio') {
-                    const validAudioTypes = ['audio/mp3', 'audio/wav', 'audio/m4a', 'audio/mpeg'];
-                    if (!validAudioTypes.includes(req.file.mimetype)) {
-                        errors.push('Invalid audio format. Supported: MP3, WAV, M4A');
-                    }
-                }
+        if (type === 'email' && !req.file && (!req.body.data || typeof req.body.data !== 'object')) {
+            errors.push('Email data or an .eml file is required');
+        }
+
+        if (type === 'sms') {
+            const smsError = this.validateSms(req.body.data);
+            if (smsError) {
+                errors.push(smsError);
             }
         }
 
@@ -149,14 +389,227 @@ class ReceiptController {
         };
     }
 
-    validateAndParseFilters(query) {
+    validateTransactionUpdate(body = {}, categories) {
+        const { errors, fields } = this.validateTransactionFields(body, this.editableTransactionFields, categories);
+
+        if (errors.length === 0 && Object.keys(fields).length === 0) {
+            errors.push(`At least one field is required: ${this.editableTransactionFields.join(', ')}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            updates: fields
+        };
+    }
+
+    validateManualTransaction(body = {}, categories) {
+        const allowedFields = [...this.editableTransactionFields, 'currency', 'location'];
+        const { errors, fields } = this.validateTransactionFields(body, allowedFields, categories);
+
+        ['merchant', 'amount', 'category'].forEach(field => {
+            if (body[field] === undefined || body[field] === null) {
+                errors.push(`${field} is required`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            transaction: fields
+        };
+    }
+
+    validateTransactionFields(body, allowedFields, categories = categoryService.getDefaultCategories()) {
+        const errors = [];
+        const updates = {};
+
+        const unknownFields = Object.keys(body).filter(field => !allowedFields.includes(field));
+        if (unknownFields.length > 0) {
+            errors.push(`Unsupported fields: ${unknownFields.join(', ')}`);
+        }
+
+        if (body.merchant !== undefined) {
+            if (typeof body.merchant !== 'string' || body.merchant.trim().length === 0) {
+                errors.push('Merchant must be a non-empty string');
+            } else if (body.merchant.length > 200) {
+                errors.push('Merchant must be less than 200 characters');
+            } else {
+                updates.merchant = body.merchant.trim();
+            }
+        }
+
+        if (body.amount !== undefined) {
+            if (typeof body.amount !== 'number' || !isFinite(body.amount) || body.amount <= 0) {
+                errors.push('Amount must be a positive number');
+            } else {
+                updates.amount = body.amount;
+            }
+        }
+
+        // Categories are checked against the user's tree; changing the
+        // category without a subcategory clears the old subcategory
+        if (body.category !== undefined || body.subcategory !== undefined) {
+            if (body.category === undefined) {
+                errors.push('category is required when setting subcategory');
+            } else {
+                const categoryError = categoryService.validateCategory(categories, body.category, body.subcategory);
+                if (categoryError) {
+                    errors.push(categoryError);
+                } else {
+                    updates.category = body.category;
+                    updates.subcategory = body.subcategory || null;
+                }
+            }
+        }
+
+        if (body.items !== undefined) {
+            const itemErrors = this.validateItems(body.items, categories);
+            if (itemErrors.length > 0) {
+                errors.push(...itemErrors);
+            } else {
+                updates.items = lineItemService.normalizeItems(body.items);
+            }
+        }
+
+        if (body.totals !== undefined) {
+            const totalsErrors = this.validateTotals(body.totals);
+            if (totalsErrors.length > 0) {
+                errors.push(...totalsErrors);
+            } else {
+                updates.totals = lineItemService.normalizeTotals(body.totals);
+            }
+        }
+
+        if (body.timestamp !== undefined) {
+            const timestamp = new Date(body.timestamp);
+            if (typeof body.timestamp !== 'string' || isNaN(timestamp.getTime())) {
+                errors.push('Timestamp must be a valid ISO date string');
+            } else {
+                updates.timestamp = timestamp.toISOString();
+            }
+        }
+
+        if (body.currency !== undefined) {
+            if (typeof body.currency !== 'string' || !/^[A-Za-z]{3}$/.test(body.currency)) {
+                errors.push('Currency must be a 3-letter ISO code');
+            } else {
+                updates.currency = body.currency.toUpperCase();
+            }
+        }
+
+        if (body.location !== undefined) {
+            if (body.location !== null && typeof body.location !== 'string' && typeof body.location !== 'object') {
+                errors.push('Location must be a string or an object');
+            } else {
+                updates.location = body.location;
+            }
+        }
+
+        return {
+            errors: errors,
+            fields: updates
+        };
+    }
+
+    validateItems(items, categories = categoryService.getDefaultCategories()) {
+        const errors = [];
+
+        if (!Array.isArray(items)) {
+            return ['Items must be an array'];
+        }
+        if (items.length > lineItemService.maxItems) {
+            return [`At most ${lineItemService.maxItems} items are allowed`];
+        }
+
+        items.forEach((item, index) => {
+            if (!item || typeof item !== 'object') {
+                errors.push(`Item ${index + 1} must be an object`);
+                return;
+            }
+            if (typeof item.name !== 'string' || item.name.trim().length === 0) {
+                errors.push(`Item ${index + 1} name is required`);
+            }
+            if (item.quantity !== undefined && (typeof item.quantity !== 'number' || item.quantity <= 0)) {
+                errors.push(`Item ${index + 1} quantity must be a positive number`);
+            }
+            ['price', 'unit_price', 'discount'].forEach(field => {
+                if (item[field] !== undefined && item[field] !== null && (typeof item[field] !== 'number' || item[field] < 0)) {
+                    errors.push(`Item ${index + 1} ${field} must be a non-negative number`);
+                }
+            });
+            if (item.taxes !== undefined) {
+                errors.push(...this.validateTaxes(item.taxes, `Item ${index + 1} taxes`));
+            }
+            if (item.category !== undefined && item.category !== null) {
+                const categoryError = categoryService.validateCategory(categories, item.category, item.subcategory);
+                if (categoryError) {
+                    errors.push(`Item ${index + 1}: ${categoryError}`);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    validateTotals(totals) {
+        if (totals === null) {
+            return [];
+        }
+        if (typeof totals !== 'object' || Array.isArray(totals)) {
+            return ['Totals must be an object'];
+        }
+
+        const errors = [];
+        ['subtotal', 'discount', 'tax_total', 'tip', 'service_charge'].forEach(field => {
+            if (totals[field] !== undefined && totals[field] !== null && (typeof totals[field] !== 'number' || totals[field] < 0)) {
+                errors.push(`Totals ${field} must be a non-negative number`);
+            }
+        });
+        if (totals.round_off !== undefined && totals.round_off !== null && (typeof totals.round_off !== 'number' || !isFinite(totals.round_off))) {
+            errors.push('Totals round_off must be a number');
+        }
+        if (totals.prices_include_tax !== undefined && typeof totals.prices_include_tax !== 'boolean') {
+            errors.push('Totals prices_include_tax must be a boolean');
+        }
+        if (totals.taxes !== undefined) {
+            errors.push(...this.validateTaxes(totals.taxes, 'Totals taxes'));
+        }
+
+        return errors;
+    }
+
+    validateTaxes(taxes, label) {
+        if (!Array.isArray(taxes)) {
+            return [`${label} must be an array`];
+        }
+
+        const errors = [];
+        taxes.forEach((tax, index) => {
+            if (!tax || typeof tax !== 'object' || typeof tax.name !== 'string' || tax.name.trim().length === 0) {
+                errors.push(`${label} ${index + 1} name is required`);
+                return;
+            }
+            ['rate', 'amount'].forEach(field => {
+                if (tax[field] !== undefined && tax[field] !== null && (typeof tax[field] !== 'number' || tax[field] < 0)) {
+                    errors.push(`${label} ${index + 1} ${field} must be a non-negative number`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    validateAndParseFilters(query, categories = categoryService.getDefaultCategories()) {
         const filters = {};
         
         // Category filter
         if (query.category) {
-            const validCategories = ['food', 'shopping', 'transport', 'entertainment', 'other'];
-            if (validCategories.includes(query.category)) {
+            if (!categoryService.validateCategory(categories, query.category, query.subcategory)) {
                 filters.category = query.category;
+                if (query.subcategory) {
+                    filters.subcategory = query.subcategory;
+                }
             }
         }
 
@@ -175,7 +628,69 @@ class ReceiptController {
             }
         }
 
-        // Limit filter
+        // Merchant, item and free-text search (case-insensitive partial match)
+        ['merchant', 'item', 'q'].forEach(key => {
+            if (typeof query[key] === 'string' && query[key].trim().length > 0) {
+                filters[key] = query[key].trim().slice(0, 100);
+            }
+        });
+
+        // Amount range
+        ['minAmount', 'maxAmount'].forEach(key => {
+            if (query[key] !== undefined) {
+                const amount = parseFloat(query[key]);
+                if (isNaN(amount) || amount < 0) {
+                    throw new Error(`Validation failed: ${key} must be a non-negative number`);
+                }
+                filters[key] = amount;
+            }
+        });
+
+        if (filters.minAmount !== undefined && filters.maxAmount !== undefined && filters.minAmount > filters.maxAmount) {
+            throw new Error('Validation failed: minAmount cannot be greater than maxAmount');
+        }
+
+        // Currency filter
+        if (query.currency) {
+            if (!/^[A-Za-z]{3}$/.test(query.currency)) {
+                throw new Error('Validation failed: currency must be a 3-letter ISO code');
+            }
+            filters.currency = query.currency.toUpperCase();
+        }
+
+        // Input source filter (matches any entry in sources[].input_type)
+        if (query.source) {
+            if (!/^[a-z_]+$/.test(query.source)) {
+                throw new Error('Validation failed: invalid source type');
+            }
+            filters.source = query.source;
+        }
+
+        // Wallet pass presence
+        if (query.hasWalletPass !== undefined) {
+            if (!['true', 'false'].includes(query.hasWalletPass)) {
+                throw new Error('Validation failed: hasWalletPass must be true or false');
+            }
+            filters.hasWalletPass = query.hasWalletPass === 'true';
+        }
+
+        // Sort order
+        if (query.sort) {
+            if (!transactionSearchService.sortOptions.includes(query.sort)) {
+                throw new Error(`Validation failed: sort must be one of ${transactionSearchService.sortOptions.join(', ')}`);
+            }
+            filters.sort = query.sort;
+        }
+
+        // Pagination cursor (opaque token returned as next_cursor)
+        if (query.cursor) {
+            if (typeof query.cursor !== 'string' || query.cursor.length > 500) {
+                throw new Error('Validation failed: invalid cursor');
+            }
+            filters.cursor = query.cursor;
+        }
+
+        // Limit filter (page size)
         if (query.limit) {
             const limit = parseInt(query.limit);
             if (!isNaN(limit) && limit > 0 && limit <= 100) {
@@ -210,21 +725,9 @@ class ReceiptController {
         
         switch (type) {
             case 'image':
-                data = {
-                    base64: req.file.buffer.toString('base64'),
-                    mimeType: req.file.mimetype,
-                    size: req.file.size,
-                    originalName: req.file.originalname
-                };
-                break;
-                
             case 'audio':
-                data = {
-                    base64: req.file.buffer.toString('base64'),
-                    mimeType: req.file.mimetype,
-                    size: req.file.size,
-                    originalName: req.file.originalname
-                };
+            case 'pdf':
+                data = await this.buildFileData(req.file, type);
                 break;
                 
             case 'text':
@@ -232,7 +735,11 @@ class ReceiptController {
                 break;
                 
             case 'email':
-                data = req.body.data;
+                data = req.file ? await this.buildEmailData(req.file) : this.buildJsonEmailData(req.body.data);
+                break;
+
+            case 'sms':
+                data = this.buildSmsData(req.body.data);
                 break;
                 
             default:
@@ -246,38 +753,253 @@ class ReceiptController {
                 ...metadata,
                 location: metadata.location || null,
                 timestamp: metadata.timestamp || new Date().toISOString(),
-                uri: null // Could be set if file is stored
+                uri: null // Set once the upload is stored
+            },
+            upload: req.file ? this.buildUpload(req.file) : null
+        };
+    }
+
+    /**
+     * Original file, stored by receiptService once it backs a transaction
+     */
+    buildUpload(file) {
+        const detected = mediaService.detectFileType(file.buffer);
+        return {
+            buffer: file.buffer,
+            mimeType: detected ? detected.mimeType : file.mimetype,
+            name: file.originalname
+        };
+    }
+
+    /**
+     * Base64 payload for the model. Images are normalized first and may
+     * yield several frames; `base64`/`mimeType` hold the first one. PDFs
+     * without a text layer also get `pages`, their pages rendered as images.
+     */
+    async buildFileData(file, type) {
+        const detected = mediaService.detectFileType(file.buffer);
+        const data = {
+            mimeType: detected ? detected.mimeType : file.mimetype,
+            size: file.size,
+            originalName: file.originalname
+        };
+
+        if (type === 'image') {
+            const image = await mediaService.normalizeImage(file.buffer, data.mimeType);
+            data.frames = image.frames;
+            data.base64 = image.frames[0].base64;
+            data.mimeType = image.frames[0].mimeType;
+        } else {
+            data.base64 = file.buffer.toString('base64');
+        }
+
+        if (type === 'pdf') {
+            data.pageCount = (await pdfService.getDocumentInfo(file.buffer)).page_count;
+            data.text = await pdfService.extractText(file.buffer);
+
+            // Without a text layer the model gets the pages as images rendered here
+            if (!data.text && data.pageCount <= pdfService.maxRasterPages) {
+                try {
+                    data.pages = await pdfService.renderPages(file.buffer);
+                } catch (error) {
+                    console.error('❌ PDF rendering failed, sending the document:', error.message);
+                }
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Parse an uploaded .eml into { subject, sender, body, attachments }.
+     * PDF and image attachments are kept for extraction; others are dropped.
+     */
+    async buildEmailData(file) {
+        const email = emailParserService.parse(file.buffer);
+
+        if (!email.subject && !email.body) {
+            throw new Error('Validation failed: email file has no readable content');
+        }
+
+        const attachments = [];
+        for (const attachment of email.attachments) {
+            if (attachments.length >= this.maxEmailAttachments) {
+                break;
             }
+
+            // Mail clients often mislabel attachments (e.g. application/octet-stream)
+            const detected = mediaService.detectFileType(attachment.content);
+            const isPdf = detected?.type === 'pdf' && !(await pdfService.validatePdf(attachment.content));
+            if (detected?.type !== 'image' && !isPdf) {
+                continue;
+            }
+
+            const attachmentFile = {
+                buffer: attachment.content,
+                mimetype: detected.mimeType,
+                size: attachment.size,
+                originalname: attachment.filename || 'attachment'
+            };
+
+            try {
+                attachments.push({
+                    type: detected.type,
+                    name: attachmentFile.originalname,
+                    data: await this.buildFileData(attachmentFile, detected.type),
+                    upload: this.buildUpload(attachmentFile)
+                });
+            } catch (error) {
+                console.error(`❌ Skipping attachment ${attachmentFile.originalname}:`, error.message);
+            }
+        }
+
+        return {
+            subject: email.subject,
+            sender: email.sender,
+            body: email.body,
+            attachments: attachments
         };
     }
 
+    /**
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateSms(data) {
+        if (!data || typeof data !== 'object' || typeof data.message !== 'string' || data.message.trim().length === 0) {
+            return 'SMS data with a message is required';
+        }
+        if (data.message.length > 1000) {
+            return 'SMS message must be less than 1000 characters';
+        }
+        if (data.sender !== undefined && data.sender !== null && typeof data.sender !== 'string') {
+            return 'SMS sender must be a string';
+        }
+        return null;
+    }
+
+    /**
+     * Email sent as JSON: only the text fields are kept. Attachments are
+     * built by buildEmailData from a parsed .eml upload, never taken from the client.
+     */
+    buildJsonEmailData(data) {
+        return {
+            subject: typeof data.subject === 'string' ? data.subject : '',
+            sender: typeof data.sender === 'string' ? data.sender : '',
+            body: String(data.body || '')
+        };
+    }
+
+    buildSmsData(data) {
+        return {
+            message: data.message.trim(),
+            sender: data.sender || null
+        };
+    }
+
+    buildMetadata(metadata = {}) {
+        return {
+            ...metadata,
+            location: metadata.location || null,
+            timestamp: metadata.timestamp || new Date().toISOString(),
+            uri: null
+        };
+    }
+
+    /**
+     * Turn uploaded files and text/email/SMS entries into batch items. File
+     * types are detected from their content and checked here; files are
+     * decoded and encoded for the model only when their item is processed.
+     */
+    async prepareBatchItems(req) {
+        const errors = [];
+        const items = [];
+
+        for (const [index, file] of (req.files || []).entries()) {
+            const inspection = mediaService.inspectUpload(file);
+            const type = inspection.type;
+            const fileError = inspection.error || (type === 'pdf' ? await pdfService.validatePdf(file.buffer) : null);
+
+            if (fileError) {
+                errors.push(`File ${index + 1} (${file.originalname}): ${fileError}`);
+                continue;
+            }
+
+            const metadata = this.buildMetadata();
+            items.push({
+                type: type,
+                name: file.originalname,
+                prepareInput: async () => ({
+                    type: type,
+                    data: type === 'email' ? await this.buildEmailData(file) : await this.buildFileData(file, type),
+                    metadata: metadata,
+                    upload: this.buildUpload(file)
+                })
+            });
+        }
+
+        let entries = req.body.entries || [];
+        if (typeof entries === 'string') {
+            try {
+                entries = JSON.parse(entries);
+            } catch (error) {
+                errors.push('entries must be a JSON array');
+                entries = [];
+            }
+        }
+
+        if (!Array.isArray(entries)) {
+            errors.push('entries must be an array');
+            entries = [];
+        }
+
+        entries.forEach((entry, index) => {
+            const label = `Entry ${index + 1}`;
+
+            if (entry?.type === 'text') {
+                if (typeof entry.text !== 'string' || entry.text.trim().length === 0) {
+                    errors.push(`${label}: text is required`);
+                } else if (entry.text.length > 1000) {
+                    errors.push(`${label}: text must be less than 1000 characters`);
+                } else {
+                    items.push({
+                        type: 'text',
+                        name: null,
+                        inputData: { type: 'text', data: entry.text.trim(), metadata: this.buildMetadata(entry.metadata) }
+                    });
+                }
+            } else if (entry?.type === 'email') {
+                if (!entry.data || typeof entry.data !== 'object' || !entry.data.body) {
+                    errors.push(`${label}: email data with subject, sender and body is required`);
+                } else {
+                    items.push({
+                        type: 'email',
+                        name: entry.data.subject || null,
+                        inputData: { type: 'email', data: this.buildJsonEmailData(entry.data), metadata: this.buildMetadata(entry.metadata) }
+                    });
+                }
+            } else if (entry?.type === 'sms') {
+                const smsError = this.validateSms(entry.data);
+                if (smsError) {
+                    errors.push(`${label}: ${smsError}`);
+                } else {
+                    items.push({
+                        type: 'sms',
+                        name: entry.data.sender || null,
+                        inputData: { type: 'sms', data: this.buildSmsData(entry.data), metadata: this.buildMetadata(entry.metadata) }
+                    });
+                }
+            } else {
+                errors.push(`${label}: type must be text, email or sms`);
+            }
+        });
+
+        return { errors, items };
+    }
+
     // ==================== ERROR HANDLING ====================
     
     handleError(error, res) {
-        // Determine error type and status code
-        let statusCode = 500;
-        let errorType = 'internal_error';
-
-        if (error.message.includes('Validation')) {
-            statusCode = 400;
-            errorType = 'validation_error';
-        } else if (error.message.includes('not found')) {
-            statusCode = 404;
-            errorType = 'not_found';
-        } else if (error.message.includes('Unauthorized')) {
-            statusCode = 401;
-            errorType = 'unauthorized';
-        } else if (error.message.includes('Gemini API')) {
-            statusCode = 503;
-            errorType = 'service_unavailable';
-        }
-
-        return res.status(statusCode).json({
-            success: false,
-            error: errorType,
-            message: error.message,
-            timestamp: new Date().toISOString()
-        });
+        return sendError(error, res);
     }
 
     // ==================== HELPER METHODS ====================
@@ -285,6 +1007,7 @@ class ReceiptController {
     getSuccessMessage(actionType) {
         const messages = {
             'expense_created': 'Receipt processed and expense created successfully',
+            'expense_merged': 'Expense merged with an existing transaction',
             'no_expense': 'Input processed but no expense detected',
             'deletion': 'Deletion request processed successfully',
             'query': 'Query processed successfully'
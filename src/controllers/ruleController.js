@@ -0,0 +1,113 @@
+const ruleService = require('../services/ruleService');
+const { sendError } = require('../errors');
+
+class RuleController {
+    async getRules(req, res) {
+        try {
+            const rules = await ruleService.getUserRules(req.user.uid);
+
+            return res.json({
+                success: true,
+                message: 'Rules fetched successfully',
+                data: { rules, count: rules.length }
+            });
+
+        } catch (error) {
+            console.error('❌ Get rules error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async getRule(req, res) {
+        try {
+            const rule = await ruleService.getRule(req.user.uid, req.params.id);
+
+            return res.json({
+                success: true,
+                message: 'Rule fetched successfully',
+                data: rule
+            });
+
+        } catch (error) {
+            console.error('❌ Get rule error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async createRule(req, res) {
+        try {
+            const rule = await ruleService.createRule(req.user.uid, req.body);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Rule created successfully',
+                data: rule
+            });
+
+        } catch (error) {
+            console.error('❌ Create rule error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async updateRule(req, res) {
+        try {
+            const rule = await ruleService.updateRule(req.user.uid, req.params.id, req.body);
+
+            return res.json({
+                success: true,
+                message: 'Rule updated successfully',
+                data: rule
+            });
+
+        } catch (error) {
+            console.error('❌ Update rule error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async deleteRule(req, res) {
+        try {
+            await ruleService.deleteRule(req.user.uid, req.params.id);
+
+            return res.json({
+                success: true,
+                message: 'Rule deleted successfully',
+                data: { rule_id: req.params.id }
+            });
+
+        } catch (error) {
+            console.error('❌ Delete rule error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    async applyRule(req, res) {
+        try {
+            const result = await ruleService.applyRuleToExistingTransactions(req.user.uid, req.params.id, {
+                dryRun: req.body.dry_run === true,
+                includeEdited: req.body.include_edited === true
+            });
+
+            return res.json({
+                success: true,
+                message: result.dry_run
+                    ? `Rule would update ${result.updated_count} transactions`
+                    : `Rule applied to ${result.updated_count} transactions`,
+                data: result
+            });
+
+        } catch (error) {
+            console.error('❌ Apply rule error:', error.message);
+            return this.handleError(error, res);
+        }
+    }
+
+    // ==================== ERROR HANDLING ====================
+
+    handleError(error, res) {
+        return sendError(error, res);
+    }
+}
+
+module.exports = new RuleController();
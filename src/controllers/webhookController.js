@@ -0,0 +1,96 @@
+const receiptService = require('../services/receiptService');
+const gmailService = require('../services/gmailService');
+const receiptController = require('./receiptController');
+
+class WebhookController {
+    /**
+     * Transaction SMS forwarded from the user's phone by an SMS gateway app.
+     * Body: { message, sender, received_at }
+     */
+    async handleSms(req, res) {
+        try {
+            const userId = req.user.uid;
+            console.log(`📱 SMS webhook received for user: ${userId}`);
+
+            const smsError = receiptController.validateSms(req.body);
+            if (smsError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: [smsError]
+                });
+            }
+
+            const receivedAt = req.body.received_at && !isNaN(new Date(req.body.received_at).getTime())
+                ? new Date(req.body.received_at).toISOString()
+                : new Date().toISOString();
+
+            const inputData = {
+                type: 'sms',
+                data: receiptController.buildSmsData(req.body),
+                metadata: {
+                    source: 'sms_webhook',
+                    location: null,
+                    timestamp: receivedAt,
+                    uri: null
+                }
+            };
+
+            const result = await receiptService.processReceipt(inputData, userId);
+
+            return res.json({
+                success: true,
+                message: receiptController.getSuccessMessage(result.action_type),
+                data: {
+                    action_type: result.action_type,
+                    transaction_id: result.transaction_id || null
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ SMS webhook error:', error.message);
+            return receiptController.handleError(error, res);
+        }
+    }
+
+    /**
+     * Gmail push notification delivered by Pub/Sub. The notification is
+     * acknowledged right away and the new messages are processed in the
+     * background; unprocessed messages are picked up by the next one.
+     */
+    async handleGmail(req, res) {
+        try {
+            const verified = await gmailService.verifyPushRequest(req.headers.authorization);
+            if (!verified) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'unauthorized',
+                    message: 'Unauthorized: invalid Pub/Sub push token',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const notification = gmailService.decodeNotification(req.body);
+            console.log(`📧 Gmail webhook received for ${notification.emailAddress} (history ${notification.historyId})`);
+
+            gmailService.handleNotification(notification).catch(error => {
+                console.error('❌ Gmail notification processing error:', error.message);
+            });
+
+            return res.status(202).json({
+                success: true,
+                message: 'Gmail notification accepted',
+                data: {
+                    email_address: notification.emailAddress,
+                    history_id: notification.historyId
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Gmail webhook error:', error.message);
+            return receiptController.handleError(error, res);
+        }
+    }
+}
+
+module.exports = new WebhookController();
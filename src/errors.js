@@ -0,0 +1,65 @@
+/**
+ * Error classes shared across services, and the mapping from errors to
+ * HTTP responses used by every controller.
+ */
+
+/**
+ * A user's daily Gemini quota is used up. retryAfter is when it resets.
+ */
+class QuotaExceededError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'QuotaExceededError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * The error itself or the first of its causes that is an ErrorClass.
+ * Services wrap errors as `Failed to X: ...` with the original as `cause`.
+ * @returns {Error|null}
+ */
+function findError(error, ErrorClass) {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof ErrorClass) {
+            return current;
+        }
+    }
+    return null;
+}
+
+/**
+ * Send the error response for an error thrown while handling a request
+ */
+function sendError(error, res) {
+    let statusCode = 500;
+    let errorType = 'internal_error';
+
+    const quotaError = findError(error, QuotaExceededError);
+    if (quotaError) {
+        statusCode = 429;
+        errorType = 'quota_exceeded';
+        res.set('Retry-After', String(Math.max(0, Math.ceil((quotaError.retryAfter - Date.now()) / 1000))));
+    } else if (error.message.includes('Validation')) {
+        statusCode = 400;
+        errorType = 'validation_error';
+    } else if (error.message.includes('not found')) {
+        statusCode = 404;
+        errorType = 'not_found';
+    } else if (error.message.includes('Unauthorized')) {
+        statusCode = 401;
+        errorType = 'unauthorized';
+    } else if (error.message.includes('Gemini API')) {
+        statusCode = 503;
+        errorType = 'service_unavailable';
+    }
+
+    return res.status(statusCode).json({
+        success: false,
+        error: errorType,
+        message: error.message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+module.exports = { QuotaExceededError, findError, sendError };
@@ -0,0 +1,155 @@
+const jwt = require('jsonwebtoken');
+const firebaseAdminConfig = require('../config/firebaseAdmin');
+
+class AuthMiddleware {
+    constructor() {
+        // Token verifier: async (token) => decoded claims. Swappable for tests.
+        this.verifier = null;
+
+        // Users allowed on admin routes besides those with the `admin` custom claim
+        this.adminUids = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+
+        this.authenticate = this.authenticate.bind(this);
+        this.requireAdmin = this.requireAdmin.bind(this);
+    }
+
+    /**
+     * Replace the token verifier (e.g. with a locally signed JWT verifier in tests)
+     * @param {Function} verifier - async (token) => decoded token claims
+     */
+    setVerifier(verifier) {
+        this.verifier = verifier;
+    }
+
+    /**
+     * Resolve the active verifier. AUTH_VERIFIER=local verifies HS256 tokens
+     * signed with JWT_SECRET; anything else uses Firebase Admin. The local
+     * verifier is refused in production, where a shared secret would let
+     * anyone who has it sign in as any user.
+     */
+    getVerifier() {
+        if (this.verifier) {
+            return this.verifier;
+        }
+
+        if (process.env.AUTH_VERIFIER === 'local') {
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('AUTH_VERIFIER=local is not allowed in production');
+            }
+            this.verifier = this.createLocalVerifier(process.env.JWT_SECRET);
+        } else {
+            this.verifier = (token) => firebaseAdminConfig.getAuth().verifyIdToken(token);
+        }
+
+        return this.verifier;
+    }
+
+    /**
+     * Build a verifier for JWTs signed with a shared secret
+     * @param {string} secret - HMAC secret used to sign the tokens
+     */
+    createLocalVerifier(secret) {
+        if (!secret) {
+            throw new Error('JWT_SECRET is required for local token verification');
+        }
+
+        return async (token) => jwt.verify(token, secret, { algorithms: ['HS256'] });
+    }
+
+    /**
+     * Verify an ID token and map its claims to req.user
+     */
+    async verifyToken(token) {
+        const decoded = await this.getVerifier()(token);
+        const uid = decoded.uid || decoded.user_id || decoded.sub;
+
+        if (!uid) {
+            throw new Error('Token does not contain a user id');
+        }
+
+        return {
+            uid: uid,
+            email: decoded.email || null,
+            claims: decoded
+        };
+    }
+
+    /**
+     * Extract a bearer token from the Authorization header
+     */
+    extractBearerToken(req) {
+        const header = req.headers?.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Express middleware: require a valid bearer ID token and populate req.user
+     */
+    async authenticate(req, res, next) {
+        const token = this.extractBearerToken(req);
+
+        if (!token) {
+            return this.rejectUnauthorized(res, 'Missing bearer token');
+        }
+
+        try {
+            req.user = await this.verifyToken(token);
+            return next();
+        } catch (error) {
+            console.error('❌ Token verification failed:', error.message);
+            return this.rejectUnauthorized(res, 'Invalid or expired token');
+        }
+    }
+
+    /**
+     * Express middleware, after authenticate: require an admin, i.e. a token
+     * with the `admin: true` custom claim or a uid listed in ADMIN_UIDS
+     */
+    requireAdmin(req, res, next) {
+        const user = req.user;
+
+        if (user && (user.claims?.admin === true || this.adminUids.includes(user.uid))) {
+            return next();
+        }
+
+        return res.status(403).json({
+            success: false,
+            error: 'forbidden',
+            message: 'Forbidden: admin access required',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Authenticate a WebSocket upgrade request. Browsers cannot set headers on
+     * WebSocket connections, so the token may also be passed as ?token=.
+     * @returns {Object|null} Authenticated user or null
+     */
+    async authenticateUpgrade(req) {
+        const url = new URL(req.url, 'http://localhost');
+        const token = this.extractBearerToken(req) || url.searchParams.get('token');
+
+        if (!token) {
+            return null;
+        }
+
+        try {
+            return await this.verifyToken(token);
+        } catch (error) {
+            console.error('❌ WebSocket token verification failed:', error.message);
+            return null;
+        }
+    }
+
+    rejectUnauthorized(res, message) {
+        return res.status(401).json({
+            success: false,
+            error: 'unauthorized',
+            message: `Unauthorized: ${message}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = new AuthMiddleware();
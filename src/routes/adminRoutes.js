@@ -0,0 +1,9 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Gemini usage, cost and latency (?startDate=&endDate=&userId=)
+router.get('/usage', (req, res) => adminController.getUsage(req, res));
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const categoryController = require('../controllers/categoryController');
+
+const router = express.Router();
+
+// Category tree routes
+router.get('/', (req, res) => categoryController.getCategories(req, res));
+router.put('/', (req, res) => categoryController.replaceCategories(req, res));
+router.post('/', (req, res) => categoryController.addCategory(req, res));
+router.post('/reset', (req, res) => categoryController.resetCategories(req, res));
+router.delete('/:categoryId', (req, res) => categoryController.removeCategory(req, res));
+
+// Subcategory routes
+router.post('/:categoryId/subcategories', (req, res) => categoryController.addSubcategory(req, res));
+router.delete('/:categoryId/subcategories/:subcategoryId', (req, res) => categoryController.removeSubcategory(req, res));
+
+module.exports = router;
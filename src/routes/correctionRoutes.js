@@ -0,0 +1,11 @@
+const express = require('express');
+const correctionController = require('../controllers/correctionController');
+
+const router = express.Router();
+
+// Learned merchant → category mappings
+router.get('/', (req, res) => correctionController.getCorrections(req, res));
+router.delete('/', (req, res) => correctionController.resetCorrections(req, res));
+router.delete('/:merchantKey', (req, res) => correctionController.deleteCorrection(req, res));
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const gmailController = require('../controllers/gmailController');
+
+const router = express.Router();
+
+// Mailboxes whose receipt emails are ingested via the Gmail webhook
+router.get('/connections', (req, res) => gmailController.getConnections(req, res));
+router.post('/connections', (req, res) => gmailController.connect(req, res));
+router.delete('/connections/:emailAddress', (req, res) => gmailController.disconnect(req, res));
+
+module.exports = router;
@@ -1,19 +1,34 @@
 const express = require('express');
 const receiptRoutes = require('./receiptRoutes');
 const reminderRoutes = require('./reminderRoutes');
+const categoryRoutes = require('./categoryRoutes');
+const ruleRoutes = require('./ruleRoutes');
+const correctionRoutes = require('./correctionRoutes');
+const gmailRoutes = require('./gmailRoutes');
+const adminRoutes = require('./adminRoutes');
+const { authenticate, requireAdmin } = require('../middleware/authMiddleware');
+const llmService = require('../services/llmService');
 
 const router = express.Router();
 
-// API Routes
-router.use('/receipts', receiptRoutes);
-router.use('/reminders', reminderRoutes);
+// API Routes (require a valid Firebase ID token)
+router.use('/receipts', authenticate, receiptRoutes);
+router.use('/reminders', authenticate, reminderRoutes);
+router.use('/categories', authenticate, categoryRoutes);
+router.use('/rules', authenticate, ruleRoutes);
+router.use('/corrections', authenticate, correctionRoutes);
+router.use('/gmail', authenticate, gmailRoutes);
+router.use('/admin', authenticate, requireAdmin, adminRoutes);
 
 // Health check route
 router.get('/health', (req, res) => {
+    const llm = llmService.getStatus();
+
     res.json({
-        status: 'healthy',
+        status: llm.circuit?.state === 'open' ? 'degraded' : 'healthy',
         server: 'running',
         websocket: 'active',
+        llm: llm,
         timestamp: new Date().toISOString()
     });
 });
@@ -25,10 +40,47 @@ router.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             receipts: {
-                'POST /api/receipts/process': 'Process receipt (image, audio, or text)',
+                'POST /api/receipts/process': 'Process receipt (image, audio, PDF, text, or email)',
+                'POST /api/receipts/batch': 'Queue many receipt files and text/email/SMS entries',
+                'GET /api/receipts/batch/:batchId': 'Get batch progress and per-item status',
                 'GET /api/receipts/transactions': 'Get user transactions',
+                'POST /api/receipts/transactions': 'Create a manually entered transaction',
+                'GET /api/receipts/transactions/:id': 'Get a single transaction',
+                'PATCH /api/receipts/transactions/:id': 'Edit merchant, amount, category, items, totals or timestamp',
+                'DELETE /api/receipts/transactions/:id': 'Soft-delete a transaction',
+                'POST /api/receipts/transactions/:id/restore': 'Restore a soft-deleted transaction',
                 'GET /api/receipts/analytics': 'Get spending analytics'
             },
+            categories: {
+                'GET /api/categories': 'Get the user category tree',
+                'PUT /api/categories': 'Replace the user category tree',
+                'POST /api/categories': 'Add a category',
+                'DELETE /api/categories/:categoryId': 'Remove a category',
+                'POST /api/categories/:categoryId/subcategories': 'Add a subcategory',
+                'DELETE /api/categories/:categoryId/subcategories/:subcategoryId': 'Remove a subcategory',
+                'POST /api/categories/reset': 'Reset to the default categories'
+            },
+            rules: {
+                'GET /api/rules': 'List categorization rules',
+                'POST /api/rules': 'Create a categorization rule',
+                'GET /api/rules/:id': 'Get a rule',
+                'PATCH /api/rules/:id': 'Update a rule',
+                'DELETE /api/rules/:id': 'Delete a rule',
+                'POST /api/rules/:id/apply': 'Apply a rule to existing transactions'
+            },
+            corrections: {
+                'GET /api/corrections': 'List learned merchant category mappings',
+                'DELETE /api/corrections': 'Reset all learned mappings',
+                'DELETE /api/corrections/:merchantKey': 'Forget one learned mapping'
+            },
+            gmail: {
+                'GET /api/gmail/connections': 'List connected Gmail mailboxes',
+                'POST /api/gmail/connections': 'Connect a Gmail mailbox for receipt ingestion',
+                'DELETE /api/gmail/connections/:emailAddress': 'Disconnect a Gmail mailbox'
+            },
+            admin: {
+                'GET /api/admin/usage': 'Gemini usage, cost and latency by user, caller and model (admins only)'
+            },
             health: {
                 'GET /api/health': 'Health check'
             }
@@ -1,35 +1,44 @@
 const express = require('express');
 const multer = require('multer');
 const receiptController = require('../controllers/receiptController');
+const mediaService = require('../services/mediaService');
 
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads. File types are checked by content in
+// the controller (mediaService), since the declared MIME type can't be trusted.
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
-    },
-    fileFilter: (req, file, cb) => {
-        // Allow images and audio files
-        const allowedTypes = [
-            'image/jpeg', 'image/png', 'image/jpg',
-            'audio/mp3', 'audio/wav', 'audio/m4a', 'audio/mpeg'
-        ];
-
-        if (allowedTypes.includes(file.mimetype)) {
-            cb(null, true);
-        } else {
-            cb(new Error('Invalid file type'), false);
-        }
+        fileSize: mediaService.maxFileSize
     }
 });
 
+// Upload limit errors from multer get 4xx responses instead of reaching the server's 500 handler
+const handleUploadError = (error, req, res, next) => receiptController.handleUploadError(error, res, next);
+
 // Receipt processing routes
-router.post('/process', upload.single('file'), (req, res) => receiptController.processReceipt(req, res));
+router.post('/process',
+    upload.single('file'),
+    (req, res) => receiptController.processReceipt(req, res),
+    handleUploadError);
+
+// Bulk upload: many files and/or text/email/SMS entries, processed in the background
+router.post('/batch',
+    (req, res, next) => receiptController.limitBatchRequest(req, res, next),
+    upload.array('files', 50),
+    (req, res) => receiptController.processBatch(req, res),
+    handleUploadError);
+router.get('/batch/:batchId', (req, res) => receiptController.getBatch(req, res));
 
 // Transaction management routes
 router.get('/transactions', (req, res) => receiptController.getUserTransactions(req, res));
+router.post('/transactions', (req, res) => receiptController.createManualTransaction(req, res));
+router.get('/transactions/:id', (req, res) => receiptController.getTransaction(req, res));
+router.get('/transactions/:id/sources/:index', (req, res) => receiptController.getTransactionSource(req, res));
+router.patch('/transactions/:id', (req, res) => receiptController.updateTransaction(req, res));
+router.delete('/transactions/:id', (req, res) => receiptController.deleteTransaction(req, res));
+router.post('/transactions/:id/restore', (req, res) => receiptController.restoreTransaction(req, res));
 router.get('/analytics', (req, res) => receiptController.getSpendingAnalytics(req, res));
 
 module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const reminderService = require('../services/reminderService');
+const { requireAdmin } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -8,7 +9,7 @@ const router = express.Router();
  */
 router.get('/', async (req, res) => {
     try {
-        const userId = req.user?.uid || 'demo-user';
+        const userId = req.user.uid;
         const filters = {
             limit: parseInt(req.query.limit) || 50,
             reminder_type: req.query.type || undefined
@@ -33,12 +34,12 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * Get due reminders
+ * Get the user's due reminders
  */
 router.get('/due', async (req, res) => {
     try {
         const daysAhead = parseInt(req.query.days) || 7;
-        const dueReminders = await reminderService.getDueReminders(daysAhead);
+        const dueReminders = await reminderService.getDueReminders(daysAhead, req.user.uid);
         
         res.json({
             success: true,
@@ -61,9 +62,9 @@ router.get('/due', async (req, res) => {
 });
 
 /**
- * Send reminder notifications manually
+ * Send every user's due reminder notifications manually (admins only)
  */
-router.post('/send-notifications', async (req, res) => {
+router.post('/send-notifications', requireAdmin, async (req, res) => {
     try {
         const sentCount = await reminderService.sendReminderNotifications();
         
@@ -0,0 +1,16 @@
+const express = require('express');
+const ruleController = require('../controllers/ruleController');
+
+const router = express.Router();
+
+// Categorization rule routes
+router.get('/', (req, res) => ruleController.getRules(req, res));
+router.post('/', (req, res) => ruleController.createRule(req, res));
+router.get('/:id', (req, res) => ruleController.getRule(req, res));
+router.patch('/:id', (req, res) => ruleController.updateRule(req, res));
+router.delete('/:id', (req, res) => ruleController.deleteRule(req, res));
+
+// Retroactively apply a rule to existing transactions
+router.post('/:id/apply', (req, res) => ruleController.applyRule(req, res));
+
+module.exports = router;
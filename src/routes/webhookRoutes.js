@@ -0,0 +1,18 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const { authenticate } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.post('/calendar', (req, res) => {
+    console.log('📅 Calendar webhook received');
+    res.status(200).send('OK');
+});
+
+// Gmail push notifications via Pub/Sub (verified with the push OIDC token)
+router.post('/gmail', (req, res) => webhookController.handleGmail(req, res));
+
+// SMS gateways forward messages with the user's ID token
+router.post('/sms', authenticate, (req, res) => webhookController.handleSms(req, res));
+
+module.exports = router;
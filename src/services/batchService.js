@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const firebaseService = require('./firebaseService');
+const receiptService = require('./receiptService');
+const { QuotaExceededError, findError } = require('../errors');
+
+class BatchService {
+    constructor() {
+        this.maxItems = 50;
+        this.concurrency = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+        // Uploads are buffered in memory until their item is processed
+        this.maxRequestSize = 100 * 1024 * 1024; // 100MB
+
+        // Batches run in the memory of the instance that received them; one
+        // not updated for this long was lost to a restart or crash
+        this.staleAfterMs = 30 * 60 * 1000;
+    }
+
+    /**
+     * Queue a batch of prepared inputs and start processing them in the
+     * background. Returns immediately with the batch id and per-item status.
+     * @param {Array<Object>} items - [{ type, name, inputData }] with inputData in
+     *   processReceipt format, or [{ type, name, prepareInput }] where
+     *   prepareInput() builds it when a worker picks the item up, so uploads
+     *   aren't encoded all at once
+     */
+    async createBatch(userId, items) {
+        try {
+            if (items.length === 0) {
+                throw new Error('Validation failed: at least one file or entry is required');
+            }
+            if (items.length > this.maxItems) {
+                throw new Error(`Validation failed: a batch can contain at most ${this.maxItems} items`);
+            }
+
+            const batchId = `batch_${crypto.randomUUID()}`;
+            const itemStates = {};
+
+            items.forEach((item, index) => {
+                itemStates[index] = {
+                    index: index,
+                    type: item.type,
+                    name: item.name || null,
+                    status: 'queued',
+                    result: null,
+                    error: null
+                };
+            });
+
+            const batch = {
+                userId: userId,
+                status: 'queued',
+                total: items.length,
+                counts: { queued: items.length, processing: 0, succeeded: 0, failed: 0, deferred: 0 },
+                items: itemStates,
+                completed_at: null
+            };
+
+            await firebaseService.saveBatch(batchId, batch);
+
+            const response = this.formatBatch({ id: batchId, ...batch, counts: { ...batch.counts } });
+
+            // Process in the background; clients poll GET /batch/:batchId
+            this.processBatch(batchId, userId, items, batch.counts);
+
+            return response;
+
+        } catch (error) {
+            console.error('❌ Error creating batch:', error.message);
+            throw new Error(`Failed to create batch: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run every item through receiptService.processReceipt with at most
+     * `concurrency` items in flight
+     */
+    async processBatch(batchId, userId, items, counts) {
+        console.log(`📦 Processing batch ${batchId}: ${items.length} items, concurrency ${this.concurrency}`);
+
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                await this.processItem(batchId, userId, index, items[index], counts);
+
+                // Release the upload buffer once the item is done
+                items[index] = null;
+            }
+        };
+
+        try {
+            await firebaseService.updateBatch(batchId, { status: 'processing' });
+
+            const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, worker);
+            await Promise.all(workers);
+
+            await firebaseService.updateBatch(batchId, {
+                status: 'completed',
+                counts: { ...counts },
+                completed_at: new Date().toISOString()
+            });
+
+            console.log(`✅ Batch ${batchId} completed: ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.deferred} deferred`);
+
+        } catch (error) {
+            console.error(`❌ Batch ${batchId} error:`, error.message);
+            // Don't throw - this runs in the background
+        }
+    }
+
+    async processItem(batchId, userId, index, item, counts) {
+        counts.queued--;
+        counts.processing++;
+        await this.saveItemState(batchId, index, item, { status: 'processing' }, counts);
+
+        let state;
+        try {
+            const inputData = item.inputData || await item.prepareInput();
+            const result = await receiptService.processReceipt(inputData, userId);
+            counts.succeeded++;
+            state = {
+                status: 'succeeded',
+                result: {
+                    action_type: result.action_type,
+                    transaction_id: result.transaction_id || null
+                }
+            };
+        } catch (error) {
+            const quotaError = findError(error, QuotaExceededError);
+            if (quotaError) {
+                // Nothing wrong with the receipt; the user can resend it once the quota resets
+                console.log(`⏸️ Batch ${batchId} item ${index} deferred:`, error.message);
+                counts.deferred++;
+                state = { status: 'deferred', error: error.message, retry_after: quotaError.retryAfter.toISOString() };
+            } else {
+                console.error(`❌ Batch ${batchId} item ${index} failed:`, error.message);
+                counts.failed++;
+                state = { status: 'failed', error: error.message };
+            }
+        }
+
+        counts.processing--;
+        await this.saveItemState(batchId, index, item, state, counts);
+    }
+
+    async saveItemState(batchId, index, item, state, counts) {
+        try {
+            await firebaseService.updateBatch(batchId, {
+                [`items.${index}`]: {
+                    index: index,
+                    type: item.type,
+                    name: item.name || null,
+                    result: null,
+                    error: null,
+                    ...state
+                },
+                counts: { ...counts }
+            });
+        } catch (error) {
+            // A missed progress update shouldn't stop the batch
+            console.error(`❌ Failed to save batch ${batchId} item ${index} state:`, error.message);
+        }
+    }
+
+    /**
+     * Mark batches left in "queued" or "processing" by a restarted or crashed
+     * instance as "interrupted", failing their unfinished items. Their uploads
+     * were only held in memory, so they can't be resumed.
+     * @returns {Promise<number>} Number of batches expired
+     */
+    async expireStaleBatches(now = new Date()) {
+        try {
+            const cutoff = new Date(now.getTime() - this.staleAfterMs).toISOString();
+            const batches = (await firebaseService.getUnfinishedBatches())
+                .filter(batch => (batch.updated_at || batch.created_at || '') < cutoff);
+
+            for (const batch of batches) {
+                const items = {};
+                const counts = { queued: 0, processing: 0, succeeded: 0, failed: 0, deferred: 0 };
+
+                Object.entries(batch.items || {}).forEach(([key, item]) => {
+                    items[key] = ['queued', 'processing'].includes(item.status)
+                        ? { ...item, status: 'failed', error: 'Processing was interrupted; upload the receipt again' }
+                        : item;
+                    counts[items[key].status] = (counts[items[key].status] || 0) + 1;
+                });
+
+                await firebaseService.updateBatch(batch.id, {
+                    status: 'interrupted',
+                    items: items,
+                    counts: counts,
+                    completed_at: now.toISOString()
+                });
+                console.log(`⏹️ Batch ${batch.id} interrupted: ${counts.failed} items failed`);
+            }
+
+            return batches.length;
+
+        } catch (error) {
+            console.error('❌ Error expiring stale batches:', error.message);
+            return 0;
+        }
+    }
+
+    async getBatch(userId, batchId) {
+        const batch = await firebaseService.getBatch(batchId, userId);
+        return this.formatBatch(batch);
+    }
+
+    /**
+     * Items are stored as a map keyed by index so they can be updated
+     * individually; return them as an ordered array
+     */
+    formatBatch(batch) {
+        return {
+            batch_id: batch.id,
+            status: batch.status,
+            total: batch.total,
+            counts: batch.counts,
+            items: Object.values(batch.items || {}).sort((a, b) => a.index - b.index),
+            created_at: batch.created_at || null,
+            completed_at: batch.completed_at || null
+        };
+    }
+}
+
+module.exports = new BatchService();
@@ -0,0 +1,299 @@
+const firebaseService = require('./firebaseService');
+
+class CategoryService {
+    constructor() {
+        // Used until a user customizes their tree. "other" is the catch-all
+        // for anything that doesn't fit and must always exist.
+        this.defaultCategories = [
+            {
+                id: 'food',
+                name: 'Food',
+                subcategories: [
+                    { id: 'groceries', name: 'Groceries' },
+                    { id: 'dining', name: 'Dining' },
+                    { id: 'delivery', name: 'Delivery' }
+                ]
+            },
+            { id: 'shopping', name: 'Shopping', subcategories: [] },
+            { id: 'transport', name: 'Transport', subcategories: [] },
+            { id: 'entertainment', name: 'Entertainment', subcategories: [] },
+            { id: 'other', name: 'Other', subcategories: [] }
+        ];
+
+        this.fallbackCategory = 'other';
+        this.maxCategories = 30;
+        this.maxSubcategories = 30;
+        this.idPattern = /^[a-z0-9_]{1,30}$/;
+    }
+
+    /**
+     * Get a user's category tree, falling back to the defaults, also when it
+     * can't be read. Only for reading: changes go through loadUserCategories
+     * so a failed read is never saved over the user's tree.
+     */
+    async getUserCategories(userId) {
+        try {
+            return await this.loadUserCategories(userId);
+        } catch (error) {
+            console.error('❌ Error loading categories, using defaults:', error.message);
+            return this.getDefaultCategories();
+        }
+    }
+
+    /**
+     * Get a user's category tree, or the defaults if they never customized it
+     * @throws when the tree can't be read
+     */
+    async loadUserCategories(userId) {
+        try {
+            const categories = await firebaseService.getUserCategories(userId);
+            return categories || this.getDefaultCategories();
+        } catch (error) {
+            throw new Error(`Failed to load categories: ${error.message}`);
+        }
+    }
+
+    getDefaultCategories() {
+        return JSON.parse(JSON.stringify(this.defaultCategories));
+    }
+
+    /**
+     * Replace a user's whole category tree
+     */
+    async saveUserCategories(userId, categories) {
+        const errors = this.validateCategoryTree(categories);
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join('; ')}`);
+        }
+
+        const normalized = categories.map(category => ({
+            id: category.id,
+            name: category.name || this.toDisplayName(category.id),
+            subcategories: (category.subcategories || []).map(sub => ({
+                id: sub.id,
+                name: sub.name || this.toDisplayName(sub.id)
+            }))
+        }));
+
+        await firebaseService.saveUserCategories(userId, normalized);
+        return normalized;
+    }
+
+    async addCategory(userId, category) {
+        const categories = await this.loadUserCategories(userId);
+
+        if (categories.some(c => c.id === category.id)) {
+            throw new Error(`Validation failed: category "${category.id}" already exists`);
+        }
+
+        categories.push({ subcategories: [], ...category });
+        return this.saveUserCategories(userId, categories);
+    }
+
+    async removeCategory(userId, categoryId) {
+        if (categoryId === this.fallbackCategory) {
+            throw new Error(`Validation failed: "${this.fallbackCategory}" category cannot be removed`);
+        }
+
+        const categories = await this.loadUserCategories(userId);
+        const remaining = categories.filter(c => c.id !== categoryId);
+
+        if (remaining.length === categories.length) {
+            throw new Error(`Category "${categoryId}" not found`);
+        }
+
+        return this.saveUserCategories(userId, remaining);
+    }
+
+    async addSubcategory(userId, categoryId, subcategory) {
+        const categories = await this.loadUserCategories(userId);
+        const category = categories.find(c => c.id === categoryId);
+
+        if (!category) {
+            throw new Error(`Category "${categoryId}" not found`);
+        }
+
+        category.subcategories = category.subcategories || [];
+        if (category.subcategories.some(s => s.id === subcategory.id)) {
+            throw new Error(`Validation failed: subcategory "${subcategory.id}" already exists in "${categoryId}"`);
+        }
+
+        category.subcategories.push(subcategory);
+        return this.saveUserCategories(userId, categories);
+    }
+
+    async removeSubcategory(userId, categoryId, subcategoryId) {
+        const categories = await this.loadUserCategories(userId);
+        const category = categories.find(c => c.id === categoryId);
+
+        if (!category || !(category.subcategories || []).some(s => s.id === subcategoryId)) {
+            throw new Error(`Subcategory "${categoryId}/${subcategoryId}" not found`);
+        }
+
+        category.subcategories = category.subcategories.filter(s => s.id !== subcategoryId);
+        return this.saveUserCategories(userId, categories);
+    }
+
+    async resetCategories(userId) {
+        return this.saveUserCategories(userId, this.getDefaultCategories());
+    }
+
+    /**
+     * Validate a full category tree, returning a list of error messages
+     */
+    validateCategoryTree(categories) {
+        const errors = [];
+
+        if (!Array.isArray(categories) || categories.length === 0) {
+            return ['categories must be a non-empty array'];
+        }
+
+        if (categories.length > this.maxCategories) {
+            errors.push(`At most ${this.maxCategories} categories are allowed`);
+        }
+
+        const seen = new Set();
+        categories.forEach((category, index) => {
+            if (!category || !this.idPattern.test(category.id)) {
+                errors.push(`Category ${index + 1} id must be 1-30 lowercase letters, digits or underscores`);
+                return;
+            }
+            if (seen.has(category.id)) {
+                errors.push(`Duplicate category "${category.id}"`);
+            }
+            seen.add(category.id);
+
+            if (category.name !== undefined && (typeof category.name !== 'string' || category.name.length > 50)) {
+                errors.push(`Category "${category.id}" name must be a string under 50 characters`);
+            }
+
+            const subcategories = category.subcategories || [];
+            if (!Array.isArray(subcategories)) {
+                errors.push(`Category "${category.id}" subcategories must be an array`);
+                return;
+            }
+            if (subcategories.length > this.maxSubcategories) {
+                errors.push(`Category "${category.id}" has more than ${this.maxSubcategories} subcategories`);
+            }
+
+            const seenSub = new Set();
+            subcategories.forEach((sub, subIndex) => {
+                if (!sub || !this.idPattern.test(sub.id)) {
+                    errors.push(`Subcategory ${subIndex + 1} of "${category.id}" id must be 1-30 lowercase letters, digits or underscores`);
+                    return;
+                }
+                if (seenSub.has(sub.id)) {
+                    errors.push(`Duplicate subcategory "${category.id}/${sub.id}"`);
+                }
+                seenSub.add(sub.id);
+            });
+        });
+
+        if (!seen.has(this.fallbackCategory)) {
+            errors.push(`The "${this.fallbackCategory}" category is required`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a category/subcategory pair against a tree
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateCategory(categories, categoryId, subcategoryId) {
+        const category = categories.find(c => c.id === categoryId);
+
+        if (!category) {
+            return `Invalid category. Supported categories: ${categories.map(c => c.id).join(', ')}`;
+        }
+
+        if (subcategoryId && !(category.subcategories || []).some(s => s.id === subcategoryId)) {
+            const available = (category.subcategories || []).map(s => s.id);
+            return `Invalid subcategory for "${categoryId}". Supported subcategories: ${available.join(', ') || 'none'}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Coerce model output onto the tree: unknown categories become the
+     * fallback, unknown subcategories are dropped
+     */
+    normalizeCategory(categories, categoryId, subcategoryId) {
+        const category = categories.find(c => c.id === (categoryId || '').toLowerCase());
+
+        if (!category) {
+            return { category: this.fallbackCategory, subcategory: null };
+        }
+
+        const subcategory = (category.subcategories || [])
+            .find(s => s.id === (subcategoryId || '').toLowerCase());
+
+        return {
+            category: category.id,
+            subcategory: subcategory ? subcategory.id : null
+        };
+    }
+
+    /**
+     * Render the tree for extraction prompts, e.g.
+     * "food (groceries, dining, delivery)|shopping|other"
+     */
+    formatForPrompt(categories) {
+        return categories
+            .map(category => {
+                const subs = (category.subcategories || []).map(s => s.id);
+                return subs.length > 0 ? `${category.id} (${subs.join(', ')})` : category.id;
+            })
+            .join('|');
+    }
+
+    /**
+     * Aggregate spending over the tree. Transactions whose category is no
+     * longer in the tree are counted under the fallback category.
+     */
+    buildCategoryBreakdown(categories, transactions) {
+        const breakdown = categories.map(category => ({
+            category: category.id,
+            name: category.name,
+            amount: 0,
+            count: 0,
+            subcategories: (category.subcategories || []).map(sub => ({
+                subcategory: sub.id,
+                name: sub.name,
+                amount: 0,
+                count: 0
+            }))
+        }));
+
+        transactions.forEach(transaction => {
+            const { category, subcategory } = this.normalizeCategory(
+                categories,
+                transaction.category,
+                transaction.subcategory
+            );
+            const amount = transaction.amount || 0;
+
+            const categoryEntry = breakdown.find(entry => entry.category === category);
+            categoryEntry.amount += amount;
+            categoryEntry.count += 1;
+
+            if (subcategory) {
+                const subEntry = categoryEntry.subcategories.find(entry => entry.subcategory === subcategory);
+                subEntry.amount += amount;
+                subEntry.count += 1;
+            }
+        });
+
+        return breakdown;
+    }
+
+    toDisplayName(id) {
+        return id
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,155 @@
+const firebaseService = require('./firebaseService');
+const categoryService = require('./categoryService');
+
+class CorrectionService {
+    constructor() {
+        this.maxExamplesPerMerchant = 5;
+
+        // Most recent corrections included as few-shot examples in prompts
+        this.maxPromptExamples = 10;
+    }
+
+    /**
+     * Normalize a merchant name into a stable key ("Swiggy Ltd." -> "swiggy_ltd")
+     */
+    getMerchantKey(merchant) {
+        return (merchant || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .slice(0, 100);
+    }
+
+    /**
+     * "<encoded userId>:<merchantKey>". The encoded ID can't contain ":", so
+     * two users' mappings never share an ID.
+     */
+    getCorrectionId(userId, merchantKey) {
+        return `${encodeURIComponent(userId)}:${merchantKey}`;
+    }
+
+    /**
+     * The user's mapping for a merchant. Documents belonging to another user
+     * are ignored.
+     * @returns {Promise<Object|null>} mapping with `id`
+     */
+    async getCorrection(userId, merchantKey) {
+        const correction = await firebaseService.getCategoryCorrection(this.getCorrectionId(userId, merchantKey));
+        return correction && correction.userId === userId && correction.merchant_key === merchantKey
+            ? correction
+            : null;
+    }
+
+    /**
+     * Record that the user moved a merchant's transaction to another category.
+     * Repeated corrections to the same target strengthen the mapping; a new
+     * target replaces it.
+     */
+    async recordCorrection(userId, correction) {
+        try {
+            const merchantKey = this.getMerchantKey(correction.merchant);
+            if (!merchantKey) {
+                return null;
+            }
+
+            const correctionId = this.getCorrectionId(userId, merchantKey);
+            const existing = await this.getCorrection(userId, merchantKey);
+            const sameTarget = existing &&
+                existing.category === correction.to_category &&
+                (existing.subcategory || null) === (correction.to_subcategory || null);
+
+            const example = {
+                merchant: correction.merchant,
+                from_category: correction.from_category || null,
+                from_subcategory: correction.from_subcategory || null,
+                to_category: correction.to_category,
+                to_subcategory: correction.to_subcategory || null,
+                transaction_id: correction.transaction_id || null,
+                corrected_at: new Date().toISOString()
+            };
+
+            const mapping = {
+                userId: userId,
+                merchant_key: merchantKey,
+                merchant: correction.merchant,
+                category: correction.to_category,
+                subcategory: correction.to_subcategory || null,
+                correction_count: sameTarget ? (existing.correction_count || 0) + 1 : 1,
+                examples: [...(existing?.examples || []), example].slice(-this.maxExamplesPerMerchant),
+                last_corrected_at: example.corrected_at
+            };
+
+            await firebaseService.saveCategoryCorrection(correctionId, mapping);
+            console.log(`🧠 Learned ${correction.merchant} → ${mapping.category}${mapping.subcategory ? '/' + mapping.subcategory : ''}`);
+            return { id: correctionId, ...mapping };
+
+        } catch (error) {
+            console.error('❌ Error recording correction:', error.message);
+            // Learning is best-effort; never fail the user's edit
+            return null;
+        }
+    }
+
+    async getUserCorrections(userId) {
+        const corrections = await firebaseService.getUserCategoryCorrections(userId);
+        return corrections.sort((a, b) => (b.last_corrected_at || '').localeCompare(a.last_corrected_at || ''));
+    }
+
+    /**
+     * Learned category for a merchant, if it still exists in the user's tree
+     * @returns {Object|null} { category, subcategory, correction_count }
+     */
+    findLearnedCategory(corrections, categories, merchant) {
+        const merchantKey = this.getMerchantKey(merchant);
+        if (!merchantKey) {
+            return null;
+        }
+
+        const mapping = corrections.find(correction => correction.merchant_key === merchantKey);
+        if (!mapping || categoryService.validateCategory(categories, mapping.category, mapping.subcategory)) {
+            return null;
+        }
+
+        return {
+            category: mapping.category,
+            subcategory: mapping.subcategory || null,
+            correction_count: mapping.correction_count
+        };
+    }
+
+    /**
+     * Few-shot examples of the user's own corrections for extraction prompts
+     */
+    getPromptExamples(corrections) {
+        return corrections
+            .slice(0, this.maxPromptExamples)
+            .map(correction => ({
+                merchant: correction.merchant,
+                category: correction.category,
+                subcategory: correction.subcategory || null
+            }));
+    }
+
+    async resetCorrections(userId) {
+        const corrections = await firebaseService.getUserCategoryCorrections(userId);
+
+        for (const correction of corrections) {
+            await firebaseService.deleteCategoryCorrection(correction.id);
+        }
+
+        console.log(`🧹 Reset ${corrections.length} learned mappings for user: ${userId}`);
+        return corrections.length;
+    }
+
+    async deleteCorrection(userId, merchantKey) {
+        const existing = await this.getCorrection(userId, merchantKey);
+
+        if (!existing) {
+            throw new Error(`Learned mapping for "${merchantKey}" not found`);
+        }
+
+        return firebaseService.deleteCategoryCorrection(existing.id);
+    }
+}
+
+module.exports = new CorrectionService();
@@ -1,11 +1,15 @@
 const firebaseService = require('./firebaseService');
-const { callGemini } = require('../client/geminiClient');
+const structuredOutputService = require('./structuredOutputService');
+const geminiSchemas = require('./geminiSchemas');
+const lineItemService = require('./lineItemService');
+const promptService = require('./promptService');
 
 class CorrelationService {
     constructor() {
         this.amountTolerance = 0.05; // 5% tolerance for amount matching
         this.timeWindowHours = 1; // 1 hour time window
         this.timeWindowDays = 1; // 1 day window if only date available
+        this.analysisTimeout = 15000; // ms; analysis falls back to defaults when it times out
     }
 
     /**
@@ -26,7 +30,7 @@ class CorrelationService {
             console.log(`🔍 Found ${potentialMatches.length} potential matches`);
 
             // Analyze all potential matches with Gemini in a single call
-            const correlationAnalysis = await this.analyzeMultipleCorrelationsWithGemini(newTransaction, potentialMatches);
+            const correlationAnalysis = await this.analyzeMultipleCorrelationsWithGemini(newTransaction, potentialMatches, userId);
 
             // Find the best correlation
             let bestMatch = null;
@@ -47,13 +51,14 @@ class CorrelationService {
                 console.log(`✅ Found strong correlation: ${bestMatch.analysis.correlation_type} (${bestConfidence}% confidence)`);
 
                 // Merge the transactions instead of creating new one
-                await this.mergeTransactions(bestMatch.transaction, newTransaction, inputData, bestMatch.analysis);
+                await this.mergeTransactions(bestMatch.transaction, newTransaction, inputData, bestMatch.analysis, correlationAnalysis.prompt);
 
                 return {
                     action: 'merged',
                     existing_transaction_id: bestMatch.transaction.id,
                     confidence: bestConfidence,
-                    correlation_type: bestMatch.analysis.correlation_type
+                    correlation_type: bestMatch.analysis.correlation_type,
+                    prompt: correlationAnalysis.prompt
                 };
             } else {
                 console.log('📝 No strong correlations found - keeping as separate transaction');
@@ -170,75 +175,43 @@ class CorrelationService {
     }
 
     /**
-     * Use Gemini to analyze multiple potential correlations in a single call
+     * Transaction details as listed in correlation prompts
      */
-    async analyzeMultipleCorrelationsWithGemini(newTransaction, potentialMatches) {
-        try {
-            // Build the prompt with the new transaction and all potential matches
-            let prompt = `Analyze if the new transaction is correlated with any of the existing transactions (same purchase from different sources, duplicates, or related transactions):
-
-NEW TRANSACTION:
-- ID: new
-- Merchant: ${newTransaction.merchant}
-- Amount: ${newTransaction.currency || 'INR'} ${newTransaction.amount}
-- Date: ${newTransaction.timestamp}
-- Source: ${newTransaction.sources?.[0]?.input_type || 'unknown'}
-- Items: ${JSON.stringify(newTransaction.items || [])}
-- Category: ${newTransaction.category}
-
-EXISTING TRANSACTIONS TO COMPARE:`;
-
-            // Add each potential match
-            potentialMatches.forEach((transaction, index) => {
-                prompt += `
-
-Transaction ${index + 1}:
-- ID: ${transaction.id}
-- Merchant: ${transaction.merchant}
+    formatTransaction(transaction) {
+        return `- Merchant: ${transaction.merchant}
 - Amount: ${transaction.currency || 'INR'} ${transaction.amount}
 - Date: ${transaction.timestamp}
 - Source: ${transaction.sources?.[0]?.input_type || 'unknown'}
 - Items: ${JSON.stringify(transaction.items || [])}
 - Category: ${transaction.category}`;
-            });
-
-            prompt += `
-
-Return ONLY a JSON object with analysis for each existing transaction:
-{
-  "correlations": [
-    {
-      "transaction_index": 1,
-      "is_correlated": boolean,
-      "confidence": number (0-100),
-      "correlation_type": "duplicate|same_purchase|related|unrelated",
-      "reason": "explanation of why they are/aren't correlated",
-      "recommended_action": "merge|keep_separate|flag_for_review"
-    },
-    {
-      "transaction_index": 2,
-      "is_correlated": boolean,
-      "confidence": number (0-100),
-      "correlation_type": "duplicate|same_purchase|related|unrelated", 
-      "reason": "explanation of why they are/aren't correlated",
-      "recommended_action": "merge|keep_separate|flag_for_review"
     }
-    // ... for each transaction
-  ]
-}
 
-Examples of correlations:
-- Same merchant, same amount, same day from email and SMS → duplicate (high confidence)
-- Same merchant, same amount, different sources → same purchase (high confidence)
-- Similar merchant names, same amount → likely same purchase (medium confidence)
-- Different merchants, same amount, same time → possibly related like tip + main bill (low confidence)
-- Same source, same details → duplicate from webhook firing twice (very high confidence)
-- Completely different details → unrelated (very low confidence)`;
+    /**
+     * Use Gemini to analyze multiple potential correlations in a single call
+     * @returns {Promise<Object>} { correlations, prompt } prompt is the version used, null on fallback
+     */
+    async analyzeMultipleCorrelationsWithGemini(newTransaction, potentialMatches, userId) {
+        try {
+            const { text, prompt } = await promptService.render('correlation_matches', {
+                new_transaction: this.formatTransaction(newTransaction),
+                existing_transactions: potentialMatches.map((transaction, index) => `
 
-            const contents = [{ parts: [{ text: prompt }] }];
-            const response = await callGemini(contents, 'gemini-2.5-flash');
+Transaction ${index + 1}:
+- ID: ${transaction.id}
+${this.formatTransaction(transaction)}`).join('')
+            }, { userId, locale: await promptService.getUserLocale(userId) });
+
+            const contents = [{ parts: [{ text }] }];
+            const analysis = await structuredOutputService.generate(contents, {
+                model: 'gemini-2.5-flash',
+                schema: geminiSchemas.multipleCorrelation(potentialMatches.length),
+                label: 'correlation matches',
+                timeout: this.analysisTimeout,
+                caller: 'correlation',
+                userId: userId
+            });
 
-            return this.parseMultipleCorrelationResponse(response, potentialMatches.length);
+            return { ...this.completeCorrelations(analysis, potentialMatches.length), prompt };
 
         } catch (error) {
             console.error('❌ Gemini multiple correlation analysis error:', error.message);
@@ -251,7 +224,8 @@ Examples of correlations:
                     correlation_type: 'unrelated',
                     reason: 'Analysis failed',
                     recommended_action: 'keep_separate'
-                }))
+                })),
+                prompt: null
             };
         }
     }
@@ -261,44 +235,22 @@ Examples of correlations:
      */
     async analyzeCorrelationWithGemini(transaction1, transaction2) {
         try {
-            const prompt = `Analyze if these two transactions are correlated (same purchase from different sources or duplicate entries):
-
-Transaction 1:
-- Merchant: ${transaction1.merchant}
-- Amount: ${transaction1.currency || 'INR'} ${transaction1.amount}
-- Date: ${transaction1.timestamp}
-- Source: ${transaction1.sources?.[0]?.input_type || 'unknown'}
-- Items: ${JSON.stringify(transaction1.items || [])}
-- Category: ${transaction1.category}
-
-Transaction 2:
-- Merchant: ${transaction2.merchant}
-- Amount: ${transaction2.currency || 'INR'} ${transaction2.amount}
-- Date: ${transaction2.timestamp}
-- Source: ${transaction2.sources?.[0]?.input_type || 'unknown'}
-- Items: ${JSON.stringify(transaction2.items || [])}
-- Category: ${transaction2.category}
-
-Return ONLY a JSON object:
-{
-  "is_correlated": boolean,
-  "confidence": number (0-100),
-  "correlation_type": "duplicate|same_purchase|related|unrelated",
-  "reason": "explanation of why they are/aren't correlated",
-  "recommended_action": "merge|keep_separate|flag_for_review"
-}
-
-Examples:
-- Same merchant, same amount, same day from email and SMS → duplicate
-- Same merchant, same amount, different sources → same purchase
-- Similar merchant names, same amount → likely same purchase
-- Different merchants, same amount, same time → possibly related (like tip + main bill)
-- Same source, same details → duplicate (email hook fired twice)`;
-
-            const contents = [{ parts: [{ text: prompt }] }];
-            const response = await callGemini(contents, 'gemini-2.5-flash');
+            const { text, prompt } = await promptService.render('pair_correlation', {
+                transaction1: this.formatTransaction(transaction1),
+                transaction2: this.formatTransaction(transaction2)
+            }, { userId: transaction1.userId });
+
+            const contents = [{ parts: [{ text }] }];
+            const analysis = await structuredOutputService.generate(contents, {
+                model: 'gemini-2.5-flash',
+                schema: geminiSchemas.correlation(),
+                label: 'pair correlation',
+                timeout: this.analysisTimeout,
+                caller: 'correlation',
+                userId: transaction1.userId
+            });
 
-            return this.parseGeminiCorrelationResponse(response);
+            return { ...analysis, prompt };
 
         } catch (error) {
             console.error('❌ Gemini correlation analysis error:', error.message);
@@ -307,112 +259,29 @@ Examples:
                 confidence: 0,
                 correlation_type: 'unrelated',
                 reason: 'Analysis failed',
-                recommended_action: 'keep_separate'
+                recommended_action: 'keep_separate',
+                prompt: null
             };
         }
     }
 
     /**
-     * Parse Gemini response for multiple correlation analysis
+     * One entry per existing transaction: matches the model skipped are
+     * treated as unrelated
      */
-    parseMultipleCorrelationResponse(responseText, expectedCount) {
-        try {
-            let jsonText = responseText.trim();
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-
-            const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                jsonText = jsonMatch[0];
-            }
-
-            // Fix common JSON issues
-            jsonText = jsonText.replace(/\n/g, ' ');
-            jsonText = jsonText.replace(/,\s*}/g, '}');
-            jsonText = jsonText.replace(/,\s*]/g, ']');
-
-            const analysis = JSON.parse(jsonText);
-
-            // Ensure we have the expected number of correlations
-            if (!analysis.correlations || !Array.isArray(analysis.correlations)) {
-                analysis.correlations = [];
-            }
-
-            // Fill missing correlations with defaults
-            while (analysis.correlations.length < expectedCount) {
-                analysis.correlations.push({
-                    transaction_index: analysis.correlations.length + 1,
-                    is_correlated: false,
-                    confidence: 0,
-                    correlation_type: 'unrelated',
-                    reason: 'No analysis provided',
-                    recommended_action: 'keep_separate'
-                });
-            }
-
-            // Set defaults for each correlation
-            analysis.correlations.forEach(correlation => {
-                correlation.is_correlated = correlation.is_correlated || false;
-                correlation.confidence = correlation.confidence || 0;
-                correlation.correlation_type = correlation.correlation_type || 'unrelated';
-                correlation.recommended_action = correlation.recommended_action || 'keep_separate';
-            });
-
-            return analysis;
-
-        } catch (error) {
-            console.error('❌ Failed to parse Gemini multiple correlation response:', error.message);
-            // Return default response for all matches
-            return {
-                correlations: Array.from({ length: expectedCount }, (_, index) => ({
-                    transaction_index: index + 1,
-                    is_correlated: false,
-                    confidence: 0,
-                    correlation_type: 'unrelated',
-                    reason: 'Failed to parse analysis',
-                    recommended_action: 'keep_separate'
-                }))
-            };
-        }
-    }
-
-    /**
-     * Parse Gemini response for correlation analysis
-     */
-    parseGeminiCorrelationResponse(responseText) {
-        try {
-            let jsonText = responseText.trim();
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-
-            const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                jsonText = jsonMatch[0];
-            }
-
-            // Fix common JSON issues
-            jsonText = jsonText.replace(/\n/g, ' ');
-            jsonText = jsonText.replace(/,\s*}/g, '}');
-            jsonText = jsonText.replace(/,\s*]/g, ']');
-
-            const analysis = JSON.parse(jsonText);
-
-            // Set defaults
-            analysis.is_correlated = analysis.is_correlated || false;
-            analysis.confidence = analysis.confidence || 0;
-            analysis.correlation_type = analysis.correlation_type || 'unrelated';
-            analysis.recommended_action = analysis.recommended_action || 'keep_separate';
-
-            return analysis;
-
-        } catch (error) {
-            console.error('❌ Failed to parse Gemini correlation response:', error.message);
-            return {
+    completeCorrelations(analysis, expectedCount) {
+        const correlations = Array.from({ length: expectedCount }, (_, index) => (
+            analysis.correlations.find(correlation => correlation.transaction_index === index + 1) || {
+                transaction_index: index + 1,
                 is_correlated: false,
                 confidence: 0,
                 correlation_type: 'unrelated',
-                reason: 'Failed to parse analysis',
+                reason: 'No analysis provided',
                 recommended_action: 'keep_separate'
-            };
-        }
+            }
+        ));
+
+        return { correlations };
     }
 
     /**
@@ -539,8 +408,9 @@ Examples:
 
     /**
      * Merge new transaction data into existing transaction and delete the duplicate
+     * @param {Object|null} prompt - version of the correlation prompt behind the merge
      */
-    async mergeTransactions(existingTransaction, newTransaction, inputData, analysis) {
+    async mergeTransactions(existingTransaction, newTransaction, inputData, analysis, prompt = null) {
         try {
             console.log(`🔄 Merging transactions: ${analysis.correlation_type}`);
 
@@ -552,8 +422,15 @@ Examples:
                     {
                         input_type: inputData.type,
                         uri: inputData.metadata?.uri || null,
+                        prompt: newTransaction.prompt || null,
+                        model: newTransaction.model || null,
                         added_at: new Date().toISOString()
-                    }
+                    },
+                    // Email attachments extracted alongside the new input
+                    ...(newTransaction.attachment_sources || []).map(source => ({
+                        ...source,
+                        added_at: new Date().toISOString()
+                    }))
                 ],
 
                 // Fill missing fields from new transaction
@@ -561,9 +438,11 @@ Examples:
                 amount: existingTransaction.amount || newTransaction.amount,
                 currency: existingTransaction.currency || newTransaction.currency,
                 category: existingTransaction.category || newTransaction.category,
+                subcategory: existingTransaction.subcategory || newTransaction.subcategory || null,
 
                 // Merge items if available
                 items: this.mergeItems(existingTransaction.items, newTransaction.items),
+                totals: existingTransaction.totals || newTransaction.totals || null,
 
                 // Use more precise timestamp if available
                 timestamp: this.chooseBetterTimestamp(existingTransaction.timestamp, newTransaction.timestamp),
@@ -574,12 +453,15 @@ Examples:
                     correlation_type: analysis.correlation_type,
                     confidence: analysis.confidence,
                     reason: analysis.reason,
+                    prompt: prompt,
                     merged_transaction_id: newTransaction.id || 'unknown'
                 },
 
                 updated_at: new Date().toISOString()
             };
 
+            mergedData.item_check = lineItemService.checkConsistency(mergedData);
+
             // Update the existing transaction
             console.log(`📝 Updating transaction: ${existingTransaction.id}`);
             await firebaseService.updateTransaction(existingTransaction.id, mergedData);
@@ -0,0 +1,138 @@
+const firebaseService = require('./firebaseService');
+const { LocalRatesProvider } = require('./exchangeRateProvider');
+
+class CurrencyService {
+    constructor() {
+        this.defaultCurrency = 'INR';
+        this.provider = null;
+    }
+
+    /**
+     * Replace the exchange-rate provider
+     * @param {Object} provider - implements getRate(from, to, date)
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    getProvider() {
+        if (!this.provider) {
+            this.provider = new LocalRatesProvider(process.env.EXCHANGE_RATES_FILE || undefined);
+        }
+        return this.provider;
+    }
+
+    /**
+     * User's home currency from users.profile.preferences.currency
+     */
+    async getHomeCurrency(userId) {
+        try {
+            const user = await firebaseService.getUserProfile(userId);
+            const currency = user?.profile?.preferences?.currency;
+            return this.normalizeCurrency(currency) || this.defaultCurrency;
+        } catch (error) {
+            console.error('❌ Error loading home currency, using default:', error.message);
+            return this.defaultCurrency;
+        }
+    }
+
+    normalizeCurrency(currency) {
+        if (typeof currency !== 'string') {
+            return null;
+        }
+        const code = currency.trim().toUpperCase();
+        return /^[A-Z]{3}$/.test(code) ? code : null;
+    }
+
+    /**
+     * Convert an amount at the rate for the given date
+     * @returns {Object|null} { amount, rate, rate_date } or null if no rate is known
+     */
+    async convert(amount, from, to, date) {
+        const fromCode = this.normalizeCurrency(from);
+        const toCode = this.normalizeCurrency(to);
+
+        if (typeof amount !== 'number' || !fromCode || !toCode) {
+            return null;
+        }
+
+        if (fromCode === toCode) {
+            return { amount, rate: 1, rate_date: null };
+        }
+
+        try {
+            const result = await this.getProvider().getRate(fromCode, toCode, date);
+            if (!result) {
+                console.warn(`⚠️ No exchange rate for ${fromCode} → ${toCode}`);
+                return null;
+            }
+
+            return {
+                amount: this.roundAmount(amount * result.rate),
+                rate: result.rate,
+                rate_date: result.date
+            };
+        } catch (error) {
+            console.error('❌ Currency conversion error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Home-currency fields stored on a transaction. The original amount and
+     * currency stay in `amount` / `currency`.
+     */
+    async getHomeAmountFields(amount, currency, timestamp, homeCurrency) {
+        const converted = await this.convert(amount, currency, homeCurrency, timestamp);
+
+        return {
+            home_currency: homeCurrency,
+            home_amount: converted ? converted.amount : null,
+            exchange_rate: converted ? converted.rate : null,
+            exchange_rate_date: converted ? converted.rate_date : null
+        };
+    }
+
+    /**
+     * Copies of the transactions with `amount` expressed in the target
+     * currency, for analytics. Stored home amounts are reused when they match;
+     * transactions that cannot be converted are left out and counted.
+     */
+    async convertTransactions(transactions, targetCurrency) {
+        const converted = [];
+        let unconvertedCount = 0;
+
+        for (const transaction of transactions) {
+            const originalCurrency = this.normalizeCurrency(transaction.currency) || this.defaultCurrency;
+            let amount = null;
+
+            if (transaction.home_currency === targetCurrency && typeof transaction.home_amount === 'number') {
+                amount = transaction.home_amount;
+            } else {
+                const result = await this.convert(transaction.amount || 0, originalCurrency, targetCurrency, transaction.timestamp);
+                amount = result ? result.amount : null;
+            }
+
+            if (amount === null) {
+                unconvertedCount++;
+                continue;
+            }
+
+            converted.push({
+                ...transaction,
+                original_amount: transaction.amount,
+                original_currency: originalCurrency,
+                amount: amount,
+                currency: targetCurrency
+            });
+        }
+
+        return { transactions: converted, unconverted_count: unconvertedCount };
+    }
+
+    roundAmount(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,276 @@
+/**
+ * Minimal RFC 822 / MIME parser for receipt emails: headers, multipart
+ * bodies, base64 and quoted-printable transfer encodings, and HTML-to-text.
+ */
+class EmailParserService {
+    constructor() {
+        // Bodies longer than this are truncated before prompting
+        this.maxBodyLength = 20000;
+
+        // Multipart nesting deeper than this is ignored
+        this.maxDepth = 10;
+
+        // HTML bodies are cut to this length before conversion to text
+        this.maxHtmlLength = 500000;
+    }
+
+    /**
+     * Parse a raw message into the shape processEmailInput expects
+     * @param {string|Buffer} raw - full RFC 822 message
+     * @returns {Object} { subject, sender, body, date, message_id, headers, attachments }
+     */
+    parse(raw) {
+        const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : String(raw);
+        const { headers, body } = this.splitMessage(source);
+
+        const parts = { text: [], html: [], attachments: [] };
+        this.collectParts(headers, body, parts, 0);
+
+        const text = parts.text.length > 0
+            ? parts.text.join('\n\n')
+            : this.htmlToText(parts.html.join('\n'));
+
+        const date = headers.date ? new Date(headers.date) : null;
+
+        return {
+            subject: this.decodeHeader(headers.subject || ''),
+            sender: this.decodeHeader(headers.from || ''),
+            body: text.trim().slice(0, this.maxBodyLength),
+            date: date && !isNaN(date.getTime()) ? date.toISOString() : null,
+            message_id: (headers['message-id'] || '').replace(/[<>]/g, '').trim() || null,
+            headers: headers,
+            attachments: parts.attachments
+        };
+    }
+
+    /**
+     * Split a message or MIME part into lower-cased headers and the raw body
+     */
+    splitMessage(source) {
+        const separator = source.match(/\r?\n\r?\n/);
+        const headerText = separator ? source.slice(0, separator.index) : source;
+        const body = separator ? source.slice(separator.index + separator[0].length) : '';
+
+        const headers = {};
+        // Unfold continuation lines before splitting
+        headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                const name = line.slice(0, colon).trim().toLowerCase();
+                // Keep the first occurrence (e.g. the topmost Received is irrelevant here)
+                if (headers[name] === undefined) {
+                    headers[name] = line.slice(colon + 1).trim();
+                }
+            }
+        });
+
+        return { headers, body };
+    }
+
+    /**
+     * Split "text/html; charset=utf-8; boundary=x" into a value and parameters
+     */
+    parseHeaderValue(value = '') {
+        const [main, ...rest] = value.split(';');
+        const params = {};
+
+        rest.forEach(param => {
+            const equals = param.indexOf('=');
+            if (equals > 0) {
+                const key = param.slice(0, equals).trim().toLowerCase();
+                params[key] = param.slice(equals + 1).trim().replace(/^"|"$/g, '');
+            }
+        });
+
+        return { value: main.trim().toLowerCase(), params };
+    }
+
+    collectParts(headers, body, parts, depth) {
+        if (depth > this.maxDepth) {
+            return;
+        }
+
+        const contentType = this.parseHeaderValue(headers['content-type'] || 'text/plain');
+        const disposition = this.parseHeaderValue(headers['content-disposition'] || '');
+
+        if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+            this.splitMultipart(body, contentType.params.boundary).forEach(part => {
+                const child = this.splitMessage(part);
+                this.collectParts(child.headers, child.body, parts, depth + 1);
+            });
+            return;
+        }
+
+        if (contentType.value === 'message/rfc822') {
+            const child = this.splitMessage(body);
+            this.collectParts(child.headers, child.body, parts, depth + 1);
+            return;
+        }
+
+        const filename = disposition.params.filename || contentType.params.name || null;
+        const isAttachment = disposition.value === 'attachment' ||
+            (filename && !contentType.value.startsWith('text/'));
+
+        const decoded = this.decodeBody(body, headers['content-transfer-encoding']);
+
+        if (isAttachment) {
+            parts.attachments.push({
+                filename: filename ? this.decodeHeader(filename) : null,
+                mimeType: contentType.value,
+                size: decoded.length,
+                content: decoded
+            });
+            return;
+        }
+
+        const charset = contentType.params.charset || 'utf-8';
+        if (contentType.value === 'text/plain') {
+            parts.text.push(this.decodeCharset(decoded, charset));
+        } else if (contentType.value === 'text/html') {
+            parts.html.push(this.decodeCharset(decoded, charset));
+        }
+    }
+
+    splitMultipart(body, boundary) {
+        const delimiter = `--${boundary}`;
+        const sections = body.split(delimiter);
+
+        // Drop the preamble and everything after the closing delimiter
+        return sections.slice(1)
+            .filter(section => !section.startsWith('--'))
+            .map(section => section.replace(/^\r?\n/, '').replace(/\r?\n$/, ''));
+    }
+
+    /**
+     * @returns {Buffer} Body bytes after undoing the transfer encoding
+     */
+    decodeBody(body, encoding = '') {
+        switch (encoding.trim().toLowerCase()) {
+            case 'base64':
+                return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+            case 'quoted-printable':
+                return this.decodeQuotedPrintable(body);
+            default:
+                return Buffer.from(body, 'latin1');
+        }
+    }
+
+    decodeQuotedPrintable(body) {
+        const bytes = [];
+        const text = body.replace(/=\r?\n/g, '');
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+                bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+                i += 2;
+            } else {
+                bytes.push(text.charCodeAt(i) & 0xff);
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    decodeCharset(buffer, charset) {
+        try {
+            return new TextDecoder(charset.toLowerCase()).decode(buffer);
+        } catch (error) {
+            // Unknown charset label
+            return buffer.toString('utf8');
+        }
+    }
+
+    /**
+     * Decode RFC 2047 encoded words ("=?UTF-8?B?...?=")
+     */
+    decodeHeader(value) {
+        // Raw 8-bit headers are read as latin1 by splitMessage; recover UTF-8
+        const header = /[\u0080-\u00FF]/.test(value)
+            ? Buffer.from(value, 'latin1').toString('utf8')
+            : value;
+
+        return header
+            .replace(/\?=\s+=\?/g, '?==?')
+            .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+                const bytes = encoding.toUpperCase() === 'B'
+                    ? Buffer.from(text, 'base64')
+                    : this.decodeQuotedPrintable(text.replace(/_/g, ' '));
+                return this.decodeCharset(bytes, charset);
+            });
+    }
+
+    /**
+     * Plain text of an HTML body. Tags are found with indexOf in a single
+     * pass, so unclosed tags cost linear time.
+     */
+    htmlToText(html) {
+        const source = html.slice(0, this.maxHtmlLength);
+        const lower = source.toLowerCase();
+        const chunks = [];
+        let position = 0;
+
+        while (position < source.length) {
+            const open = source.indexOf('<', position);
+            if (open === -1) {
+                chunks.push(source.slice(position));
+                break;
+            }
+            chunks.push(source.slice(position, open));
+
+            const close = source.indexOf('>', open + 1);
+            if (close === -1) {
+                chunks.push(source.slice(open));
+                break;
+            }
+
+            const tag = /^(\/?)([a-z0-9]+)/.exec(lower.slice(open + 1, Math.min(close, open + 12)));
+            const name = tag ? tag[2] : '';
+            position = close + 1;
+
+            if (!tag) {
+                chunks.push(' ');
+            } else if (!tag[1] && ['script', 'style', 'head'].includes(name)) {
+                // Skip to the matching closing tag, or drop the rest
+                const end = lower.indexOf(`</${name}`, position);
+                const endClose = end === -1 ? -1 : source.indexOf('>', end);
+                position = endClose === -1 ? source.length : endClose + 1;
+                chunks.push(' ');
+            } else if (name === 'br') {
+                chunks.push('\n');
+            } else if (tag[1] && /^(p|div|tr|li|h[1-6]|table)$/.test(name)) {
+                chunks.push('\n');
+            } else if (tag[1] && (name === 'td' || name === 'th')) {
+                chunks.push('\t');
+            } else {
+                chunks.push(' ');
+            }
+        }
+
+        return this.decodeEntities(chunks.join(''))
+            .replace(/[^\S\n]+/g, ' ')
+            .replace(/ ?\n[\s]*/g, '\n')
+            .trim();
+    }
+
+    /**
+     * Decode HTML character references in one pass, so "&amp;lt;" becomes
+     * "&lt;" rather than "<"
+     */
+    decodeEntities(text) {
+        const named = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+        return text.replace(/&(#\d{1,7}|#x[0-9a-f]{1,6}|[a-z]{2,8});/gi, (_, entity) => {
+            if (entity[0] !== '#') {
+                return named[entity.toLowerCase()] ?? ' ';
+            }
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF)
+                ? String.fromCodePoint(code)
+                : ' ';
+        });
+    }
+}
+
+module.exports = new EmailParserService();
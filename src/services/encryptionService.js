@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+/**
+ * Encryption at rest for secrets kept in Firestore (Gmail refresh tokens).
+ * AES-256-GCM with the 32-byte key in TOKEN_ENCRYPTION_KEY (base64);
+ * values are stored as "enc:v1:<iv>:<auth tag>:<ciphertext>".
+ */
+class EncryptionService {
+    constructor() {
+        this.prefix = 'enc:v1:';
+        this.key = null;
+    }
+
+    getKey() {
+        if (!this.key) {
+            const key = Buffer.from(process.env.TOKEN_ENCRYPTION_KEY || '', 'base64');
+            if (key.length !== 32) {
+                throw new Error('TOKEN_ENCRYPTION_KEY must be a base64-encoded 32-byte key');
+            }
+            this.key = key;
+        }
+        return this.key;
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(this.prefix);
+    }
+
+    encrypt(plaintext) {
+        if (plaintext === null || plaintext === undefined) {
+            return plaintext;
+        }
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+        return `${this.prefix}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+    }
+
+    decrypt(value) {
+        if (!this.isEncrypted(value)) {
+            throw new Error('Failed to decrypt secret: value is not encrypted');
+        }
+
+        try {
+            const [iv, tag, ciphertext] = value.slice(this.prefix.length).split(':')
+                .map(part => Buffer.from(part, 'base64'));
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), iv);
+            decipher.setAuthTag(tag);
+
+            return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+
+        } catch (error) {
+            throw new Error(`Failed to decrypt secret: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new EncryptionService();
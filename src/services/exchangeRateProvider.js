@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Exchange-rate provider backed by a local JSON file:
+ * { "base": "USD", "rates": { "YYYY-MM-DD": { "INR": 85.6, ... } } }
+ *
+ * Any provider used by the currency service must implement
+ * getRate(from, to, date) => Promise<{ rate, date } | null>.
+ */
+class LocalRatesProvider {
+    constructor(filePath = path.join(__dirname, '../config/exchangeRates.json')) {
+        this.filePath = filePath;
+        this.data = null;
+        this.dates = [];
+    }
+
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.dates = Object.keys(this.data.rates || {}).sort();
+            console.log(`✅ Loaded exchange rates for ${this.dates.length} dates from ${this.filePath}`);
+            return this.data;
+        } catch (error) {
+            console.error('❌ Error loading exchange rates:', error.message);
+            throw new Error(`Failed to load exchange rates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rate table for the latest date on or before the given date. Dates before
+     * the first entry use the earliest table.
+     */
+    getRatesForDate(date) {
+        this.load();
+
+        if (this.dates.length === 0) {
+            return null;
+        }
+
+        const parsed = new Date(date || Date.now());
+        const day = (isNaN(parsed.getTime()) ? new Date() : parsed).toISOString().slice(0, 10);
+        let chosen = this.dates[0];
+        for (const candidate of this.dates) {
+            if (candidate <= day) {
+                chosen = candidate;
+            } else {
+                break;
+            }
+        }
+
+        return { date: chosen, rates: this.data.rates[chosen] };
+    }
+
+    async getRate(from, to, date) {
+        if (from === to) {
+            return { rate: 1, date: null };
+        }
+
+        const table = this.getRatesForDate(date);
+        if (!table) {
+            return null;
+        }
+
+        // Cross rate through the file's base currency
+        const fromRate = table.rates[from];
+        const toRate = table.rates[to];
+        if (!fromRate || !toRate) {
+            return null;
+        }
+
+        return { rate: toRate / fromRate, date: table.date };
+    }
+}
+
+module.exports = { LocalRatesProvider };
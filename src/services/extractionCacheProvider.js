@@ -0,0 +1,75 @@
+const firebaseService = require('./firebaseService');
+
+/**
+ * Stores for cached extractions. Any cache used by the extraction cache
+ * service must implement:
+ *   get(key) => Promise<{ value, cached_at }|null>   null when missing or expired
+ *   set(key, value, ttlMs) => Promise<void>
+ * Values are stored as JSON, so every get returns a fresh copy.
+ */
+class MemoryCache {
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return { value: JSON.parse(entry.value), cached_at: entry.cachedAt };
+    }
+
+    async set(key, value, ttlMs) {
+        // Oldest entries go first once the cache is full
+        this.entries.delete(key);
+        while (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, {
+            value: JSON.stringify(value),
+            cachedAt: new Date().toISOString(),
+            expiresAt: Date.now() + ttlMs
+        });
+    }
+}
+
+/**
+ * Shared across instances in the `extraction_cache` collection. Expired
+ * documents are ignored on read; a Firestore TTL policy on `expires_at`
+ * deletes them.
+ */
+class FirestoreCache {
+    async get(key) {
+        const entry = await firebaseService.getExtractionCache(key);
+        if (!entry) {
+            return null;
+        }
+
+        const expiresAt = typeof entry.expires_at?.toMillis === 'function'
+            ? entry.expires_at.toMillis()
+            : new Date(entry.expires_at).getTime();
+        if (!(expiresAt > Date.now())) {
+            return null;
+        }
+
+        return { value: JSON.parse(entry.value), cached_at: entry.cached_at };
+    }
+
+    async set(key, value, ttlMs) {
+        await firebaseService.saveExtractionCache(key, {
+            value: JSON.stringify(value),
+            cached_at: new Date().toISOString(),
+            // A Date is stored as a Firestore timestamp, which TTL policies require
+            expires_at: new Date(Date.now() + ttlMs)
+        });
+    }
+}
+
+module.exports = { MemoryCache, FirestoreCache };
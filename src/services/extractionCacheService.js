@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { MemoryCache, FirestoreCache } = require('./extractionCacheProvider');
+
+/**
+ * Content-addressed cache of Gemini extractions, so a re-uploaded receipt
+ * or a webhook that fires twice doesn't cost a second call. EXTRACTION_CACHE
+ * selects the store: "memory" (default), "firestore" or "none".
+ * A cache that fails is skipped; it never fails an extraction.
+ */
+class ExtractionCacheService {
+    constructor() {
+        this.cache = undefined;
+        this.ttlMs = (parseFloat(process.env.EXTRACTION_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    }
+
+    /**
+     * Replace the cache
+     * @param {Object|null} cache - implements get, set; null disables caching
+     */
+    setCache(cache) {
+        this.cache = cache;
+    }
+
+    getCache() {
+        if (this.cache === undefined) {
+            const driver = process.env.EXTRACTION_CACHE || 'memory';
+            this.cache = driver === 'none' ? null : (driver === 'firestore' ? new FirestoreCache() : new MemoryCache());
+        }
+        return this.cache;
+    }
+
+    /**
+     * @param {Object} parts - everything the extraction depends on: user, model,
+     *   prompt versions and the request contents (rendered prompt and media)
+     * @returns {string} sha256 of the parts
+     */
+    buildKey(parts) {
+        return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    }
+
+    /**
+     * @returns {Promise<Object|null>} { value, cached_at }, or null on a miss
+     */
+    async get(key) {
+        const cache = this.getCache();
+        if (!cache) {
+            return null;
+        }
+
+        try {
+            return await cache.get(key);
+        } catch (error) {
+            console.error('❌ Extraction cache read failed:', error.message);
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        const cache = this.getCache();
+        if (!cache) {
+            return;
+        }
+
+        try {
+            await cache.set(key, value, this.ttlMs);
+        } catch (error) {
+            console.error('❌ Extraction cache write failed:', error.message);
+        }
+    }
+}
+
+module.exports = new ExtractionCacheService();
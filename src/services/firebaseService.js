@@ -5,12 +5,18 @@ const {
     addDoc,
     getDoc,
     getDocs,
+    setDoc,
     updateDoc,
     deleteDoc,
     query,
     where,
     orderBy,
-    limit
+    limit,
+    startAfter,
+    documentId,
+    getCountFromServer,
+    increment,
+    runTransaction
 } = require('firebase/firestore');
 
 class FirebaseService {
@@ -45,27 +51,7 @@ class FirebaseService {
         try {
             console.log(`📊 Fetching transactions for user: ${userId}`);
 
-            // Build query constraints
-            const constraints = [where('userId', '==', userId)];
-
-            // Apply filters
-            if (filters.category) {
-                constraints.push(where('category', '==', filters.category));
-            }
-
-            if (filters.startDate) {
-                constraints.push(where('timestamp', '>=', filters.startDate));
-            }
-
-            if (filters.endDate) {
-                constraints.push(where('timestamp', '<=', filters.endDate));
-            }
-
-            if (filters.status) {
-                constraints.push(where('status', '==', filters.status));
-            } else {
-                constraints.push(where('status', '==', 'active')); // Default to active
-            }
+            const constraints = this.buildTransactionConstraints(userId, filters);
 
             // Add ordering
             constraints.push(orderBy('timestamp', 'desc'));
@@ -95,6 +81,124 @@ class FirebaseService {
         }
     }
 
+    /**
+     * Fetch one page of transactions ordered by timestamp (newest first).
+     * Pages are chained with an opaque cursor built from the last document's
+     * timestamp and id, so ties on timestamp are still stable.
+     */
+    async getUserTransactionsPage(userId, filters = {}) {
+        try {
+            console.log(`📊 Fetching transaction page for user: ${userId}`);
+
+            const pageSize = filters.limit || 50;
+            const baseConstraints = this.buildTransactionConstraints(userId, filters);
+            const constraints = [
+                ...baseConstraints,
+                orderBy('timestamp', 'desc'),
+                orderBy(documentId(), 'desc')
+            ];
+
+            if (filters.cursor) {
+                const cursor = this.decodeCursor(filters.cursor);
+                constraints.push(startAfter(cursor.timestamp, cursor.id));
+            }
+
+            // Fetch one extra document to know whether another page exists
+            constraints.push(limit(pageSize + 1));
+
+            const q = query(collection(this.db, 'transactions'), ...constraints);
+            const snapshot = await getDocs(q);
+            const transactions = [];
+
+            snapshot.forEach(doc => {
+                transactions.push({
+                    id: doc.id,
+                    ...doc.data()
+                });
+            });
+
+            const hasMore = transactions.length > pageSize;
+            const page = hasMore ? transactions.slice(0, pageSize) : transactions;
+            const nextCursor = hasMore ? this.encodeCursor(page[page.length - 1]) : null;
+
+            const totalCount = await this.countTransactions(baseConstraints);
+
+            console.log(`✅ Found ${page.length} transactions (has more: ${hasMore})`);
+            return {
+                transactions: page,
+                next_cursor: nextCursor,
+                has_more: hasMore,
+                total_count: totalCount
+            };
+
+        } catch (error) {
+            console.error('❌ Error fetching transaction page:', error.message);
+            throw new Error(`Failed to fetch transactions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count transactions matching the filters. This is only a hint for the
+     * client, so failures return null instead of failing the page.
+     */
+    async countTransactions(constraints) {
+        try {
+            const q = query(collection(this.db, 'transactions'), ...constraints);
+            const snapshot = await getCountFromServer(q);
+            return snapshot.data().count;
+        } catch (error) {
+            console.error('⚠️ Error counting transactions:', error.message);
+            return null;
+        }
+    }
+
+    buildTransactionConstraints(userId, filters = {}) {
+        // Build query constraints
+        const constraints = [where('userId', '==', userId)];
+
+        // Apply filters
+        if (filters.category) {
+            constraints.push(where('category', '==', filters.category));
+        }
+
+        if (filters.subcategory) {
+            constraints.push(where('subcategory', '==', filters.subcategory));
+        }
+
+        if (filters.startDate) {
+            constraints.push(where('timestamp', '>=', filters.startDate));
+        }
+
+        if (filters.endDate) {
+            constraints.push(where('timestamp', '<=', filters.endDate));
+        }
+
+        if (filters.status) {
+            constraints.push(where('status', '==', filters.status));
+        } else {
+            constraints.push(where('status', '==', 'active')); // Default to active
+        }
+
+        return constraints;
+    }
+
+    encodeCursor(transaction) {
+        const payload = JSON.stringify({ t: transaction.timestamp, id: transaction.id });
+        return Buffer.from(payload).toString('base64url');
+    }
+
+    decodeCursor(token) {
+        try {
+            const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+            if (typeof payload.t !== 'string' || typeof payload.id !== 'string') {
+                throw new Error('missing fields');
+            }
+            return { timestamp: payload.t, id: payload.id };
+        } catch (error) {
+            throw new Error('Validation failed: invalid cursor');
+        }
+    }
+
     async updateTransaction(transactionId, updateData) {
         try {
             console.log(`📝 Updating transaction: ${transactionId}`);
@@ -159,7 +263,10 @@ class FirebaseService {
             }
 
             // Soft delete by updating status
-            await this.updateTransaction(transactionId, { status: 'deleted' });
+            await this.updateTransaction(transactionId, {
+                status: 'deleted',
+                deleted_at: new Date().toISOString()
+            });
 
             console.log('✅ Transaction deleted successfully');
             return true;
@@ -170,6 +277,41 @@ class FirebaseService {
         }
     }
 
+    async restoreTransaction(transactionId, userId) {
+        try {
+            console.log(`♻️ Restoring transaction: ${transactionId}`);
+
+            // Verify ownership
+            const docRef = doc(this.db, 'transactions', transactionId);
+            const docSnap = await getDoc(docRef);
+
+            if (!docSnap.exists()) {
+                throw new Error('Transaction not found');
+            }
+
+            const transaction = docSnap.data();
+            if (transaction.userId !== userId) {
+                throw new Error('Unauthorized to restore this transaction');
+            }
+
+            if (transaction.status !== 'deleted') {
+                throw new Error('Validation failed: transaction is not deleted');
+            }
+
+            await this.updateTransaction(transactionId, {
+                status: 'active',
+                deleted_at: null
+            });
+
+            console.log('✅ Transaction restored successfully');
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error restoring transaction:', error.message);
+            throw new Error(`Failed to restore transaction: ${error.message}`);
+        }
+    }
+
     // ==================== REMINDER METHODS ====================
 
     async saveReminder(reminderData) {
@@ -256,17 +398,20 @@ class FirebaseService {
         }
     }
 
-    async getDueReminders(daysAhead = 7) {
+    async getDueReminders(daysAhead = 7, userId = null) {
         try {
             const now = new Date();
             const futureDate = new Date();
             futureDate.setDate(now.getDate() + daysAhead);
 
-            // Simple query to get all active reminders
+            // Simple query to get all active reminders, or one user's
             const constraints = [
                 where('status', '==', 'active'),
                 where('reminder_sent', '==', false)
             ];
+            if (userId) {
+                constraints.push(where('userId', '==', userId));
+            }
 
             const q = query(collection(this.db, 'reminders'), ...constraints);
             const snapshot = await getDocs(q);
@@ -290,8 +435,517 @@ class FirebaseService {
         }
     }
 
+    // ==================== CATEGORY METHODS ====================
+
+    async getUserCategories(userId) {
+        try {
+            const docRef = doc(this.db, 'user_categories', userId);
+            const docSnap = await getDoc(docRef);
+
+            if (!docSnap.exists()) {
+                return null;
+            }
+
+            return docSnap.data().categories || null;
+
+        } catch (error) {
+            console.error('❌ Error getting user categories:', error.message);
+            throw new Error(`Failed to get user categories: ${error.message}`);
+        }
+    }
+
+    async saveUserCategories(userId, categories) {
+        try {
+            const docRef = doc(this.db, 'user_categories', userId);
+            await setDoc(docRef, {
+                userId: userId,
+                categories: categories,
+                updated_at: new Date().toISOString()
+            });
+
+            console.log(`✅ Categories saved for user: ${userId}`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error saving user categories:', error.message);
+            throw new Error(`Failed to save user categories: ${error.message}`);
+        }
+    }
+
+    // ==================== RULE METHODS ====================
+
+    async saveRule(ruleData) {
+        try {
+            const docRef = await addDoc(collection(this.db, 'categorization_rules'), {
+                ...ruleData,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+
+            console.log(`✅ Rule saved with ID: ${docRef.id}`);
+            return docRef.id;
+
+        } catch (error) {
+            console.error('❌ Error saving rule:', error.message);
+            throw new Error(`Failed to save rule: ${error.message}`);
+        }
+    }
+
+    async getRule(ruleId, userId) {
+        try {
+            const docRef = doc(this.db, 'categorization_rules', ruleId);
+            const docSnap = await getDoc(docRef);
+
+            if (!docSnap.exists()) {
+                throw new Error('Rule not found');
+            }
+
+            const rule = docSnap.data();
+            if (rule.userId !== userId) {
+                throw new Error('Unauthorized to access this rule');
+            }
+
+            return { id: docSnap.id, ...rule };
+
+        } catch (error) {
+            console.error('❌ Error getting rule:', error.message);
+            throw new Error(`Failed to get rule: ${error.message}`);
+        }
+    }
+
+    async getUserRules(userId) {
+        try {
+            const q = query(collection(this.db, 'categorization_rules'), where('userId', '==', userId));
+            const snapshot = await getDocs(q);
+            const rules = [];
+
+            snapshot.forEach(doc => {
+                rules.push({ id: doc.id, ...doc.data() });
+            });
+
+            return rules;
+
+        } catch (error) {
+            console.error('❌ Error getting user rules:', error.message);
+            throw new Error(`Failed to get user rules: ${error.message}`);
+        }
+    }
+
+    async updateRule(ruleId, updateData) {
+        try {
+            const docRef = doc(this.db, 'categorization_rules', ruleId);
+            await updateDoc(docRef, {
+                ...updateData,
+                updated_at: new Date().toISOString()
+            });
+
+            console.log(`✅ Rule updated: ${ruleId}`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error updating rule:', error.message);
+            throw new Error(`Failed to update rule: ${error.message}`);
+        }
+    }
+
+    async deleteRule(ruleId) {
+        try {
+            await deleteDoc(doc(this.db, 'categorization_rules', ruleId));
+
+            console.log(`✅ Rule deleted: ${ruleId}`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error deleting rule:', error.message);
+            throw new Error(`Failed to delete rule: ${error.message}`);
+        }
+    }
+
+    // ==================== CATEGORY CORRECTION METHODS ====================
+
+    async getCategoryCorrection(correctionId) {
+        try {
+            const docSnap = await getDoc(doc(this.db, 'category_corrections', correctionId));
+            return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+
+        } catch (error) {
+            console.error('❌ Error getting category correction:', error.message);
+            throw new Error(`Failed to get category correction: ${error.message}`);
+        }
+    }
+
+    async saveCategoryCorrection(correctionId, correctionData) {
+        try {
+            await setDoc(doc(this.db, 'category_corrections', correctionId), {
+                ...correctionData,
+                updated_at: new Date().toISOString()
+            });
+            return correctionId;
+
+        } catch (error) {
+            console.error('❌ Error saving category correction:', error.message);
+            throw new Error(`Failed to save category correction: ${error.message}`);
+        }
+    }
+
+    async getUserCategoryCorrections(userId) {
+        try {
+            const q = query(collection(this.db, 'category_corrections'), where('userId', '==', userId));
+            const snapshot = await getDocs(q);
+            const corrections = [];
+
+            snapshot.forEach(doc => {
+                corrections.push({ id: doc.id, ...doc.data() });
+            });
+
+            return corrections;
+
+        } catch (error) {
+            console.error('❌ Error getting category corrections:', error.message);
+            throw new Error(`Failed to get category corrections: ${error.message}`);
+        }
+    }
+
+    async deleteCategoryCorrection(correctionId) {
+        try {
+            await deleteDoc(doc(this.db, 'category_corrections', correctionId));
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error deleting category correction:', error.message);
+            throw new Error(`Failed to delete category correction: ${error.message}`);
+        }
+    }
+
+    // ==================== BATCH METHODS ====================
+
+    async saveBatch(batchId, batchData) {
+        try {
+            await setDoc(doc(this.db, 'receipt_batches', batchId), {
+                ...batchData,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+
+            console.log(`✅ Batch saved with ID: ${batchId}`);
+            return batchId;
+
+        } catch (error) {
+            console.error('❌ Error saving batch:', error.message);
+            throw new Error(`Failed to save batch: ${error.message}`);
+        }
+    }
+
+    async updateBatch(batchId, updateData) {
+        try {
+            await updateDoc(doc(this.db, 'receipt_batches', batchId), {
+                ...updateData,
+                updated_at: new Date().toISOString()
+            });
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error updating batch:', error.message);
+            throw new Error(`Failed to update batch: ${error.message}`);
+        }
+    }
+
+    /**
+     * Batches still queued or processing, across all users
+     */
+    async getUnfinishedBatches() {
+        try {
+            const q = query(collection(this.db, 'receipt_batches'), where('status', 'in', ['queued', 'processing']));
+            const snapshot = await getDocs(q);
+            const batches = [];
+
+            snapshot.forEach(doc => {
+                batches.push({ id: doc.id, ...doc.data() });
+            });
+
+            return batches;
+
+        } catch (error) {
+            console.error('❌ Error getting unfinished batches:', error.message);
+            throw new Error(`Failed to get unfinished batches: ${error.message}`);
+        }
+    }
+
+    async getBatch(batchId, userId) {
+        try {
+            const docSnap = await getDoc(doc(this.db, 'receipt_batches', batchId));
+
+            if (!docSnap.exists()) {
+                throw new Error('Batch not found');
+            }
+
+            const batch = docSnap.data();
+            if (batch.userId !== userId) {
+                throw new Error('Unauthorized to access this batch');
+            }
+
+            return { id: docSnap.id, ...batch };
+
+        } catch (error) {
+            console.error('❌ Error getting batch:', error.message);
+            throw new Error(`Failed to get batch: ${error.message}`);
+        }
+    }
+
+    // ==================== GMAIL METHODS ====================
+
+    async getGmailConnection(emailAddress) {
+        try {
+            const docSnap = await getDoc(doc(this.db, 'gmail_connections', emailAddress));
+            return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+
+        } catch (error) {
+            console.error('❌ Error getting Gmail connection:', error.message);
+            throw new Error(`Failed to get Gmail connection: ${error.message}`);
+        }
+    }
+
+    async getUserGmailConnections(userId) {
+        try {
+            const q = query(collection(this.db, 'gmail_connections'), where('userId', '==', userId));
+            const snapshot = await getDocs(q);
+            const connections = [];
+
+            snapshot.forEach(doc => {
+                connections.push({ id: doc.id, ...doc.data() });
+            });
+
+            return connections;
+
+        } catch (error) {
+            console.error('❌ Error getting user Gmail connections:', error.message);
+            throw new Error(`Failed to get Gmail connections: ${error.message}`);
+        }
+    }
+
+    async getAllGmailConnections() {
+        try {
+            const snapshot = await getDocs(collection(this.db, 'gmail_connections'));
+            const connections = [];
+
+            snapshot.forEach(doc => {
+                connections.push({ id: doc.id, ...doc.data() });
+            });
+
+            return connections;
+
+        } catch (error) {
+            console.error('❌ Error getting Gmail connections:', error.message);
+            throw new Error(`Failed to get Gmail connections: ${error.message}`);
+        }
+    }
+
+    async saveGmailConnection(emailAddress, connectionData) {
+        try {
+            await setDoc(doc(this.db, 'gmail_connections', emailAddress), {
+                ...connectionData,
+                updated_at: new Date().toISOString()
+            });
+            return emailAddress;
+
+        } catch (error) {
+            console.error('❌ Error saving Gmail connection:', error.message);
+            throw new Error(`Failed to save Gmail connection: ${error.message}`);
+        }
+    }
+
+    async updateGmailConnection(emailAddress, updateData) {
+        try {
+            await updateDoc(doc(this.db, 'gmail_connections', emailAddress), {
+                ...updateData,
+                updated_at: new Date().toISOString()
+            });
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error updating Gmail connection:', error.message);
+            throw new Error(`Failed to update Gmail connection: ${error.message}`);
+        }
+    }
+
+    async deleteGmailConnection(emailAddress) {
+        try {
+            await deleteDoc(doc(this.db, 'gmail_connections', emailAddress));
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error deleting Gmail connection:', error.message);
+            throw new Error(`Failed to delete Gmail connection: ${error.message}`);
+        }
+    }
+
+    async getProcessedEmail(processedId) {
+        try {
+            const docSnap = await getDoc(doc(this.db, 'processed_emails', processedId));
+            return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+
+        } catch (error) {
+            console.error('❌ Error getting processed email:', error.message);
+            throw new Error(`Failed to get processed email: ${error.message}`);
+        }
+    }
+
+    /**
+     * Atomically claim a message for processing: the claim is written only
+     * if `canClaim(existing)` allows it, so concurrent runs can't both win
+     * @param {Function} canClaim - (existing document or null) => boolean
+     * @returns {Promise<boolean>} Whether this caller holds the claim
+     */
+    async claimProcessedEmail(processedId, claim, canClaim) {
+        try {
+            const ref = doc(this.db, 'processed_emails', processedId);
+
+            return await runTransaction(this.db, async (transaction) => {
+                const docSnap = await transaction.get(ref);
+                const existing = docSnap.exists() ? docSnap.data() : null;
+
+                if (!canClaim(existing)) {
+                    return false;
+                }
+
+                const now = new Date().toISOString();
+                transaction.set(ref, {
+                    ...claim,
+                    claimed_at: now,
+                    created_at: existing?.created_at || now,
+                    updated_at: now
+                }, { merge: true });
+                return true;
+            });
+
+        } catch (error) {
+            console.error('❌ Error claiming processed email:', error.message);
+            throw new Error(`Failed to claim processed email: ${error.message}`);
+        }
+    }
+
+    async saveProcessedEmail(processedId, emailData) {
+        try {
+            await setDoc(doc(this.db, 'processed_emails', processedId), {
+                ...emailData,
+                updated_at: new Date().toISOString()
+            }, { merge: true });
+            return processedId;
+
+        } catch (error) {
+            console.error('❌ Error saving processed email:', error.message);
+            throw new Error(`Failed to save processed email: ${error.message}`);
+        }
+    }
+
+    // ==================== EXTRACTION CACHE ====================
+    async getExtractionCache(key) {
+        try {
+            const docSnap = await getDoc(doc(this.db, 'extraction_cache', key));
+            return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+
+        } catch (error) {
+            console.error('❌ Error getting cached extraction:', error.message);
+            throw new Error(`Failed to get cached extraction: ${error.message}`);
+        }
+    }
+
+    async saveExtractionCache(key, entry) {
+        try {
+            await setDoc(doc(this.db, 'extraction_cache', key), entry);
+            return key;
+
+        } catch (error) {
+            console.error('❌ Error saving cached extraction:', error.message);
+            throw new Error(`Failed to save cached extraction: ${error.message}`);
+        }
+    }
+
+    async deleteExtractionCache(key) {
+        try {
+            await deleteDoc(doc(this.db, 'extraction_cache', key));
+
+        } catch (error) {
+            console.error('❌ Error deleting cached extraction:', error.message);
+            throw new Error(`Failed to delete cached extraction: ${error.message}`);
+        }
+    }
+
+    // ==================== USAGE ====================
+    /**
+     * Add one call's counters to a user's daily totals, overall and by caller and model
+     */
+    async incrementDailyUsage(userId, date, counters, caller, model) {
+        try {
+            const increments = (values) => Object.fromEntries(
+                Object.entries(values).map(([key, value]) => [key, increment(value)])
+            );
+
+            await setDoc(doc(this.db, 'usage_daily', `${date}_${userId}`), {
+                user_id: userId,
+                date: date,
+                ...increments(counters),
+                by_caller: { [caller]: increments(counters) },
+                by_model: { [model]: increments(counters) },
+                updated_at: new Date().toISOString()
+            }, { merge: true });
+
+        } catch (error) {
+            console.error('❌ Error saving usage:', error.message);
+            throw new Error(`Failed to save usage: ${error.message}`);
+        }
+    }
+
+    async getDailyUsage(userId, date) {
+        try {
+            const docSnap = await getDoc(doc(this.db, 'usage_daily', `${date}_${userId}`));
+            return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+
+        } catch (error) {
+            console.error('❌ Error getting usage:', error.message);
+            throw new Error(`Failed to get usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Daily usage documents of every user between two dates (YYYY-MM-DD, inclusive)
+     */
+    async getUsageBetween(startDate, endDate) {
+        try {
+            const usageQuery = query(
+                collection(this.db, 'usage_daily'),
+                where('date', '>=', startDate),
+                where('date', '<=', endDate)
+            );
+            const querySnapshot = await getDocs(usageQuery);
+
+            return querySnapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+        } catch (error) {
+            console.error('❌ Error getting usage:', error.message);
+            throw new Error(`Failed to get usage: ${error.message}`);
+        }
+    }
+
+    // ==================== USER METHODS ====================
+
+    async getUserProfile(userId) {
+        try {
+            const docSnap = await getDoc(doc(this.db, 'users', userId));
+            return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+
+        } catch (error) {
+            console.error('❌ Error getting user profile:', error.message);
+            throw new Error(`Failed to get user profile: ${error.message}`);
+        }
+    }
+
     // ==================== ANALYTICS ====================
-    async getSpendingBaseline(userId, days = 30) {
+    /**
+     * Spending summary over the last `days`, with all amounts in one currency
+     * (the user's home currency unless given)
+     */
+    async getSpendingBaseline(userId, days = 30, currency = null) {
         try {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - days);
@@ -305,24 +959,34 @@ class FirebaseService {
             const q = query(collection(this.db, 'transactions'), ...constraints);
             const snapshot = await getDocs(q);
 
+            // Required lazily: currencyService depends on this service
+            const currencyService = require('./currencyService');
+            const targetCurrency = currency || await currencyService.getHomeCurrency(userId);
+
             if (snapshot.empty) {
                 return {
+                    currency: targetCurrency,
                     total_transactions: 0,
                     total_amount: 0,
                     avg_amount: 0,
                     category_spending: {},
-                    merchant_spending: {}
+                    merchant_spending: {},
+                    unconverted_transactions: 0
                 };
             }
 
-            const transactions = [];
+            const storedTransactions = [];
             snapshot.forEach(doc => {
-                transactions.push({ id: doc.id, ...doc.data() });
+                storedTransactions.push({ id: doc.id, ...doc.data() });
             });
 
+            // Never add amounts in different currencies together
+            const conversion = await currencyService.convertTransactions(storedTransactions, targetCurrency);
+            const transactions = conversion.transactions;
+
             // Calculate baseline metrics
             const totalAmount = transactions.reduce((sum, t) => sum + (t.amount || 0), 0);
-            const avgAmount = totalAmount / transactions.length;
+            const avgAmount = transactions.length > 0 ? totalAmount / transactions.length : 0;
 
             // Category breakdown
             const categorySpending = {};
@@ -341,11 +1005,13 @@ class FirebaseService {
             });
 
             return {
+                currency: targetCurrency,
                 total_transactions: transactions.length,
                 total_amount: totalAmount,
                 avg_amount: avgAmount,
                 category_spending: categorySpending,
-                merchant_spending: merchantSpending
+                merchant_spending: merchantSpending,
+                unconverted_transactions: conversion.unconverted_count
             };
 
         } catch (error) {
@@ -0,0 +1,192 @@
+/**
+ * Response schemas for every Gemini call that returns JSON. Each schema is
+ * sent as the call's responseSchema and used to validate the response
+ * (see structuredOutputService).
+ */
+const string = (extra = {}) => ({ type: 'STRING', nullable: true, ...extra });
+const number = (extra = {}) => ({ type: 'NUMBER', nullable: true, ...extra });
+const object = (properties, required = Object.keys(properties), extra = {}) => ({
+    type: 'OBJECT',
+    properties,
+    required,
+    ...extra
+});
+
+class GeminiSchemas {
+    constructor() {
+        this.actionTypes = ['expense', 'deletion', 'query'];
+        this.correlationTypes = ['duplicate', 'same_purchase', 'related', 'unrelated'];
+        this.recommendedActions = ['merge', 'keep_separate', 'flag_for_review'];
+    }
+
+    /**
+     * Category fields limited to the user's tree
+     */
+    categoryFields(categories) {
+        const subcategoryIds = [...new Set(categories.flatMap(category => (category.subcategories || []).map(sub => sub.id)))];
+
+        return {
+            category: string({ enum: categories.map(category => category.id) }),
+            subcategory: subcategoryIds.length > 0 ? string({ enum: subcategoryIds }) : string()
+        };
+    }
+
+    tax() {
+        return object({
+            name: { type: 'STRING' },
+            rate: number({ minimum: 0, maximum: 100 }),
+            amount: number()
+        }, ['name']);
+    }
+
+    lineItem(categories) {
+        return object({
+            name: { type: 'STRING' },
+            quantity: number({ minimum: 0 }),
+            unit_price: number(),
+            discount: number({ minimum: 0 }),
+            price: number(),
+            taxes: { type: 'ARRAY', items: this.tax() },
+            ...this.categoryFields(categories)
+        }, ['name']);
+    }
+
+    totals() {
+        return object({
+            subtotal: number(),
+            discount: number({ minimum: 0 }),
+            taxes: { type: 'ARRAY', items: this.tax() },
+            tax_total: number(),
+            tip: number({ minimum: 0 }),
+            service_charge: number({ minimum: 0 }),
+            round_off: number(),
+            prices_include_tax: { type: 'BOOLEAN', nullable: true }
+        }, [], { nullable: true });
+    }
+
+    /**
+     * Expense extraction for one input type; fields specific to a type
+     * (transcript, order_id, payment, invoice) are added for that type only
+     */
+    expense(categories, inputType) {
+        const properties = {
+            expense_detected: { type: 'BOOLEAN' },
+            merchant: string(),
+            amount: number({ minimum: 0 }),
+            currency: string(),
+            ...this.categoryFields(categories),
+            timestamp: string({ format: 'date-time' }),
+            confidence: { type: 'NUMBER', minimum: 0, maximum: 100 },
+            action_type: { type: 'STRING', enum: this.actionTypes },
+            deletion_target: string()
+        };
+        const required = Object.keys(properties);
+
+        if (inputType !== 'sms') {
+            properties.items = { type: 'ARRAY', items: this.lineItem(categories) };
+            properties.totals = this.totals();
+        }
+
+        if (inputType === 'audio') {
+            properties.transcript = string();
+        } else if (inputType === 'email') {
+            properties.order_id = string();
+        } else if (inputType === 'sms') {
+            properties.payment = object({
+                method: string({ enum: ['upi', 'card', 'account'] }),
+                account: string(),
+                vpa: string(),
+                reference: string(),
+                balance: number(),
+                sender: string()
+            }, [], { nullable: true });
+        } else if (inputType === 'pdf') {
+            properties.invoice = object({
+                number: string(),
+                billing_period_start: string(),
+                billing_period_end: string(),
+                due_date: string(),
+                subtotal: number(),
+                tax: number()
+            }, [], { nullable: true });
+        }
+
+        return object(properties, required);
+    }
+
+    /**
+     * Category for a merchant whose payment was parsed without Gemini
+     */
+    categorization(categories) {
+        return object({
+            ...this.categoryFields(categories),
+            confidence: { type: 'NUMBER', minimum: 0, maximum: 100 }
+        });
+    }
+
+    correlation() {
+        return object({
+            is_correlated: { type: 'BOOLEAN' },
+            confidence: { type: 'NUMBER', minimum: 0, maximum: 100 },
+            correlation_type: { type: 'STRING', enum: this.correlationTypes },
+            reason: { type: 'STRING' },
+            recommended_action: { type: 'STRING', enum: this.recommendedActions }
+        });
+    }
+
+    multipleCorrelation(count) {
+        const correlation = this.correlation();
+
+        return object({
+            correlations: {
+                type: 'ARRAY',
+                maxItems: count,
+                items: object({
+                    transaction_index: { type: 'INTEGER', minimum: 1, maximum: count },
+                    ...correlation.properties
+                })
+            }
+        });
+    }
+
+    reminder() {
+        return object({
+            needs_reminder: { type: 'BOOLEAN' },
+            reminder_type: { type: 'STRING', enum: ['subscription', 'bill', 'recurring', 'one_time'] },
+            frequency: { type: 'STRING', enum: ['monthly', 'yearly', 'weekly', 'quarterly', 'custom'] },
+            next_due_date: string({ format: 'date-time' }),
+            reminder_days_before: { type: 'INTEGER', minimum: 0, maximum: 60 },
+            confidence: { type: 'NUMBER', minimum: 0, maximum: 100 },
+            reason: { type: 'STRING' },
+            estimated_amount: number({ minimum: 0 }),
+            category: { type: 'STRING', enum: ['subscription', 'utility', 'insurance', 'loan', 'other'] }
+        });
+    }
+
+    anomaly() {
+        const strings = { type: 'ARRAY', items: { type: 'STRING' } };
+
+        return object({
+            anomaly_detected: { type: 'BOOLEAN' },
+            anomaly_score: { type: 'NUMBER', minimum: 0, maximum: 100 },
+            anomaly_reasons: strings,
+            potential_causes: strings,
+            risk_level: { type: 'STRING', enum: ['low', 'medium', 'high'] },
+            recommendations: strings
+        });
+    }
+
+    correlationAnalysis() {
+        const strings = { type: 'ARRAY', items: { type: 'STRING' } };
+
+        return object({
+            correlation_found: { type: 'BOOLEAN' },
+            correlation_strength: { type: 'NUMBER', minimum: 0, maximum: 100 },
+            correlation_factors: strings,
+            insights: strings,
+            recommendations: strings
+        });
+    }
+}
+
+module.exports = new GeminiSchemas();
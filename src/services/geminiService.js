@@ -1,4 +1,9 @@
-const { callGemini } = require('../client/geminiClient');
+const categoryService = require('./categoryService');
+const structuredOutputService = require('./structuredOutputService');
+const geminiSchemas = require('./geminiSchemas');
+const promptService = require('./promptService');
+const promptSafetyService = require('./promptSafetyService');
+const extractionCacheService = require('./extractionCacheService');
 
 class GeminiService {
     constructor() {
@@ -6,7 +11,23 @@ class GeminiService {
             FLASH: 'gemini-2.5-flash',
             PRO: 'gemini-2.5-pro',
         };
+        // Model for analysis calls; extractions pick theirs per request
         this.currentModel = this.models.FLASH;
+
+        // Extractions run on Flash; one with low confidence or missing fields is
+        // retried on Pro and the better result kept. GEMINI_ESCALATION=off disables it.
+        this.escalation = {
+            enabled: process.env.GEMINI_ESCALATION !== 'off',
+            model: this.models.PRO,
+            minConfidence: parseFloat(process.env.GEMINI_ESCALATION_CONFIDENCE) || 70,
+            requiredFields: ['merchant', 'amount', 'timestamp']
+        };
+
+        // Per-call timeouts (ms) for slower inputs; others use the client default
+        this.timeouts = {
+            pdf: 60000,
+            audio: 45000
+        };
     }
 
     setModel(modelName) {
@@ -18,7 +39,15 @@ class GeminiService {
         }
     }
 
-    async processExpenseInput(inputData) {
+    /**
+     * Extract expense data from an input
+     * @param {Object} inputData - { type, data, metadata }
+     * @param {Object} options - { categories, corrections, userId, locale, model } user
+     *   category tree and past category corrections for the prompt; userId and
+     *   locale pick the prompt version (see promptService); model is the first
+     *   model to try, Flash by default
+     */
+    async processExpenseInput(inputData, options = {}) {
         try {
             const { type, data, metadata = {} } = inputData;
 
@@ -28,78 +57,67 @@ class GeminiService {
 
             switch (type) {
                 case 'image':
-                    return await this.processImageInput(data, metadata);
+                    return await this.processImageInput(data, metadata, options);
                 case 'audio':
-                    return await this.processAudioInput(data, metadata);
+                    return await this.processAudioInput(data, metadata, options);
                 case 'text':
-                    return await this.processTextInput(data, metadata);
+                    return await this.processTextInput(data, metadata, options);
                 case 'email':
-                    return await this.processEmailInput(data, metadata);
+                    return await this.processEmailInput(data, metadata, options);
+                case 'pdf':
+                    return await this.processPdfInput(data, metadata, options);
+                case 'sms':
+                    return await this.processSmsInput(data, metadata, options);
                 default:
                     throw new Error(`Unsupported input type: ${type}`);
             }
 
         } catch (error) {
             console.error('❌ Expense processing error:', error.message);
-            throw new Error(`Failed to process ${inputData.type} input: ${error.message}`);
+            throw new Error(`Failed to process ${inputData.type} input: ${error.message}`, { cause: error });
         }
     }
 
-    async processImageInput(imageData, metadata) {
-        const prompt = `Extract expense data from this image and return ONLY a valid JSON object:
-{
-  "expense_detected": boolean,
-  "merchant": "store/restaurant name" or null,
-  "amount": number or null,
-  "currency": "currency code (e.g., INR, USD)" or null,
-  "items": [{"name": "item", "quantity": number, "price": number}] or [],
-  "timestamp": "YYYY-MM-DDTHH:MM:SSZ format" or null,
-  "category": "food|shopping|transport|entertainment|other" or null,
-  "confidence": number (0-100),
-  "action_type": "expense|deletion|query",
-  "deletion_target": "specific item to delete" or null
-}`;
-
-        // Extract base64 and mime type from imageData object
-        const base64Data = typeof imageData === 'string' ? imageData : imageData.base64;
-        const mimeType = typeof imageData === 'string' ? 'image/jpeg' : (imageData.mimeType || 'image/jpeg');
+    async processImageInput(imageData, metadata, options = {}) {
+        // Multi-frame uploads (GIF/TIFF pages) arrive as several normalized frames
+        const frames = typeof imageData === 'string'
+            ? [{ base64: imageData, mimeType: 'image/jpeg' }]
+            : (imageData.frames || [{ base64: imageData.base64, mimeType: imageData.mimeType || 'image/jpeg' }]);
+
+        const { text, prompt } = await promptService.render('image_extraction', {
+            ...this.getExtractionPromptVariables(options),
+            frames_note: frames.length > 1
+                ? `The receipt spans ${frames.length} images, in order; treat them as one receipt.\n`
+                : ''
+        }, options);
 
         const parts = [
-            { text: prompt },
-            {
+            { text },
+            ...frames.map(frame => ({
                 inline_data: {
-                    mime_type: mimeType,
-                    data: base64Data
+                    mime_type: frame.mimeType,
+                    data: frame.base64
                 }
-            }
+            }))
         ];
 
         const contents = [{ parts }];
-        const response = await callGemini(contents, this.currentModel);
-        return this.parseUnifiedResponse(response, 'image', metadata);
+        return this.extract(contents, 'image', metadata, { ...options, prompt });
     }
 
-    async processAudioInput(audioData, metadata) {
-        const prompt = `Extract expense information from this audio and return ONLY a valid JSON object:
-{
-  "expense_detected": boolean,
-  "merchant": "store/restaurant name" or null,
-  "amount": number or null,
-  "currency": "currency code (e.g., INR, USD)" or null,
-  "category": "food|shopping|transport|entertainment|other" or null,
-  "timestamp": "YYYY-MM-DDTHH:MM:SSZ format" or null,
-  "confidence": number (0-100),
-  "action_type": "expense|deletion|query",
-  "deletion_target": "specific item to delete" or null,
-  "transcript": "what the user said"
-}`;
+    async processAudioInput(audioData, metadata, options = {}) {
+        const { text, prompt } = await promptService.render(
+            'audio_extraction',
+            this.getExtractionPromptVariables(options),
+            options
+        );
 
         // Extract base64 and mime type from audioData object
         const base64Data = typeof audioData === 'string' ? audioData : audioData.base64;
         const mimeType = typeof audioData === 'string' ? 'audio/mp3' : (audioData.mimeType || 'audio/mp3');
 
         const parts = [
-            { text: prompt },
+            { text },
             {
                 inline_data: {
                     mime_type: mimeType,
@@ -109,135 +127,362 @@ class GeminiService {
         ];
 
         const contents = [{ parts }];
-        const response = await callGemini(contents, this.currentModel);
-        return this.parseUnifiedResponse(response, 'audio', metadata);
+        return this.extract(contents, 'audio', metadata, { ...options, prompt });
     }
 
-    async processTextInput(text, metadata) {
-        const prompt = `Extract expense information from this text: "${text}"
-
-Return ONLY a JSON object:
-{
-  "expense_detected": boolean,
-  "merchant": "store/restaurant name" or null,
-  "amount": number or null,
-  "currency": "currency code (e.g., INR, USD)" or null,
-  "category": "food|shopping|transport|entertainment|other" or null,
-  "timestamp": "YYYY-MM-DDTHH:MM:SSZ format" or null,
-  "confidence": number (0-100),
-  "action_type": "expense|deletion|query",
-  "deletion_target": "specific item to delete" or null
-}`;
-
-        const contents = [{ parts: [{ text: prompt }] }];
-        const response = await callGemini(contents, this.currentModel);
-        return this.parseUnifiedResponse(response, 'text', metadata);
+    async processTextInput(inputText, metadata, options = {}) {
+        const { text, prompt } = await promptService.render('text_extraction', {
+            ...this.getExtractionPromptVariables(options),
+            text_json: promptSafetyService.quote(inputText)
+        }, options);
+
+        const contents = [{ parts: [{ text }] }];
+        return this.extract(contents, 'text', metadata, { ...options, prompt, untrustedContent: inputText });
     }
 
-    async processEmailInput(emailData, metadata) {
-        const prompt = `Extract expense/transaction information from this email:
-
-Subject: ${emailData.subject}
-From: ${emailData.sender}
-Body: ${emailData.body}
-
-Return ONLY a JSON object:
-{
-  "expense_detected": boolean,
-  "merchant": "store/service name" or null,
-  "amount": number or null,
-  "currency": "currency code (e.g., INR, USD)" or null,
-  "category": "food|shopping|transport|entertainment|other" or null,
-  "timestamp": "YYYY-MM-DDTHH:MM:SSZ format" or null,
-  "confidence": number (0-100),
-  "action_type": "expense|deletion|query",
-  "deletion_target": "specific item to delete" or null,
-  "items": [{"name": "item", "quantity": number, "price": number}] or [],
-  "order_id": "order/transaction ID" or null
-}`;
-
-        const contents = [{ parts: [{ text: prompt }] }];
-        const response = await callGemini(contents, this.currentModel);
-        return this.parseUnifiedResponse(response, 'email', metadata);
+    async processEmailInput(emailData, metadata, options = {}) {
+        const { text, prompt } = await promptService.render('email_extraction', {
+            ...this.getExtractionPromptVariables(options),
+            subject_json: promptSafetyService.quote(emailData.subject),
+            sender_json: promptSafetyService.quote(emailData.sender),
+            body_json: promptSafetyService.quote(emailData.body)
+        }, options);
+
+        const contents = [{ parts: [{ text }] }];
+        return this.extract(contents, 'email', metadata, {
+            ...options,
+            prompt,
+            untrustedContent: `${emailData.sender || ''}\n${emailData.subject || ''}\n${emailData.body || ''}`
+        });
     }
 
-    parseUnifiedResponse(responseText, inputType, metadata) {
-        try {
-            let jsonText = responseText.trim();
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+    /**
+     * Transaction SMS that smsParserService couldn't match to a template
+     */
+    async processSmsInput(smsData, metadata, options = {}) {
+        const { text, prompt } = await promptService.render('sms_extraction', {
+            ...this.getExtractionPromptVariables(options),
+            sender_json: promptSafetyService.quote(smsData.sender || 'unknown'),
+            message_json: promptSafetyService.quote(smsData.message)
+        }, options);
+
+        const contents = [{ parts: [{ text }] }];
+        return this.extract(contents, 'sms', metadata, { ...options, prompt, untrustedContent: smsData.message });
+    }
 
-            const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                jsonText = jsonMatch[0];
-            }
+    /**
+     * Bills and invoices. The PDF is sent as a document so the model reads the
+     * rendered pages; the extracted text layer, when there is one, is included
+     * to make totals and line items on dense multi-page invoices easier to read.
+     * PDFs without a text layer that were rendered to page images (`pages`)
+     * are sent as those images instead.
+     */
+    async processPdfInput(pdfData, metadata, options = {}) {
+        const pages = pdfData.pages || [];
+
+        let pdfTextSection = '';
+        if (pdfData.text) {
+            pdfTextSection = `
+
+Text extracted from the PDF, as a JSON string (may be incomplete or out of order; prefer the rendered pages when they disagree):
+<pdf_text>
+${promptSafetyService.quote(pdfData.text)}
+</pdf_text>`;
+        } else if (pages.length) {
+            pdfTextSection = `
+
+The PDF has no text layer. Its pages are attached as ${pages.length} images, in order; treat them as one document.`;
+        }
+
+        const { text, prompt } = await promptService.render('pdf_extraction', {
+            ...this.getExtractionPromptVariables(options),
+            page_count: pdfData.pageCount || 1,
+            pdf_text_section: pdfTextSection
+        }, options);
 
-            // Fix common JSON issues
-            jsonText = jsonText.replace(/\n/g, ' '); // Remove newlines
-            // jsonText = jsonText.replace(/\s+/g, ' '); // Normalize whitespace
-            jsonText = jsonText.replace(/,\s*}/g, '}'); // Remove trailing commas before }
-            jsonText = jsonText.replace(/,\s*]/g, ']'); // Remove trailing commas before ]
+        const documentParts = pages.length
+            ? pages.map(page => ({ inline_data: { mime_type: page.mimeType, data: page.base64 } }))
+            : [{ inline_data: { mime_type: 'application/pdf', data: pdfData.base64 } }];
+
+        const contents = [{ parts: [{ text }, ...documentParts] }];
+        return this.extract(contents, 'pdf', metadata, { ...options, prompt, untrustedContent: pdfData.text });
+    }
 
-            const parsedData = JSON.parse(jsonText);
+    /**
+     * Category for a payment that smsParserService parsed without Gemini,
+     * from the merchant name alone
+     * @param {Object} options - { categories, corrections, userId, locale } as for extraction
+     * @returns {Promise<Object>} { category, subcategory, confidence, prompt }
+     */
+    async categorizeMerchant(merchant, paymentMethod, options = {}) {
+        const { text, prompt } = await promptService.render('merchant_categorization', {
+            ...this.getExtractionPromptVariables(options),
+            merchant_json: promptSafetyService.quote(merchant),
+            payment_method: paymentMethod || 'unknown'
+        }, options);
+        const system = await promptService.render('extraction_system', {}, options);
+
+        const contents = [{ parts: [{ text }] }];
+        const result = await structuredOutputService.generate(contents, {
+            model: this.models.FLASH,
+            schema: geminiSchemas.categorization(options.categories || categoryService.getDefaultCategories()),
+            label: 'merchant categorization',
+            systemInstruction: system.text,
+            caller: 'categorization',
+            userId: options.userId
+        });
+
+        return { ...result, prompt };
+    }
 
-            // Add metadata
-            parsedData.input_type = inputType;
-            parsedData.processed_at = new Date().toISOString();
-            parsedData.location = metadata.location || null;
+    /**
+     * Variables shared by the extraction templates
+     */
+    getExtractionPromptVariables(options) {
+        return {
+            category_fields: this.getCategoryPromptFields(options.categories),
+            line_item_fields: this.getLineItemPromptFields(),
+            corrections: this.getCorrectionPromptSection(options.corrections)
+        };
+    }
 
-            // Set defaults
-            parsedData.expense_detected = parsedData.expense_detected || false;
-            parsedData.confidence = parsedData.confidence || 0;
-            parsedData.action_type = parsedData.action_type || 'expense';
-            parsedData.currency = parsedData.currency || 'INR';
+    /**
+     * Category/subcategory lines for extraction prompts, built from the
+     * user's category tree (defaults when none is given)
+     */
+    getCategoryPromptFields(categories) {
+        const tree = categories || categoryService.getDefaultCategories();
+        return `  "category": "${categoryService.formatForPrompt(tree)}" (top-level id only) or null,
+  "subcategory": "one of the subcategories listed in parentheses for the chosen category" or null,`;
+    }
 
-            return parsedData;
+    /**
+     * Line item and receipt total fields for extraction prompts; the model's
+     * output is normalized and checked by lineItemService
+     */
+    getLineItemPromptFields() {
+        return `  "items": [{
+    "name": "item name as printed",
+    "quantity": number,
+    "unit_price": number or null,
+    "discount": number (discount on this line) or 0,
+    "price": number (line total after its discount) or null,
+    "taxes": [{"name": "tax component, e.g. CGST, SGST, IGST, VAT", "rate": number (percent) or null, "amount": number or null}] or [],
+    "category": "category id for this item, from the same list as category" or null,
+    "subcategory": "subcategory id for this item" or null
+  }] or [],
+  "totals": {
+    "subtotal": number (sum of line totals) or null,
+    "discount": number (bill-level discount) or null,
+    "taxes": [{"name": "tax component, e.g. CGST, SGST, IGST, VAT", "rate": number (percent) or null, "amount": number}] or [],
+    "tax_total": number or null,
+    "tip": number or null,
+    "service_charge": number or null,
+    "round_off": number (negative when rounded down) or null,
+    "prices_include_tax": boolean (true when item prices already include tax)
+  },`;
+    }
 
-        } catch (error) {
-            console.error('❌ Failed to parse response:', error.message);
-            return {
-                expense_detected: false,
-                merchant: null,
-                amount: null,
-                currency: 'INR',
-                category: null,
-                timestamp: null,
-                confidence: 0,
-                action_type: 'expense',
-                deletion_target: null,
-                input_type: inputType,
-                processed_at: new Date().toISOString(),
-                location: metadata.location || null,
-                parsing_error: error.message,
-                raw_response: responseText
-            };
+    /**
+     * Few-shot section with the user's own past category corrections
+     */
+    getCorrectionPromptSection(corrections) {
+        if (!corrections || corrections.length === 0) {
+            return '';
         }
+
+        const examples = corrections
+            .map(c => `- ${promptSafetyService.quote(c.merchant)} → ${c.category}${c.subcategory ? '/' + c.subcategory : ''}`)
+            .join('\n');
+
+        return `
+
+This user has corrected the category for these merchants before. Use the same category for the same or clearly similar merchants:
+${examples}`;
     }
 
-    async analyzeAnomalies(transaction, baseline, simpleAnomalies) {
-        const prompt = `Analyze this transaction for anomalies:
+    /**
+     * Run an extraction prompt with the expense schema for the input type,
+     * escalating a weak result to the stronger model (see this.escalation).
+     * Throws when Gemini can't produce a valid response, so the receipt
+     * fails visibly instead of being recorded as "no expense"; a failed
+     * escalation keeps the first result.
+     * @param {Object} options - extraction options plus `prompt`, the rendered
+     *   prompt's { name, version, locale, experiment }, and `untrustedContent`,
+     *   the input's text for the safety checks
+     */
+    async extract(contents, inputType, metadata, options = {}) {
+        const system = await promptService.render('extraction_system', {}, options);
+        const model = options.model || this.models.FLASH;
+
+        const first = await this.runExtraction(contents, inputType, model, system, options);
+        let final = first;
+        let escalation = null;
+
+        const reasons = this.getEscalationReasons(first.data);
+        if (reasons.length > 0 && this.escalation.enabled && model !== this.escalation.model) {
+            console.log(`⬆️ Escalating ${inputType} extraction from ${model} to ${this.escalation.model}: ${reasons.join(', ')}`);
+            escalation = { from: model, to: this.escalation.model, reasons, error: null };
+
+            try {
+                const second = await this.runExtraction(contents, inputType, this.escalation.model, system, options);
+                if (this.isBetterExtraction(second.data, first.data)) {
+                    final = second;
+                }
+            } catch (error) {
+                console.error(`❌ Escalated ${inputType} extraction failed, keeping the ${model} result:`, error.message);
+                escalation.error = error.message;
+            }
+        }
+
+        return this.finalizeExtraction(final.data, inputType, metadata, {
+            ...options,
+            model: final.model,
+            escalation,
+            cachedAt: final.cachedAt
+        });
+    }
 
-Transaction: ${JSON.stringify(transaction, null, 2)}
-User Baseline: ${JSON.stringify(baseline, null, 2)}
-Simple Analysis: ${JSON.stringify(simpleAnomalies, null, 2)}
+    /**
+     * One extraction call on one model. Responses are cached by user, model,
+     * prompt versions and request contents.
+     * @returns {Promise<Object>} { data, model, cachedAt } cachedAt is null unless cached
+     */
+    async runExtraction(contents, inputType, model, system, options) {
+        const cacheKey = extractionCacheService.buildKey({
+            userId: options.userId || null,
+            model,
+            prompt: options.prompt || null,
+            system: system.prompt,
+            contents
+        });
+        const cached = await extractionCacheService.get(cacheKey);
+        if (cached) {
+            console.log(`♻️ Using cached ${model} ${inputType} extraction from ${cached.cached_at}`);
+            return { data: cached.value, model, cachedAt: cached.cached_at };
+        }
+
+        const data = await structuredOutputService.generate(contents, {
+            model,
+            schema: geminiSchemas.expense(options.categories || categoryService.getDefaultCategories(), inputType),
+            label: `${inputType} extraction`,
+            timeout: this.timeouts[inputType],
+            systemInstruction: system.text,
+            caller: 'extraction',
+            userId: options.userId
+        });
+
+        await extractionCacheService.set(cacheKey, data);
+        return { data, model, cachedAt: null };
+    }
+
+    /**
+     * Whether an extraction found an expense, rather than "no expense", a
+     * deletion or a query
+     */
+    isExpense(data) {
+        return Boolean(data.expense_detected) && (!data.action_type || data.action_type === 'expense');
+    }
+
+    /**
+     * Required fields an extracted expense left empty. Only expenses are
+     * checked; "no expense", deletion and query results have none.
+     */
+    getMissingFields(data) {
+        if (!this.isExpense(data)) {
+            return [];
+        }
+
+        return this.escalation.requiredFields.filter(field => {
+            const value = data[field];
+            return field === 'amount'
+                ? !(typeof value === 'number' && value > 0)
+                : value === null || value === undefined || value === '';
+        });
+    }
+
+    /**
+     * @returns {Array<string>} Why an extraction should be retried on the
+     *   stronger model; empty when it is good enough. Only expenses are
+     *   escalated: a second call can't make a non-receipt worth recording.
+     */
+    getEscalationReasons(data) {
+        const reasons = [];
+
+        if (!this.isExpense(data)) {
+            return reasons;
+        }
+
+        if (typeof data.confidence !== 'number' || data.confidence < this.escalation.minConfidence) {
+            reasons.push('low_confidence');
+        }
+        const missing = this.getMissingFields(data);
+        if (missing.length > 0) {
+            reasons.push(`missing_fields:${missing.join(',')}`);
+        }
+
+        return reasons;
+    }
 
-Provide detailed analysis in JSON format:
-{
-  "anomaly_detected": boolean,
-  "anomaly_score": number (0-100),
-  "anomaly_reasons": ["detailed reason 1", "detailed reason 2"],
-  "potential_causes": ["cause1", "cause2"],
-  "risk_level": "low|medium|high",
-  "recommendations": ["recommendation1", "recommendation2"]
-}`;
+    /**
+     * Fewer missing fields wins, then higher confidence; a tie goes to the
+     * candidate, which comes from the stronger model
+     */
+    isBetterExtraction(candidate, current) {
+        const candidateMissing = this.getMissingFields(candidate).length;
+        const currentMissing = this.getMissingFields(current).length;
 
-        const contents = [{ parts: [{ text: prompt }] }];
-        const response = await callGemini(contents, this.currentModel);
+        if (candidateMissing !== currentMissing) {
+            return candidateMissing < currentMissing;
+        }
+        return (candidate.confidence || 0) >= (current.confidence || 0);
+    }
 
+    /**
+     * @param {Object} options - { prompt, untrustedContent } as passed to extract,
+     *   `model` that produced the data, `escalation` when a second model was tried
+     *   and `cachedAt` when the data came from the cache
+     */
+    finalizeExtraction(parsedData, inputType, metadata, { prompt = null, untrustedContent = null, model = null, escalation = null, cachedAt = null } = {}) {
+        // Add metadata
+        parsedData.input_type = inputType;
+        parsedData.prompt = prompt;
+        parsedData.model = model;
+        parsedData.escalation = escalation;
+        parsedData.cache_hit = Boolean(cachedAt);
+        parsedData.cached_at = cachedAt;
+        parsedData.safety_flags = promptSafetyService.checkExtraction(parsedData, inputType, untrustedContent);
+        parsedData.processed_at = new Date().toISOString();
+        parsedData.location = metadata.location || null;
+
+        // Missing currencies are filled with the user's home currency downstream
+        parsedData.currency = typeof parsedData.currency === 'string' && parsedData.currency.trim()
+            ? parsedData.currency.trim().toUpperCase()
+            : null;
+
+        return parsedData;
+    }
+
+    async analyzeAnomalies(transaction, baseline, simpleAnomalies) {
         try {
-            const analysis = this.parseAnalysisResponse(response);
+            const { text } = await promptService.render('anomaly_analysis', {
+                transaction: JSON.stringify(transaction, null, 2),
+                baseline: JSON.stringify(baseline, null, 2),
+                simple_analysis: JSON.stringify(simpleAnomalies, null, 2)
+            }, { userId: transaction.userId });
+
+            const contents = [{ parts: [{ text }] }];
+            const analysis = await structuredOutputService.generate(contents, {
+                model: this.currentModel,
+                schema: geminiSchemas.anomaly(),
+                label: 'anomaly analysis',
+                caller: 'anomaly',
+                userId: transaction.userId
+            });
             analysis.simple_check = false;
             return analysis;
         } catch (error) {
+            console.error('❌ Anomaly analysis error:', error.message);
             return simpleAnomalies; // Fallback to simple analysis
         }
     }
@@ -247,22 +492,18 @@ Provide detailed analysis in JSON format:
         try {
             console.log(`🔗 Analyzing ${correlationType} correlations...`);
 
-            const prompt = `Analyze correlations in this data for ${correlationType}:
+            const { text } = await promptService.render('correlation_analysis', {
+                correlation_type: correlationType,
+                data: JSON.stringify(data, null, 2)
+            });
 
-Data: ${JSON.stringify(data, null, 2)}
-
-Return analysis in JSON format:
-{
-  "correlation_found": boolean,
-  "correlation_strength": number (0-100),
-  "correlation_factors": ["factor1", "factor2"],
-  "insights": ["insight1", "insight2"],
-  "recommendations": ["recommendation1", "recommendation2"]
-}`;
-
-            const contents = [{ parts: [{ text: prompt }] }];
-            const response = await callGemini(contents, this.currentModel);
-            return this.parseAnalysisResponse(response);
+            const contents = [{ parts: [{ text }] }];
+            return await structuredOutputService.generate(contents, {
+                model: this.currentModel,
+                schema: geminiSchemas.correlationAnalysis(),
+                label: 'correlation analysis',
+                caller: 'correlation'
+            });
 
         } catch (error) {
             console.error('❌ Correlation analysis error:', error.message);
@@ -276,26 +517,6 @@ Return analysis in JSON format:
         }
     }
 
-    parseAnalysisResponse(responseText) {
-        try {
-            let jsonText = responseText.trim();
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-
-            const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                jsonText = jsonMatch[0];
-            }
-
-            return JSON.parse(jsonText);
-        } catch (error) {
-            console.error('❌ Failed to parse analysis response:', error.message);
-            return {
-                error: 'Failed to parse response',
-                raw_response: responseText
-            };
-        }
-    }
-
     getAvailableModels() {
         return this.models;
     }
@@ -0,0 +1,403 @@
+const { OAuth2Client } = require('google-auth-library');
+const firebaseService = require('./firebaseService');
+const receiptService = require('./receiptService');
+const emailParserService = require('./emailParserService');
+const encryptionService = require('./encryptionService');
+const { GmailApiMailbox, LocalMailbox } = require('./mailboxProvider');
+const { QuotaExceededError, findError } = require('../errors');
+
+class GmailService {
+    constructor() {
+        this.mailbox = null;
+
+        // Upper bound on messages processed per notification
+        this.maxMessagesPerNotification = 50;
+
+        // A claim left in "processing" this long (e.g. by a crashed instance) can be taken over
+        this.claimTimeoutMs = 15 * 60 * 1000;
+
+        this.receiptSubjectPattern = /\b(receipt|invoice|order|payment|paid|purchase|booking|bill|transaction|e-?ticket|subscription|renewal|refund|trip with)\b/i;
+        this.receiptBodyPattern = /\b(total|amount (paid|charged|due)|grand total|order (id|number|#)|invoice (no|number|#)|transaction id|payment (received|successful|confirmed))\b/i;
+        this.amountPattern = /(?:₹|rs\.?|inr|usd|eur|gbp|\$|€|£)\s?\d[\d,]*(?:\.\d{1,2})?|\d[\d,]*(?:\.\d{1,2})?\s?(?:inr|usd|eur|gbp)\b/i;
+        this.rejectSubjectPattern = /\b(otp|one[\s-]time password|verification code|verify your|password reset|reset your password|security alert|sign[\s-]?in attempt|newsletter|webinar|% off|sale ends|limited time offer)\b/i;
+    }
+
+    /**
+     * Replace the mailbox provider
+     * @param {Object} mailbox - implements watch, listMessageIds, getRawMessage
+     */
+    setMailbox(mailbox) {
+        this.mailbox = mailbox;
+    }
+
+    getMailbox() {
+        if (!this.mailbox) {
+            this.mailbox = process.env.GMAIL_MAILBOX === 'local'
+                ? new LocalMailbox()
+                : new GmailApiMailbox();
+        }
+        return this.mailbox;
+    }
+
+    normalizeEmailAddress(emailAddress) {
+        return typeof emailAddress === 'string' ? emailAddress.trim().toLowerCase() : '';
+    }
+
+    // ==================== CONNECTIONS ====================
+
+    /**
+     * Link a mailbox to a user and start push notifications for it. The
+     * refresh token must belong to the address being connected; it is
+     * stored encrypted.
+     * @param {Object} input - { email_address, refresh_token }
+     */
+    async connectMailbox(userId, input = {}) {
+        try {
+            const emailAddress = this.normalizeEmailAddress(input.email_address);
+            if (!/^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(emailAddress)) {
+                throw new Error('Validation failed: a valid email_address is required');
+            }
+            if (!(this.getMailbox() instanceof LocalMailbox) && !input.refresh_token) {
+                throw new Error('Validation failed: refresh_token is required');
+            }
+
+            const existing = await firebaseService.getGmailConnection(emailAddress);
+            if (existing && existing.userId !== userId) {
+                throw new Error('Unauthorized: this mailbox is connected to another account');
+            }
+
+            const connection = {
+                userId: userId,
+                email_address: emailAddress,
+                refresh_token: input.refresh_token
+                    ? encryptionService.encrypt(input.refresh_token)
+                    : existing?.refresh_token || null,
+                history_id: null,
+                watch_expiration: null,
+                connected_at: existing?.connected_at || new Date().toISOString()
+            };
+
+            const profile = await this.getMailbox().getProfile(connection);
+            if (this.normalizeEmailAddress(profile.emailAddress) !== emailAddress) {
+                throw new Error('Unauthorized: the refresh token does not belong to this mailbox');
+            }
+
+            const watch = await this.getMailbox().watch(connection);
+            connection.history_id = watch.historyId;
+            connection.watch_expiration = watch.expiration;
+
+            await firebaseService.saveGmailConnection(emailAddress, connection);
+            console.log(`📧 Gmail connected for user ${userId}: ${emailAddress}`);
+
+            return this.formatConnection(connection);
+
+        } catch (error) {
+            console.error('❌ Error connecting Gmail:', error.message);
+            throw new Error(`Failed to connect Gmail: ${error.message}`);
+        }
+    }
+
+    async getUserConnections(userId) {
+        const connections = await firebaseService.getUserGmailConnections(userId);
+        return connections.map(connection => this.formatConnection(connection));
+    }
+
+    async disconnectMailbox(userId, emailAddress) {
+        const address = this.normalizeEmailAddress(emailAddress);
+        const existing = await firebaseService.getGmailConnection(address);
+
+        if (!existing || existing.userId !== userId) {
+            throw new Error(`Gmail connection for ${address} not found`);
+        }
+
+        return firebaseService.deleteGmailConnection(address);
+    }
+
+    /**
+     * Renew push notifications for every connected mailbox (Gmail watches
+     * expire after 7 days)
+     */
+    async renewWatches() {
+        try {
+            const connections = await firebaseService.getAllGmailConnections();
+            let renewed = 0;
+
+            for (const connection of connections) {
+                try {
+                    const watch = await this.getMailbox().watch(connection);
+                    await firebaseService.updateGmailConnection(connection.id, { watch_expiration: watch.expiration });
+                    renewed++;
+                } catch (error) {
+                    console.error(`❌ Failed to renew Gmail watch for ${connection.id}:`, error.message);
+                }
+            }
+
+            console.log(`📧 Renewed ${renewed}/${connections.length} Gmail watches`);
+            return renewed;
+
+        } catch (error) {
+            console.error('❌ Error renewing Gmail watches:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Connection without the refresh token
+     */
+    formatConnection(connection) {
+        return {
+            email_address: connection.email_address,
+            history_id: connection.history_id || null,
+            watch_expiration: connection.watch_expiration || null,
+            connected_at: connection.connected_at || null
+        };
+    }
+
+    // ==================== PUSH NOTIFICATIONS ====================
+
+    /**
+     * Verify the OIDC token Pub/Sub attaches to push requests. Without
+     * GMAIL_PUSH_AUDIENCE every push is rejected, unless the local mailbox
+     * is selected explicitly (GMAIL_MAILBOX=local) for testing.
+     */
+    async verifyPushRequest(authorizationHeader) {
+        const audience = process.env.GMAIL_PUSH_AUDIENCE;
+        if (!audience) {
+            if (process.env.GMAIL_MAILBOX === 'local') {
+                return true;
+            }
+            console.error('❌ GMAIL_PUSH_AUDIENCE is not set, rejecting Gmail push');
+            return false;
+        }
+
+        const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader || '');
+        if (!match) {
+            return false;
+        }
+
+        try {
+            const ticket = await new OAuth2Client().verifyIdToken({ idToken: match[1], audience });
+            const payload = ticket.getPayload();
+            const expectedEmail = process.env.GMAIL_PUSH_SERVICE_ACCOUNT;
+
+            return !expectedEmail || (payload.email === expectedEmail && payload.email_verified);
+
+        } catch (error) {
+            console.error('❌ Invalid Pub/Sub push token:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Decode a Pub/Sub push body:
+     * { message: { data: base64('{"emailAddress":"...","historyId":"..."}') } }
+     */
+    decodeNotification(body) {
+        try {
+            const data = JSON.parse(Buffer.from(body?.message?.data || '', 'base64').toString('utf8'));
+            const emailAddress = this.normalizeEmailAddress(data.emailAddress);
+
+            if (!emailAddress) {
+                throw new Error('emailAddress is missing');
+            }
+
+            return {
+                emailAddress: emailAddress,
+                historyId: data.historyId !== undefined && data.historyId !== null ? String(data.historyId) : null
+            };
+
+        } catch (error) {
+            throw new Error(`Validation failed: invalid Gmail push notification (${error.message})`);
+        }
+    }
+
+    /**
+     * Process the messages added to a mailbox since the last notification.
+     * At most maxMessagesPerNotification are processed; the rest are kept on
+     * the connection (pending_message_ids) and go first next time, since the
+     * history ID moves past them. Once the user's Gemini quota is used up the
+     * remaining messages are deferred to pending the same way.
+     */
+    async handleNotification(notification) {
+        try {
+            const connection = await firebaseService.getGmailConnection(notification.emailAddress);
+            if (!connection) {
+                console.log(`📧 Ignoring notification for unconnected mailbox: ${notification.emailAddress}`);
+                return { email_address: notification.emailAddress, processed: 0 };
+            }
+
+            const listedIds = await this.getMailbox().listMessageIds(connection, connection.history_id);
+            const messageIds = [...new Set([...(connection.pending_message_ids || []), ...listedIds])];
+            const batchIds = messageIds.slice(0, this.maxMessagesPerNotification);
+            const pendingIds = messageIds.slice(this.maxMessagesPerNotification);
+            const summary = { email_address: connection.email_address, processed: 0, skipped: 0, duplicates: 0, failed: 0, deferred: 0, pending: 0 };
+
+            for (let index = 0; index < batchIds.length; index++) {
+                const outcome = await this.processMessage(connection, batchIds[index]);
+                summary[outcome]++;
+
+                // Over the user's Gemini quota: keep this message and the rest for a later notification
+                if (outcome === 'deferred') {
+                    pendingIds.unshift(...batchIds.slice(index));
+                    break;
+                }
+            }
+            summary.pending = pendingIds.length;
+
+            const updates = {};
+            if (pendingIds.length > 0 || (connection.pending_message_ids || []).length > 0) {
+                updates.pending_message_ids = pendingIds;
+            }
+            // Only move forward; notifications can arrive out of order
+            if (notification.historyId && this.isNewerHistoryId(notification.historyId, connection.history_id)) {
+                updates.history_id = notification.historyId;
+            }
+            if (Object.keys(updates).length > 0) {
+                await firebaseService.updateGmailConnection(connection.id, updates);
+            }
+
+            console.log(`📧 Gmail notification for ${connection.email_address}: ${JSON.stringify(summary)}`);
+            return summary;
+
+        } catch (error) {
+            console.error('❌ Error handling Gmail notification:', error.message);
+            throw new Error(`Failed to handle Gmail notification: ${error.message}`);
+        }
+    }
+
+    isNewerHistoryId(candidate, current) {
+        if (!current) {
+            return true;
+        }
+        try {
+            return BigInt(candidate) > BigInt(current);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getProcessedEmailId(userId, messageId) {
+        return `${userId}_${String(messageId).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    }
+
+    /**
+     * Whether a processed_emails document may be (re)claimed: new messages,
+     * failed or deferred ones, and claims abandoned mid-processing
+     */
+    canClaimMessage(existing, now = Date.now()) {
+        if (!existing || ['failed', 'deferred'].includes(existing.status)) {
+            return true;
+        }
+        if (existing.status === 'processing') {
+            const claimedAt = new Date(existing.claimed_at || existing.updated_at || 0).getTime();
+            return !(now - claimedAt < this.claimTimeoutMs);
+        }
+        return false;
+    }
+
+    /**
+     * Fetch, filter and process one message, at most once per user
+     * @returns {string} processed|skipped|duplicates|failed|deferred
+     */
+    async processMessage(connection, messageId) {
+        const processedId = this.getProcessedEmailId(connection.userId, messageId);
+
+        let claimed;
+        try {
+            // Claimed in a transaction before the slow part, so a redelivered or
+            // concurrent notification for the same message skips it
+            claimed = await firebaseService.claimProcessedEmail(processedId, {
+                userId: connection.userId,
+                email_address: connection.email_address,
+                gmail_message_id: messageId,
+                status: 'processing',
+                error: null
+            }, existing => this.canClaimMessage(existing));
+        } catch (error) {
+            console.error(`❌ Failed to claim Gmail message ${messageId}:`, error.message);
+            return 'failed';
+        }
+        if (!claimed) {
+            return 'duplicates';
+        }
+
+        try {
+
+            const raw = await this.getMailbox().getRawMessage(connection, messageId);
+            const email = emailParserService.parse(raw);
+            const classification = this.classifyEmail(email);
+
+            if (!classification.is_receipt) {
+                await firebaseService.saveProcessedEmail(processedId, {
+                    status: 'skipped',
+                    reason: classification.reason,
+                    subject: email.subject,
+                    sender: email.sender
+                });
+                return 'skipped';
+            }
+
+            const result = await receiptService.processReceipt({
+                type: 'email',
+                data: { subject: email.subject, sender: email.sender, body: email.body },
+                metadata: {
+                    source: 'gmail_webhook',
+                    location: null,
+                    timestamp: email.date || new Date().toISOString(),
+                    message_id: email.message_id,
+                    uri: null
+                }
+            }, connection.userId);
+
+            await firebaseService.saveProcessedEmail(processedId, {
+                status: 'processed',
+                subject: email.subject,
+                sender: email.sender,
+                action_type: result.action_type,
+                transaction_id: result.transaction_id || null
+            });
+            return 'processed';
+
+        } catch (error) {
+            const status = findError(error, QuotaExceededError) ? 'deferred' : 'failed';
+            if (status === 'deferred') {
+                console.log(`⏸️ Gmail message ${messageId} deferred:`, error.message);
+            } else {
+                console.error(`❌ Failed to process Gmail message ${messageId}:`, error.message);
+            }
+            try {
+                await firebaseService.saveProcessedEmail(processedId, { status: status, error: error.message });
+            } catch (saveError) {
+                console.error('❌ Failed to record Gmail message failure:', saveError.message);
+            }
+            return status;
+        }
+    }
+
+    /**
+     * Cheap pre-filter so only likely receipts reach Gemini: a receipt-like
+     * subject or body plus an amount, and nothing that looks like a login,
+     * security or marketing email
+     * @returns {Object} { is_receipt, reason }
+     */
+    classifyEmail(email) {
+        const subject = email.subject || '';
+        const body = email.body || '';
+
+        if (this.rejectSubjectPattern.test(subject)) {
+            return { is_receipt: false, reason: 'non_receipt_subject' };
+        }
+
+        if (!this.amountPattern.test(`${subject}\n${body}`)) {
+            return { is_receipt: false, reason: 'no_amount' };
+        }
+
+        if (!this.receiptSubjectPattern.test(subject) && !this.receiptBodyPattern.test(body)) {
+            return { is_receipt: false, reason: 'no_receipt_keywords' };
+        }
+
+        return { is_receipt: true, reason: null };
+    }
+}
+
+module.exports = new GmailService();
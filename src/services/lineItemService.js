@@ -0,0 +1,185 @@
+const categoryService = require('./categoryService');
+
+/**
+ * Line items and receipt totals. Extracted items are coerced onto one shape:
+ *   { name, quantity, unit_price, discount, price, taxes: [{ name, rate, amount }],
+ *     tax_amount, category, subcategory }
+ * where `price` is the line total after its discount, and receipt totals onto
+ *   { subtotal, discount, taxes, tax_total, tip, service_charge, round_off, prices_include_tax }
+ */
+class LineItemService {
+    constructor() {
+        this.maxItems = 200;
+
+        // Differences within max(0.05, 0.5% of the amount) count as rounding
+        this.minTolerance = 0.05;
+        this.relativeTolerance = 0.005;
+    }
+
+    toNumber(value) {
+        if (typeof value === 'number') {
+            return isFinite(value) ? value : null;
+        }
+        if (typeof value === 'string' && value.trim()) {
+            const number = parseFloat(value.replace(/[^\d.-]/g, ''));
+            return isFinite(number) ? number : null;
+        }
+        return null;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    sum(values) {
+        return this.round(values.reduce((total, value) => total + value, 0));
+    }
+
+    /**
+     * Tax components such as CGST/SGST/IGST or VAT
+     */
+    normalizeTaxes(taxes) {
+        if (!Array.isArray(taxes)) {
+            return [];
+        }
+
+        return taxes
+            .filter(tax => tax && typeof tax === 'object')
+            .map(tax => ({
+                name: typeof tax.name === 'string' && tax.name.trim() ? tax.name.trim().toUpperCase() : 'TAX',
+                rate: this.toNumber(tax.rate),
+                amount: this.toNumber(tax.amount)
+            }))
+            .filter(tax => tax.rate !== null || tax.amount !== null);
+    }
+
+    /**
+     * @param {Array} items - extracted or user-entered items (strings are accepted as names)
+     * @param {Array|null} categories - user's tree; item categories are coerced onto it when given
+     */
+    normalizeItems(items, categories = null) {
+        if (!Array.isArray(items)) {
+            return [];
+        }
+
+        return items
+            .map(item => (typeof item === 'string' ? { name: item } : item))
+            .filter(item => item && typeof item.name === 'string' && item.name.trim())
+            .slice(0, this.maxItems)
+            .map(item => {
+                const quantity = this.toNumber(item.quantity) > 0 ? this.toNumber(item.quantity) : 1;
+                const discount = Math.abs(this.toNumber(item.discount) || 0);
+                let unitPrice = this.toNumber(item.unit_price);
+                let price = this.toNumber(item.price);
+
+                if (price === null && unitPrice !== null) {
+                    price = this.round(unitPrice * quantity - discount);
+                }
+                if (unitPrice === null && price !== null) {
+                    unitPrice = this.round((price + discount) / quantity);
+                }
+
+                const taxes = this.normalizeTaxes(item.taxes);
+                const taxAmounts = taxes.filter(tax => tax.amount !== null).map(tax => tax.amount);
+
+                let category = typeof item.category === 'string' && item.category ? item.category : null;
+                let subcategory = category && typeof item.subcategory === 'string' && item.subcategory ? item.subcategory : null;
+                if (category && categories) {
+                    ({ category, subcategory } = categoryService.normalizeCategory(categories, category, subcategory));
+                }
+
+                return {
+                    name: item.name.trim(),
+                    quantity: quantity,
+                    unit_price: unitPrice,
+                    discount: discount,
+                    price: price,
+                    taxes: taxes,
+                    tax_amount: taxAmounts.length > 0 ? this.sum(taxAmounts) : null,
+                    category: category,
+                    subcategory: subcategory
+                };
+            });
+    }
+
+    /**
+     * @returns {Object|null} Receipt-level totals, or null when none were given
+     */
+    normalizeTotals(totals) {
+        if (!totals || typeof totals !== 'object') {
+            return null;
+        }
+
+        const taxes = this.normalizeTaxes(totals.taxes);
+        const taxAmounts = taxes.filter(tax => tax.amount !== null).map(tax => tax.amount);
+        const taxTotal = this.toNumber(totals.tax_total);
+
+        const normalized = {
+            subtotal: this.toNumber(totals.subtotal),
+            discount: this.toNumber(totals.discount) === null ? null : Math.abs(this.toNumber(totals.discount)),
+            taxes: taxes,
+            tax_total: taxTotal !== null ? taxTotal : (taxAmounts.length > 0 ? this.sum(taxAmounts) : null),
+            tip: this.toNumber(totals.tip),
+            service_charge: this.toNumber(totals.service_charge),
+            round_off: this.toNumber(totals.round_off),
+            prices_include_tax: totals.prices_include_tax === true
+        };
+
+        const hasValues = taxes.length > 0 || ['subtotal', 'discount', 'tax_total', 'tip', 'service_charge', 'round_off']
+            .some(field => normalized[field] !== null);
+
+        return hasValues ? normalized : null;
+    }
+
+    /**
+     * Check that the items add up to the amount paid:
+     *   items - discount + tax (unless prices include it) + tip + service charge + round-off
+     * Item taxes stand in for the tax total when the receipt has none.
+     * @param {Object} transaction - { amount, items, totals }
+     * @returns {Object|null} { status: consistent|mismatch, items_total, expected_total, difference },
+     *   or null when there is nothing to check (no amount, or items without prices)
+     */
+    checkConsistency({ amount, items, totals }) {
+        if (typeof amount !== 'number' || amount <= 0 || !Array.isArray(items) || items.length === 0) {
+            return null;
+        }
+        if (items.some(item => typeof item?.price !== 'number')) {
+            return null;
+        }
+
+        const itemsTotal = this.sum(items.map(item => item.price));
+        const itemTaxes = items.filter(item => typeof item.tax_amount === 'number').map(item => item.tax_amount);
+        const taxTotal = totals?.tax_total ?? (itemTaxes.length > 0 ? this.sum(itemTaxes) : 0);
+
+        const expectedTotal = this.round(
+            itemsTotal -
+            (totals?.discount || 0) +
+            (totals?.prices_include_tax ? 0 : taxTotal) +
+            (totals?.tip || 0) +
+            (totals?.service_charge || 0) +
+            (totals?.round_off || 0)
+        );
+        const difference = this.round(amount - expectedTotal);
+        const tolerance = Math.max(this.minTolerance, amount * this.relativeTolerance);
+
+        return {
+            status: Math.abs(difference) <= tolerance ? 'consistent' : 'mismatch',
+            items_total: itemsTotal,
+            expected_total: expectedTotal,
+            difference: difference
+        };
+    }
+
+    /**
+     * Normalize extracted items and totals
+     * @returns {Object} { items, totals }
+     */
+    normalizeReceipt(data, categories) {
+        return {
+            items: this.normalizeItems(data.items, categories),
+            totals: this.normalizeTotals(data.totals)
+        };
+    }
+}
+
+module.exports = new LineItemService();
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { geminiClient } = require('../client/geminiClient');
+
+/**
+ * Language models behind the LLM service. Any provider must implement:
+ *   generate(contents, model, options) => Promise<string>
+ *   getStatus() => Object
+ * where `contents` and `options` ({ responseSchema, json, timeout, label, systemInstruction, caller, userId })
+ * follow the Gemini generateContent request and the resolved string is the
+ * response text.
+ */
+class GeminiProvider {
+    constructor(client = geminiClient) {
+        this.client = client;
+    }
+
+    async generate(contents, model, options = {}) {
+        return this.client.callGemini(contents, model, options);
+    }
+
+    getStatus() {
+        return { provider: 'gemini', ...this.client.getStatus() };
+    }
+}
+
+/**
+ * Offline stand-in that answers from fixture files. A scenario is the file
+ * `<directory>/<scenario>.json`:
+ *   {
+ *     "responses": { "<prompt hash>": entry },
+ *     "labels": { "<call label>": entry }
+ *   }
+ * where an entry is { "response": object|string } or { "error": message }.
+ * A call is answered by its prompt hash first, then by its label (e.g.
+ * "image extraction", "reminder analysis"); the hash of every prompt is
+ * logged so exact responses can be pinned.
+ */
+class MockProvider {
+    constructor(
+        scenario = process.env.LLM_MOCK_SCENARIO || 'default',
+        directory = process.env.LLM_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'llm')
+    ) {
+        this.scenario = scenario;
+        this.directory = directory;
+        this.fixtures = null;
+    }
+
+    /**
+     * Stable hash of the request contents (the model is not part of it)
+     */
+    hashPrompt(contents) {
+        return crypto.createHash('sha256').update(JSON.stringify(contents)).digest('hex').slice(0, 16);
+    }
+
+    async loadFixtures() {
+        if (!this.fixtures) {
+            const file = path.join(this.directory, `${path.basename(this.scenario)}.json`);
+            try {
+                this.fixtures = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                throw new Error(`Mock LLM scenario error: ${error.message}`);
+            }
+        }
+        return this.fixtures;
+    }
+
+    async generate(contents, model, options = {}) {
+        const fixtures = await this.loadFixtures();
+        const hash = this.hashPrompt(contents);
+        const label = options.label || 'response';
+
+        console.log(`🧪 Mock LLM ${label} (prompt ${hash}, scenario ${this.scenario})`);
+
+        const entry = fixtures.responses?.[hash] || fixtures.labels?.[label];
+        if (!entry) {
+            throw new Error(`No mock LLM response for ${label} (prompt ${hash}) in scenario ${this.scenario}`);
+        }
+        if (entry.error) {
+            throw new Error(entry.error);
+        }
+
+        return typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+    }
+
+    getStatus() {
+        return { provider: 'mock', scenario: this.scenario };
+    }
+}
+
+module.exports = { GeminiProvider, MockProvider };
@@ -0,0 +1,49 @@
+const { GeminiProvider, MockProvider } = require('./llmProvider');
+const usageService = require('./usageService');
+
+/**
+ * Entry point for every language model call. LLM_PROVIDER selects the
+ * provider: "gemini" (default) or "mock" for offline runs.
+ */
+class LlmService {
+    constructor() {
+        this.provider = null;
+    }
+
+    /**
+     * Replace the LLM provider
+     * @param {Object} provider - implements generate, getStatus
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    getProvider() {
+        if (!this.provider) {
+            this.provider = process.env.LLM_PROVIDER === 'mock'
+                ? new MockProvider()
+                : new GeminiProvider();
+        }
+        return this.provider;
+    }
+
+    /**
+     * @param {Array} contents - Gemini contents
+     * @param {string} model - Model name
+     * @param {Object} options - { responseSchema, json, timeout, label, systemInstruction, caller, userId }
+     *   caller (extraction, correlation, reminders, anomaly, tool_agent) and userId
+     *   attribute the call's usage; userId also applies that user's daily quota
+     * @returns {Promise<string>} The response text
+     */
+    async generate(contents, model, options = {}) {
+        await usageService.assertWithinQuota(options.userId);
+
+        return this.getProvider().generate(contents, model, options);
+    }
+
+    getStatus() {
+        return this.getProvider().getStatus();
+    }
+}
+
+module.exports = new LlmService();
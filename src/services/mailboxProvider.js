@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { OAuth2Client } = require('google-auth-library');
+const encryptionService = require('./encryptionService');
+
+/**
+ * Mailboxes the Gmail webhook reads from. Any provider used by the Gmail
+ * service must implement:
+ *   getProfile(connection) => Promise<{ emailAddress }>
+ *   watch(connection) => Promise<{ historyId, expiration }>
+ *   listMessageIds(connection, startHistoryId) => Promise<string[]>
+ *   getRawMessage(connection, messageId) => Promise<Buffer>
+ * where `connection` is a gmail_connections document (refresh token encrypted).
+ */
+class GmailApiMailbox {
+    constructor(clientId = process.env.GMAIL_CLIENT_ID, clientSecret = process.env.GMAIL_CLIENT_SECRET) {
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.topicName = process.env.GMAIL_PUBSUB_TOPIC;
+        this.client = axios.create({
+            baseURL: 'https://gmail.googleapis.com/gmail/v1/users/me',
+            timeout: 30000
+        });
+
+        // Upper bound on history pages read per notification
+        this.maxHistoryPages = 10;
+    }
+
+    async getAccessToken(connection) {
+        if (!this.clientId || !this.clientSecret) {
+            throw new Error('Gmail OAuth client is not configured');
+        }
+        if (!connection.refresh_token) {
+            throw new Error(`No Gmail refresh token for ${connection.email_address}`);
+        }
+
+        const oauthClient = new OAuth2Client(this.clientId, this.clientSecret);
+        oauthClient.setCredentials({ refresh_token: encryptionService.decrypt(connection.refresh_token) });
+        const { token } = await oauthClient.getAccessToken();
+        return token;
+    }
+
+    /**
+     * The account the refresh token belongs to
+     */
+    async getProfile(connection) {
+        const token = await this.getAccessToken(connection);
+
+        try {
+            const response = await this.client.get('/profile', {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            return { emailAddress: response.data.emailAddress };
+
+        } catch (error) {
+            throw new Error(`Gmail profile error: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Start (or renew) push notifications for the inbox to the Pub/Sub topic.
+     * Gmail stops sending them after 7 days unless renewed.
+     */
+    async watch(connection) {
+        if (!this.topicName) {
+            throw new Error('GMAIL_PUBSUB_TOPIC is not configured');
+        }
+
+        const token = await this.getAccessToken(connection);
+
+        try {
+            const response = await this.client.post('/watch', {
+                topicName: this.topicName,
+                labelIds: ['INBOX'],
+                labelFilterBehavior: 'include'
+            }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+
+            return {
+                historyId: String(response.data.historyId),
+                expiration: new Date(Number(response.data.expiration)).toISOString()
+            };
+
+        } catch (error) {
+            throw new Error(`Gmail watch error: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
+    /**
+     * IDs of messages added to the inbox since startHistoryId
+     */
+    async listMessageIds(connection, startHistoryId) {
+        if (!startHistoryId) {
+            return [];
+        }
+
+        const token = await this.getAccessToken(connection);
+        const messageIds = new Set();
+        let pageToken;
+
+        try {
+            for (let page = 0; page < this.maxHistoryPages; page++) {
+                const response = await this.client.get('/history', {
+                    headers: { Authorization: `Bearer ${token}` },
+                    params: {
+                        startHistoryId,
+                        historyTypes: 'messageAdded',
+                        labelId: 'INBOX',
+                        pageToken
+                    }
+                });
+
+                (response.data.history || []).forEach(entry => {
+                    (entry.messagesAdded || []).forEach(({ message }) => {
+                        const labels = message.labelIds || [];
+                        if (!labels.includes('SENT') && !labels.includes('DRAFT')) {
+                            messageIds.add(message.id);
+                        }
+                    });
+                });
+
+                pageToken = response.data.nextPageToken;
+                if (!pageToken) {
+                    break;
+                }
+            }
+        } catch (error) {
+            // History older than about a week is gone; start over from the new baseline
+            if (error.response?.status === 404) {
+                console.warn(`⚠️ Gmail history ${startHistoryId} expired for ${connection.email_address}`);
+                return [];
+            }
+            throw new Error(`Gmail history error: ${error.response?.data?.error?.message || error.message}`);
+        }
+
+        return [...messageIds];
+    }
+
+    async getRawMessage(connection, messageId) {
+        const token = await this.getAccessToken(connection);
+
+        try {
+            const response = await this.client.get(`/messages/${encodeURIComponent(messageId)}`, {
+                headers: { Authorization: `Bearer ${token}` },
+                params: { format: 'raw' }
+            });
+            return Buffer.from(response.data.raw, 'base64url');
+
+        } catch (error) {
+            throw new Error(`Gmail message error: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+}
+
+/**
+ * Stand-in mailbox for local testing: every `.eml` file in
+ * `<directory>/<email address>/` is a message whose ID is the file name.
+ * History IDs are ignored; already processed messages are skipped by the
+ * Gmail service.
+ */
+class LocalMailbox {
+    constructor(directory = process.env.LOCAL_MAILBOX_DIR || path.join(process.cwd(), 'mailbox')) {
+        this.directory = directory;
+    }
+
+    /**
+     * Local mailboxes have no account; any address can be connected
+     */
+    async getProfile(connection) {
+        return { emailAddress: connection.email_address };
+    }
+
+    async watch() {
+        return { historyId: null, expiration: null };
+    }
+
+    getMailboxDirectory(connection) {
+        return path.join(this.directory, path.basename(connection.email_address));
+    }
+
+    async listMessageIds(connection) {
+        try {
+            const files = await fs.promises.readdir(this.getMailboxDirectory(connection));
+            return files
+                .filter(file => file.endsWith('.eml'))
+                .sort()
+                .map(file => file.slice(0, -'.eml'.length));
+
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw new Error(`Local mailbox error: ${error.message}`);
+        }
+    }
+
+    async getRawMessage(connection, messageId) {
+        try {
+            const file = path.join(this.getMailboxDirectory(connection), `${path.basename(messageId)}.eml`);
+            return await fs.promises.readFile(file);
+
+        } catch (error) {
+            throw new Error(`Local mailbox error: ${error.message}`);
+        }
+    }
+}
+
+module.exports = { GmailApiMailbox, LocalMailbox };
@@ -0,0 +1,240 @@
+const sharp = require('sharp');
+
+/**
+ * Upload type detection and image normalization. File types are decided
+ * from the content (magic bytes), never from the client-declared MIME type.
+ */
+class MediaService {
+    constructor() {
+        this.maxFileSize = 10 * 1024 * 1024; // 10MB
+
+        // Supported uploads per input type, with display names for errors
+        this.fileTypes = {
+            image: {
+                mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/avif', 'image/gif', 'image/tiff'],
+                label: 'JPEG, PNG, WebP, HEIC, AVIF, GIF, TIFF'
+            },
+            audio: {
+                mimeTypes: ['audio/mp3', 'audio/wav', 'audio/m4a'],
+                label: 'MP3, WAV, M4A'
+            },
+            pdf: {
+                mimeTypes: ['application/pdf'],
+                label: 'PDF'
+            },
+            email: {
+                mimeTypes: ['message/rfc822'],
+                label: '.eml'
+            }
+        };
+
+        // Image formats Gemini accepts as-is
+        this.modelImageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+        // Longest side after downscaling; receipt text stays legible at this size
+        this.maxImageDimension = 2048;
+
+        // Images under this size that need no rotation or scaling are sent untouched
+        this.passThroughSize = 4 * 1024 * 1024;
+
+        // Frames (pages) read from multi-frame GIF/TIFF/WebP images
+        this.maxImageFrames = 5;
+    }
+
+    /**
+     * Detect a file's real type from its leading bytes
+     * @returns {Object|null} { type, mimeType } or null if unsupported
+     */
+    detectFileType(buffer) {
+        if (!buffer || buffer.length < 4) {
+            return null;
+        }
+
+        const ascii = (start, end) => buffer.toString('latin1', start, end);
+        const startsWith = bytes => bytes.every((byte, index) => buffer[index] === byte);
+
+        if (startsWith([0xff, 0xd8, 0xff])) {
+            return { type: 'image', mimeType: 'image/jpeg' };
+        }
+        if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+            return { type: 'image', mimeType: 'image/png' };
+        }
+        if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+            return { type: 'image', mimeType: 'image/gif' };
+        }
+        if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) {
+            return { type: 'image', mimeType: 'image/tiff' };
+        }
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+            return { type: 'image', mimeType: 'image/webp' };
+        }
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+            return { type: 'audio', mimeType: 'audio/wav' };
+        }
+        if (ascii(0, 5) === '%PDF-') {
+            return { type: 'pdf', mimeType: 'application/pdf' };
+        }
+
+        // ISO base media files: HEIC/HEIF/AVIF photos and M4A audio
+        if (ascii(4, 8) === 'ftyp') {
+            const brand = ascii(8, 12);
+            if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) {
+                return { type: 'image', mimeType: 'image/heic' };
+            }
+            if (['mif1', 'msf1'].includes(brand)) {
+                return { type: 'image', mimeType: 'image/heif' };
+            }
+            if (['avif', 'avis'].includes(brand)) {
+                return { type: 'image', mimeType: 'image/avif' };
+            }
+            // M4A files often carry a generic MP4 brand (mp42, isom), so
+            // audio is told apart from video by the tracks it declares
+            const handlers = this.getTrackHandlers(buffer);
+            if (['M4A ', 'M4B '].includes(brand) || (handlers.includes('soun') && !handlers.includes('vide'))) {
+                return { type: 'audio', mimeType: 'audio/m4a' };
+            }
+            return null;
+        }
+
+        // MP3: ID3 tag or an MPEG audio frame sync
+        if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe6) === 0xe2)) {
+            return { type: 'audio', mimeType: 'audio/mp3' };
+        }
+
+        // Raw email: starts with RFC 822 header lines
+        const head = ascii(0, Math.min(buffer.length, 2048));
+        if (/^(?:(?:Return-Path|Received|Delivered-To|From|To|Date|Subject|Message-ID|MIME-Version|Reply-To|X-[\w-]+|DKIM-Signature|ARC-[\w-]+):[^\r\n]*(?:\r?\n[ \t][^\r\n]*)*\r?\n){2,}/i.test(head)) {
+            return { type: 'email', mimeType: 'message/rfc822' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Handler types ('soun', 'vide', ...) of the tracks in an ISO base media
+     * file, read from the hdlr boxes inside its moov box
+     * @returns {string[]}
+     */
+    getTrackHandlers(buffer) {
+        // Top-level boxes: 32-bit size (1 = 64-bit size follows, 0 = to end) and type
+        let offset = 0;
+        while (offset + 8 <= buffer.length) {
+            let size = buffer.readUInt32BE(offset);
+            const type = buffer.toString('latin1', offset + 4, offset + 8);
+            if (size === 1 && offset + 16 <= buffer.length) {
+                size = Number(buffer.readBigUInt64BE(offset + 8));
+            } else if (size === 0) {
+                size = buffer.length - offset;
+            }
+            if (size < 8) {
+                return [];
+            }
+
+            if (type === 'moov') {
+                const moov = buffer.subarray(offset, Math.min(offset + size, buffer.length));
+                const handlers = [];
+                // hdlr box: type, version/flags, pre_defined, then the handler type
+                for (let index = moov.indexOf('hdlr'); index !== -1; index = moov.indexOf('hdlr', index + 4)) {
+                    if (index + 16 <= moov.length) {
+                        handlers.push(moov.toString('latin1', index + 12, index + 16));
+                    }
+                }
+                return handlers;
+            }
+            offset += size;
+        }
+        return [];
+    }
+
+    /**
+     * Validate an uploaded file against the input type it was sent as
+     * (or any supported type when expectedType is null)
+     * @returns {Object} { error, type, mimeType } - error is null when valid
+     */
+    inspectUpload(file, expectedType = null) {
+        if (!file || !file.buffer) {
+            return { error: 'File is required', type: null, mimeType: null };
+        }
+
+        if (file.size > this.maxFileSize) {
+            return { error: 'File size must be less than 10MB', type: null, mimeType: null };
+        }
+
+        const detected = this.detectFileType(file.buffer);
+
+        if (!detected) {
+            const expected = expectedType ? this.fileTypes[expectedType].label : 'a supported receipt file';
+            return { error: `Unrecognized file content. Expected ${expected}`, type: null, mimeType: null };
+        }
+
+        if (expectedType && detected.type !== expectedType) {
+            return {
+                error: `File content is ${detected.mimeType}, not ${expectedType}. Supported: ${this.fileTypes[expectedType].label}`,
+                type: detected.type,
+                mimeType: detected.mimeType
+            };
+        }
+
+        if (detected.mimeType !== file.mimetype) {
+            console.log(`🔎 ${file.originalname || 'upload'}: declared ${file.mimetype}, detected ${detected.mimeType}`);
+        }
+
+        return { error: null, ...detected };
+    }
+
+    /**
+     * Prepare an image for the model: apply EXIF orientation, downscale large
+     * photos, convert formats Gemini doesn't accept, and split multi-frame
+     * images into frames. HEIC photos, which can't be decoded here, are sent
+     * as-is.
+     * @returns {Promise<Object>} { frames: [{ base64, mimeType }], width, height }
+     */
+    async normalizeImage(buffer, mimeType) {
+        let metadata;
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch (error) {
+            if (this.modelImageTypes.includes(mimeType)) {
+                return { frames: [{ base64: buffer.toString('base64'), mimeType }], width: null, height: null };
+            }
+            throw new Error(`Validation failed: image could not be decoded (${error.message})`);
+        }
+
+        const frameCount = Math.min(metadata.pages || 1, this.maxImageFrames);
+        const needsRotation = metadata.orientation && metadata.orientation !== 1;
+        const tooLarge = Math.max(metadata.width || 0, metadata.height || 0) > this.maxImageDimension;
+
+        if (frameCount === 1 && !needsRotation && !tooLarge &&
+            this.modelImageTypes.includes(mimeType) && buffer.length <= this.passThroughSize) {
+            return {
+                frames: [{ base64: buffer.toString('base64'), mimeType }],
+                width: metadata.width,
+                height: metadata.height
+            };
+        }
+
+        const frames = [];
+        let size = {};
+        for (let page = 0; page < frameCount; page++) {
+            const { data, info } = await sharp(buffer, { page })
+                .rotate()
+                .resize({
+                    width: this.maxImageDimension,
+                    height: this.maxImageDimension,
+                    fit: 'inside',
+                    withoutEnlargement: true
+                })
+                .flatten({ background: '#ffffff' })
+                .jpeg({ quality: 85 })
+                .toBuffer({ resolveWithObject: true });
+
+            frames.push({ base64: data.toString('base64'), mimeType: 'image/jpeg' });
+            size = { width: info.width, height: info.height };
+        }
+
+        console.log(`🖼️ Normalized ${mimeType} (${metadata.width}x${metadata.height}, ${frameCount} frame(s)) to ${size.width}x${size.height} JPEG`);
+        return { frames, ...size };
+    }
+}
+
+module.exports = new MediaService();
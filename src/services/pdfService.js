@@ -0,0 +1,176 @@
+const { createCanvas } = require('@napi-rs/canvas');
+
+class PdfService {
+    constructor() {
+        this.maxPages = 30;
+
+        // Extracted text longer than this is truncated before prompting
+        this.maxTextLength = 20000;
+
+        // PDFs without a text layer are sent to the model as page images when
+        // they have at most this many pages; longer ones are sent as documents
+        this.maxRasterPages = 10;
+        this.maxRasterDimension = 2000;
+
+        this.pdfjs = null;
+    }
+
+    /**
+     * pdf.js is an ES module, so it is imported on first use
+     */
+    async loadPdfjs() {
+        if (!this.pdfjs) {
+            this.pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+        }
+        return this.pdfjs;
+    }
+
+    async openDocument(buffer) {
+        const pdfjs = await this.loadPdfjs();
+        return pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            verbosity: pdfjs.VerbosityLevel.ERRORS,
+            isEvalSupported: false
+        }).promise;
+    }
+
+    /**
+     * Check that a buffer is a PDF Gemini can read
+     * @returns {Promise<string|null>} Error message, or null if valid
+     */
+    async validatePdf(buffer) {
+        if (!buffer || buffer.slice(0, 5).toString('latin1') !== '%PDF-') {
+            return 'File is not a valid PDF';
+        }
+
+        let info;
+        try {
+            info = await this.getDocumentInfo(buffer);
+        } catch (error) {
+            return `PDF could not be read: ${error.message}`;
+        }
+
+        if (info.encrypted) {
+            return 'Password-protected PDFs are not supported';
+        }
+
+        if (!info.page_count) {
+            return 'PDF page count could not be determined';
+        }
+
+        if (info.page_count > this.maxPages) {
+            return `PDF must have at most ${this.maxPages} pages`;
+        }
+
+        return null;
+    }
+
+    /**
+     * @returns {Promise<Object>} { page_count, encrypted } page_count is null
+     *   for password-protected PDFs
+     * @throws when the PDF can't be parsed
+     */
+    async getDocumentInfo(buffer) {
+        let document;
+        try {
+            document = await this.openDocument(buffer);
+        } catch (error) {
+            if (error.name === 'PasswordException') {
+                return { page_count: null, encrypted: true };
+            }
+            throw error;
+        }
+
+        try {
+            return { page_count: document.numPages, encrypted: false };
+        } finally {
+            await document.destroy();
+        }
+    }
+
+    /**
+     * Render pages to JPEG images for PDFs whose text layer can't be read
+     * @returns {Promise<Array<Object>>} [{ base64, mimeType }] one per page, in order
+     */
+    async renderPages(buffer, maxPages = this.maxRasterPages) {
+        const document = await this.openDocument(buffer);
+        const frames = [];
+
+        try {
+            for (let number = 1; number <= Math.min(document.numPages, maxPages); number++) {
+                const page = await document.getPage(number);
+                const size = page.getViewport({ scale: 1 });
+                const scale = Math.min(2, this.maxRasterDimension / Math.max(size.width, size.height));
+                const viewport = page.getViewport({ scale });
+
+                const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+                const context = canvas.getContext('2d');
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+
+                await page.render({ canvasContext: context, canvas, viewport }).promise;
+                page.cleanup();
+
+                frames.push({ base64: (await canvas.encode('jpeg', 85)).toString('base64'), mimeType: 'image/jpeg' });
+            }
+        } finally {
+            await document.destroy();
+        }
+
+        return frames;
+    }
+
+    /**
+     * Text layer of a PDF, read with pdf.js. Extraction is best-effort:
+     * scanned PDFs, custom font encodings and unreadable documents yield null,
+     * in which case the model reads the rendered pages instead.
+     * @returns {Promise<string|null>}
+     */
+    async extractText(buffer) {
+        let document;
+        try {
+            document = await this.openDocument(buffer);
+        } catch (error) {
+            return null;
+        }
+
+        const pages = [];
+        let length = 0;
+
+        try {
+            for (let number = 1; number <= document.numPages && length < this.maxTextLength; number++) {
+                const page = await document.getPage(number);
+                const content = await page.getTextContent();
+                page.cleanup();
+
+                const text = content.items
+                    .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+                    .join('');
+                pages.push(text);
+                length += text.length;
+            }
+        } catch (error) {
+            console.error('❌ PDF text extraction failed:', error.message);
+        } finally {
+            await document.destroy();
+        }
+
+        const text = pages.join('\n').replace(/[ \t]+/g, ' ').trim();
+        return this.isReadable(text) ? text.slice(0, this.maxTextLength) : null;
+    }
+
+    /**
+     * Reject text that is mostly glyph ids from fonts without a usable encoding
+     */
+    isReadable(text) {
+        if (text.length < 20) {
+            return false;
+        }
+
+        const printable = text.match(/[\x20-\x7E\n\xA0-\xFF]/g) || [];
+        const letters = text.match(/[A-Za-z0-9]/g) || [];
+        return printable.length / text.length > 0.9 && letters.length / text.length > 0.4;
+    }
+}
+
+module.exports = new PdfService();
@@ -0,0 +1,89 @@
+/**
+ * Defences against prompt injection in content we don't control (emails,
+ * SMS, documents, pasted text). Such content is quoted as data inside the
+ * prompt templates, and what the model extracts from it is checked before
+ * it can act on the user's account.
+ */
+class PromptSafetyService {
+    constructor() {
+        // Only the user's own typed or spoken input may delete or look up expenses
+        this.commandInputTypes = ['text', 'audio'];
+
+        this.maxMerchantLength = 100;
+
+        // Confidence ceiling for extractions from content that tried to instruct the model
+        this.flaggedConfidence = 50;
+
+        this.injectionPatterns = [
+            /\b(ignore|disregard|forget|override)\b.{0,30}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions?|prompts?|rules|directions)\b/i,
+            /\b(you are now|pretend to be|new instructions|system prompt|developer mode|jailbreak)\b/i,
+            /<\/?\s*(system|instructions?|assistant|user_text|email_(subject|sender|body)|sms_(sender|message)|pdf_text|source_content)\s*>/i,
+            /\b(delete|remove|erase|wipe)\b.{0,20}\b(all|every|each|the user'?s?|my)\b.{0,20}\b(transactions?|expenses?|records|data)\b/i,
+            /"(action_type|deletion_target|expense_detected|amount)"\s*:/i,
+            /\b(respond|reply|answer|output)\b.{0,20}\b(only|exactly)\b.{0,20}\b(with|json)\b/i
+        ];
+    }
+
+    /**
+     * Quote untrusted content for a prompt: a JSON string, with angle
+     * brackets escaped so it can't close the tag around it
+     */
+    quote(value) {
+        return JSON.stringify(value === null || value === undefined ? '' : String(value))
+            .replace(/</g, '\\u003c')
+            .replace(/>/g, '\\u003e');
+    }
+
+    /**
+     * @returns {boolean} Whether the content looks like it is addressing the model
+     */
+    detectInjection(content) {
+        const text = typeof content === 'string' ? content : JSON.stringify(content || '');
+        return this.injectionPatterns.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Sanity checks on an extraction; fixes the data in place
+     * @param {Object} data - Extracted expense data
+     * @param {string} inputType - Input the data was extracted from
+     * @param {*} untrustedContent - Text of the input, scanned for injection attempts
+     * @returns {Array<string>} Flags for what was found or corrected
+     */
+    checkExtraction(data, inputType, untrustedContent = null) {
+        const flags = [];
+
+        // An email or receipt can't turn itself into a command
+        if (!this.commandInputTypes.includes(inputType) && data.action_type && data.action_type !== 'expense') {
+            console.warn(`⚠️ ${inputType} extraction asked for a ${data.action_type} action - treating it as an expense`);
+            data.action_type = 'expense';
+            flags.push('action_type_overridden');
+        }
+        if (data.action_type !== 'deletion') {
+            data.deletion_target = null;
+        }
+
+        if (typeof data.merchant === 'string') {
+            const merchant = data.merchant
+                .replace(/[\u0000-\u001f\u007f<>{}]/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim()
+                .slice(0, this.maxMerchantLength);
+            if (merchant !== data.merchant) {
+                flags.push('merchant_sanitized');
+            }
+            data.merchant = merchant || null;
+        }
+
+        if (untrustedContent && this.detectInjection(untrustedContent)) {
+            console.warn(`⚠️ Possible prompt injection in ${inputType} input`);
+            flags.push('possible_prompt_injection');
+            if (typeof data.confidence === 'number') {
+                data.confidence = Math.min(data.confidence, this.flaggedConfidence);
+            }
+        }
+
+        return flags;
+    }
+}
+
+module.exports = new PromptSafetyService();
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const firebaseService = require('./firebaseService');
+
+/**
+ * Named, versioned prompt templates. Templates live in
+ * `<PROMPTS_DIR>/<name>/<version>.txt`, with optional translations in
+ * `<version>.<locale>.txt` (e.g. v1.hi.txt), and use `{{variable}}`
+ * placeholders. `registry.json` in the same directory picks each prompt's
+ * version:
+ *   { "<name>": { "version": "v1", "experiment": { "id": "...", "versions": { "v1": 50, "v2": 50 } } } }
+ * An experiment splits users into cohorts by a hash of the user ID, so a
+ * user always gets the same version; weights are percentages and any
+ * remainder gets the default version.
+ */
+class PromptService {
+    constructor() {
+        this.directory = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+        this.registry = null;
+        this.templates = new Map();
+
+        // Untrusted content (user text, emails, SMS, PDF text) only reaches a
+        // template quoted, through the *_json variables or, for PDF text, the
+        // pdf_text_section that geminiService quotes and fences. Templates
+        // that would interpolate it raw are refused, so pinning an old
+        // version can't turn the quoting off.
+        this.rawUntrustedVariables = ['text', 'subject', 'sender', 'body', 'message', 'pdf_text', 'source_context'];
+    }
+
+    async loadRegistry() {
+        if (!this.registry) {
+            try {
+                const file = path.join(this.directory, 'registry.json');
+                this.registry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to load prompt registry: ${error.message}`);
+            }
+        }
+        return this.registry;
+    }
+
+    /**
+     * Template text for a version in the closest locale: "hi-IN" tries
+     * v1.hi-IN.txt, then v1.hi.txt, then v1.txt
+     * @returns {Promise<Object>} { template, locale } locale is null for the base template
+     */
+    async loadTemplate(name, version, locale) {
+        const candidates = locale ? [...new Set([locale, locale.split('-')[0]])] : [];
+
+        for (const candidate of [...candidates, null]) {
+            const file = path.join(this.directory, name, candidate ? `${version}.${candidate}.txt` : `${version}.txt`);
+
+            if (!this.templates.has(file)) {
+                try {
+                    const template = await fs.promises.readFile(file, 'utf8');
+                    this.templates.set(file, template.replace(/\r?\n$/, ''));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw new Error(`Failed to load prompt ${name} ${version}: ${error.message}`);
+                    }
+                    this.templates.set(file, null);
+                }
+            }
+
+            if (this.templates.get(file) !== null) {
+                return { template: this.templates.get(file), locale: candidate };
+            }
+        }
+
+        throw new Error(`Prompt ${name} ${version} not found`);
+    }
+
+    /**
+     * Version of a prompt for a user: their experiment cohort's version when
+     * the prompt has an experiment, otherwise the default version
+     * @returns {Object} { version, experiment } experiment is null outside experiments
+     */
+    selectVersion(entry, userId) {
+        const experiment = entry.experiment;
+        if (!experiment || !userId) {
+            return { version: entry.version, experiment: null };
+        }
+
+        const bucket = this.getCohort(userId, experiment.id);
+        let threshold = 0;
+        for (const [version, weight] of Object.entries(experiment.versions || {})) {
+            threshold += weight;
+            if (bucket < threshold) {
+                return { version, experiment: experiment.id };
+            }
+        }
+
+        return { version: entry.version, experiment: experiment.id };
+    }
+
+    /**
+     * Stable 0-99 bucket for a user within an experiment
+     */
+    getCohort(userId, experimentId) {
+        const hash = crypto.createHash('sha256').update(`${experimentId}:${userId}`).digest();
+        return hash.readUInt32BE(0) % 100;
+    }
+
+    /**
+     * Render a prompt
+     * @param {string} name - Prompt name, e.g. "image_extraction"
+     * @param {Object} variables - Values for the template's placeholders
+     * @param {Object} options - { userId, locale } userId picks the experiment cohort
+     * @returns {Promise<Object>} { text, prompt: { name, version, locale, experiment } }
+     *   where `prompt` is recorded on whatever the response produces
+     */
+    async render(name, variables = {}, { userId, locale } = {}) {
+        const registry = await this.loadRegistry();
+        const entry = registry[name];
+        if (!entry) {
+            throw new Error(`Prompt ${name} not found`);
+        }
+
+        const { version, experiment } = this.selectVersion(entry, userId);
+        const loaded = await this.loadTemplate(name, version, locale);
+
+        const rawVariable = [...loaded.template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+            .map(match => match[1])
+            .find(variable => this.rawUntrustedVariables.includes(variable));
+        if (rawVariable) {
+            throw new Error(`Prompt ${name} ${version} interpolates untrusted "${rawVariable}" without quoting`);
+        }
+
+        const text = loaded.template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, variable) => {
+            if (variables[variable] === undefined || variables[variable] === null) {
+                throw new Error(`Prompt ${name} ${version} is missing variable "${variable}"`);
+            }
+            return String(variables[variable]);
+        });
+
+        return {
+            text,
+            prompt: { name, version, locale: loaded.locale, experiment }
+        };
+    }
+
+    /**
+     * The user's language preference, for localized templates
+     */
+    async getUserLocale(userId) {
+        try {
+            const user = await firebaseService.getUserProfile(userId);
+            const language = user?.profile?.preferences?.language;
+            return typeof language === 'string' && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language) ? language : null;
+        } catch (error) {
+            console.error('❌ Error loading language preference:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new PromptService();
@@ -3,14 +3,62 @@ const firebaseService = require('./firebaseService');
 const reminderService = require('./reminderService');
 const correlationService = require('./correlationService');
 const walletService = require('./walletService');
+const transactionSearchService = require('./transactionSearchService');
+const categoryService = require('./categoryService');
+const ruleService = require('./ruleService');
+const correctionService = require('./correctionService');
+const currencyService = require('./currencyService');
+const smsParserService = require('./smsParserService');
+const storageService = require('./storageService');
+const lineItemService = require('./lineItemService');
+const promptService = require('./promptService');
+const promptSafetyService = require('./promptSafetyService');
 
 class ReceiptService {
     async processReceipt(inputData, userId) {
         try {
             console.log(`📄 Processing ${inputData.type} receipt for user: ${userId}`);
 
-            // Process with Gemini
-            const processedData = await geminiService.processExpenseInput(inputData);
+            // Process with Gemini, prompting with the user's own category tree
+            // and their past category corrections as few-shot examples; the
+            // user and their language pick the prompt version
+            const categories = await categoryService.getUserCategories(userId);
+            const corrections = await this.getUserCorrectionsSafe(userId);
+            const processedData = await this.extractExpenseData(inputData, {
+                categories,
+                corrections: correctionService.getPromptExamples(corrections),
+                userId,
+                locale: await promptService.getUserLocale(userId)
+            });
+            const uncategorized = !processedData.category;
+
+            // Keep the extracted category within the user's tree
+            Object.assign(processedData, categoryService.normalizeCategory(
+                categories,
+                processedData.category,
+                processedData.subcategory
+            ));
+            processedData.category_source = 'model';
+
+            // Item categories come from the same tree
+            Object.assign(processedData, lineItemService.normalizeReceipt(processedData, categories));
+
+            // Receipts that don't state a currency are in the user's home currency
+            processedData.currency = currencyService.normalizeCurrency(processedData.currency) ||
+                await currencyService.getHomeCurrency(userId);
+
+            // A category the user taught us for this merchant beats the model's guess
+            const learned = correctionService.findLearnedCategory(corrections, categories, processedData.merchant);
+            if (learned) {
+                processedData.category = learned.category;
+                processedData.subcategory = learned.subcategory;
+                processedData.category_source = 'learned';
+            } else if (uncategorized && processedData.parser && processedData.expense_detected &&
+                !(await ruleService.evaluateRules(userId, processedData, inputData.type))) {
+                // Template-parsed SMS come without a category; without a learned
+                // mapping or a rule for the merchant, Gemini picks one
+                await this.categorizeParsedSms(processedData, categories, corrections, userId);
+            }
 
             // Handle different action types
             if (processedData.action_type === 'deletion') {
@@ -23,44 +71,7 @@ class ReceiptService {
 
             // Handle expense creation
             if (processedData.expense_detected && processedData.amount > 0) {
-                // First check for correlations with existing transactions
-                const tempTransaction = {
-                    merchant: processedData.merchant,
-                    amount: processedData.amount,
-                    currency: processedData.currency,
-                    category: processedData.category,
-                    timestamp: processedData.timestamp || new Date().toISOString(),
-                    items: processedData.items || []
-                };
-                
-                // Check for correlations before creating a new transaction
-                const correlation = await correlationService.findCorrelations(tempTransaction, userId, inputData);
-                
-                if (correlation && correlation.action === 'merged') {
-                    // Transaction was merged with an existing one, no need to create a new one
-                    console.log(`✅ Transaction merged with existing: ${correlation.existing_transaction_id}`);
-                    
-                    return {
-                        success: true,
-                        action_type: 'expense_merged',
-                        transaction_id: correlation.existing_transaction_id,
-                        correlation: correlation,
-                        processed_data: processedData
-                    };
-                }
-                
-                // No correlation found, create a new transaction
-                const transactionId = await this.createTransaction(processedData, userId, inputData);
-                
-                // Trigger background processes (async)
-                this.triggerBackgroundProcesses(transactionId, processedData, userId, inputData);
-
-                return {
-                    success: true,
-                    action_type: 'expense_created',
-                    transaction_id: transactionId,
-                    processed_data: processedData
-                };
+                return await this.handleExpense(processedData, userId, inputData);
             } else {
                 return {
                     success: true,
@@ -71,27 +82,306 @@ class ReceiptService {
 
         } catch (error) {
             console.error('❌ Receipt processing error:', error.message);
-            throw new Error(`Failed to process receipt: ${error.message}`);
+            throw new Error(`Failed to process receipt: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Bank/UPI/card SMS in a known format are parsed deterministically; every
+     * other input, and SMS no template matches, goes to Gemini
+     */
+    async extractExpenseData(inputData, options) {
+        if (inputData.type === 'sms') {
+            const parsed = smsParserService.parse(inputData.data, inputData.metadata);
+            if (parsed) {
+                console.log(`📱 SMS parsed with ${parsed.parser}`);
+                // The payee name comes from the message, so it gets the same checks as model output
+                parsed.safety_flags = promptSafetyService.checkExtraction(parsed, 'sms', inputData.data.message);
+                return parsed;
+            }
+            console.log('📱 No SMS template matched - falling back to Gemini');
+        }
+
+        if (inputData.type === 'email' && inputData.data?.attachments?.length > 0) {
+            return this.extractEmailWithAttachments(inputData, options);
+        }
+
+        return geminiService.processExpenseInput(inputData, options);
+    }
+
+    /**
+     * Fill in the category of a template-parsed SMS from its merchant name.
+     * Best-effort: the payment was parsed, so a failed call leaves the
+     * fallback category rather than failing the SMS.
+     */
+    async categorizeParsedSms(processedData, categories, corrections, userId) {
+        if (!processedData.merchant) {
+            return;
+        }
+
+        try {
+            const result = await geminiService.categorizeMerchant(processedData.merchant, processedData.payment?.method, {
+                categories,
+                corrections: correctionService.getPromptExamples(corrections),
+                userId,
+                locale: await promptService.getUserLocale(userId)
+            });
+
+            Object.assign(processedData, categoryService.normalizeCategory(categories, result.category, result.subcategory));
+            processedData.category_source = 'model';
+            processedData.prompt = result.prompt;
+        } catch (error) {
+            console.error('❌ SMS categorization failed, keeping the fallback category:', error.message);
+        }
+    }
+
+    /**
+     * Extract an email body and its PDF/image attachments as one expense.
+     * The body wins when it has an expense; otherwise the first attachment
+     * that does. Items and invoice details missing from it are filled from
+     * the attachments, which are recorded as extra sources.
+     */
+    async extractEmailWithAttachments(inputData, options) {
+        const { attachments, ...emailData } = inputData.data;
+        const emailResult = await geminiService.processExpenseInput({ ...inputData, data: emailData }, options);
+
+        const attachmentResults = [];
+        for (const attachment of attachments) {
+            try {
+                const result = await geminiService.processExpenseInput({
+                    type: attachment.type,
+                    data: attachment.data,
+                    metadata: inputData.metadata
+                }, options);
+                attachmentResults.push({ attachment, result });
+            } catch (error) {
+                // One unreadable attachment shouldn't lose the email
+                console.error(`❌ Failed to extract attachment ${attachment.name}:`, error.message);
+            }
+        }
+
+        const hasExpense = data => data.expense_detected && data.amount > 0;
+        const primary = hasExpense(emailResult)
+            ? emailResult
+            : (attachmentResults.find(({ result }) => hasExpense(result))?.result || emailResult);
+
+        const merged = { ...primary, input_type: 'email' };
+        const expenseResults = attachmentResults.filter(({ result }) => hasExpense(result));
+
+        if (!merged.items || merged.items.length === 0) {
+            merged.items = expenseResults.find(({ result }) => result.items?.length > 0)?.result.items || [];
+        }
+        if (!merged.totals) {
+            merged.totals = expenseResults.find(({ result }) => result.totals)?.result.totals || null;
+        }
+        if (!merged.invoice) {
+            merged.invoice = expenseResults.find(({ result }) => result.invoice)?.result.invoice || null;
+        }
+        merged.safety_flags = [...new Set([
+            ...(emailResult.safety_flags || []),
+            ...attachmentResults.flatMap(({ result }) => result.safety_flags || [])
+        ])];
+
+        merged.attachment_sources = attachmentResults.map(({ attachment, result }) => {
+            // Kept on the attachment so storeUploads can fill in the URI
+            attachment.source = {
+                input_type: attachment.type,
+                uri: null,
+                name: attachment.name,
+                attached_to: 'email',
+                prompt: result.prompt || null,
+                model: result.model || null
+            };
+            return attachment.source;
+        });
+
+        console.log(`📎 Extracted email with ${attachmentResults.length}/${attachments.length} attachments`);
+        return merged;
+    }
+
+    /**
+     * Create a manually entered transaction, skipping Gemini extraction but
+     * running the same correlation, reminder and wallet pass pipeline
+     */
+    async createManualTransaction(transactionInput, userId) {
+        try {
+            console.log(`✍️ Creating manual transaction for user: ${userId}`);
+
+            const inputData = {
+                type: 'manual',
+                data: transactionInput,
+                metadata: {
+                    location: transactionInput.location || null,
+                    timestamp: new Date().toISOString(),
+                    uri: null
+                }
+            };
+
+            const processedData = {
+                expense_detected: true,
+                merchant: transactionInput.merchant,
+                amount: transactionInput.amount,
+                currency: transactionInput.currency || null,
+                category: transactionInput.category,
+                subcategory: transactionInput.subcategory || null,
+                items: transactionInput.items || [],
+                totals: transactionInput.totals || null,
+                timestamp: transactionInput.timestamp || null,
+                confidence: 100,
+                category_source: 'user',
+                action_type: 'expense',
+                input_type: 'manual',
+                processed_at: new Date().toISOString(),
+                location: transactionInput.location || null
+            };
+
+            return await this.handleExpense(processedData, userId, inputData);
+
+        } catch (error) {
+            console.error('❌ Manual transaction error:', error.message);
+            throw new Error(`Failed to create manual transaction: ${error.message}`);
+        }
+    }
+
+    /**
+     * Correlate an extracted expense with existing transactions, then either
+     * merge it or create a new transaction and kick off background processing
+     */
+    async handleExpense(processedData, userId, inputData) {
+        // Keep the original files now that they back a transaction
+        await this.storeUploads(userId, inputData);
+
+        // First check for correlations with existing transactions
+        const tempTransaction = {
+            merchant: processedData.merchant,
+            amount: processedData.amount,
+            currency: processedData.currency,
+            category: processedData.category,
+            subcategory: processedData.subcategory || null,
+            timestamp: processedData.timestamp || new Date().toISOString(),
+            items: processedData.items || [],
+            totals: processedData.totals || null,
+            prompt: processedData.prompt || null,
+            model: processedData.model || null,
+            attachment_sources: processedData.attachment_sources || []
+        };
+
+        // Check for correlations before creating a new transaction
+        const correlation = await correlationService.findCorrelations(tempTransaction, userId, inputData);
+
+        if (correlation && correlation.action === 'merged') {
+            // Transaction was merged with an existing one, no need to create a new one
+            console.log(`✅ Transaction merged with existing: ${correlation.existing_transaction_id}`);
+
+            return {
+                success: true,
+                action_type: 'expense_merged',
+                transaction_id: correlation.existing_transaction_id,
+                correlation: correlation,
+                processed_data: processedData
+            };
+        }
+
+        // No correlation found, create a new transaction
+        const transactionId = await this.createTransaction(processedData, userId, inputData);
+
+        // Trigger background processes (async)
+        this.triggerBackgroundProcesses(transactionId, processedData, userId, inputData);
+
+        return {
+            success: true,
+            action_type: 'expense_created',
+            transaction_id: transactionId,
+            processed_data: processedData
+        };
+    }
+
+    /**
+     * Save the uploaded file and any extracted email attachments, setting
+     * the source URIs
+     */
+    async storeUploads(userId, inputData) {
+        if (inputData.upload) {
+            inputData.metadata.uri = await this.storeUploadSafe(userId, inputData.upload);
+        }
+
+        if (inputData.type === 'email') {
+            for (const attachment of inputData.data?.attachments || []) {
+                if (attachment.upload && attachment.source) {
+                    attachment.source.uri = await this.storeUploadSafe(userId, attachment.upload);
+                }
+            }
+        }
+    }
+
+    /**
+     * A storage failure leaves the URI null rather than losing the expense
+     */
+    async storeUploadSafe(userId, upload) {
+        try {
+            return await storageService.saveUpload(userId, upload);
+        } catch (error) {
+            console.error('❌ Continuing without stored file:', error.message);
+            return null;
         }
     }
 
     async createTransaction(processedData, userId, inputData) {
         try {
+            // User rules override the extracted category (manual entries keep theirs)
+            const ruleMatch = inputData.type !== 'manual'
+                ? await ruleService.evaluateRules(userId, processedData, inputData.type)
+                : null;
+
+            if (ruleMatch) {
+                processedData.category = ruleMatch.category;
+                processedData.subcategory = ruleMatch.subcategory;
+                processedData.category_source = 'rule';
+            }
+
+            // Store the original amount plus its value in the user's home currency
+            const homeCurrency = await currencyService.getHomeCurrency(userId);
+            const currency = currencyService.normalizeCurrency(processedData.currency) || homeCurrency;
+            const timestamp = processedData.timestamp || new Date().toISOString();
+            const homeAmountFields = await currencyService.getHomeAmountFields(
+                processedData.amount,
+                currency,
+                timestamp,
+                homeCurrency
+            );
+
+            // Flag receipts whose items don't add up to the amount
+            const itemCheck = lineItemService.checkConsistency(processedData);
+            if (itemCheck?.status === 'mismatch') {
+                console.warn(`⚠️ Items add up to ${itemCheck.expected_total} but the amount is ${processedData.amount}`);
+            }
+
             // Prepare transaction data
             const transactionData = {
                 userId: userId,
                 merchant: processedData.merchant || 'Unknown Merchant',
                 amount: processedData.amount,
-                currency: processedData.currency || 'INR',
+                currency: currency,
+                ...homeAmountFields,
                 category: processedData.category || 'other',
+                subcategory: processedData.subcategory || null,
+                category_source: processedData.category_source || 'model',
                 items: processedData.items || [],
-                timestamp: processedData.timestamp || new Date().toISOString(),
+                totals: processedData.totals || null,
+                item_check: itemCheck,
+                safety_flags: processedData.safety_flags || [],
+                invoice: processedData.invoice || null,
+                payment: processedData.payment || null,
+                timestamp: timestamp,
                 location: processedData.location || inputData.metadata?.location || null,
                 sources: [{
                     input_type: inputData.type,
-                    uri: inputData.metadata?.uri || null
-                }],
+                    uri: inputData.metadata?.uri || null,
+                    prompt: processedData.prompt || null,
+                    model: processedData.model || null
+                }, ...(processedData.attachment_sources || [])],
                 action_type: processedData.action_type || 'expense',
+                applied_rule_id: ruleMatch ? ruleMatch.rule_id : null,
                 wallet_pass_id: null,
                 wallet_pass_url: null,
                 trip_id: null
@@ -128,6 +418,15 @@ class ReceiptService {
         }
     }
 
+    async getUserCorrectionsSafe(userId) {
+        try {
+            return await correctionService.getUserCorrections(userId);
+        } catch (error) {
+            console.error('❌ Error loading learned corrections:', error.message);
+            return [];
+        }
+    }
+
     async handleDeletion(processedData, userId) {
         try {
             console.log('🗑️ Handling deletion request:', processedData.deletion_target);
@@ -207,6 +506,7 @@ class ReceiptService {
                 amount: processedData.amount,
                 currency: processedData.currency,
                 category: processedData.category,
+                subcategory: processedData.subcategory || null,
                 timestamp: processedData.timestamp || new Date().toISOString(),
                 items: processedData.items || []
             };
@@ -275,12 +575,19 @@ class ReceiptService {
 
     async getUserTransactions(userId, filters = {}) {
         try {
-            const transactions = await firebaseService.getUserTransactions(userId, filters);
+            const page = transactionSearchService.requiresSearch(filters)
+                ? await transactionSearchService.searchTransactions(userId, filters)
+                : await firebaseService.getUserTransactionsPage(userId, filters);
+            const { cursor, ...appliedFilters } = filters;
             return {
                 success: true,
-                transactions: transactions,
-                count: transactions.length,
-                filters: filters
+                transactions: page.transactions,
+                count: page.transactions.length,
+                total_count: page.total_count,
+                next_cursor: page.next_cursor,
+                has_more: page.has_more,
+                scan_truncated: page.scan_truncated || false,
+                filters: appliedFilters
             };
         } catch (error) {
             console.error('❌ Error fetching transactions:', error.message);
@@ -288,21 +595,160 @@ class ReceiptService {
         }
     }
 
-    async getSpendingAnalytics(userId, days = 30) {
+    async getTransaction(transactionId, userId) {
         try {
-            const baseline = await firebaseService.getSpendingBaseline(userId, days);
-            const transactions = await firebaseService.getUserTransactions(userId, {
-                limit: 100
+            const transaction = await firebaseService.getTransaction(transactionId, userId);
+
+            if (transaction.status === 'deleted') {
+                throw new Error('Transaction not found');
+            }
+
+            return transaction;
+        } catch (error) {
+            console.error('❌ Error fetching transaction:', error.message);
+            throw new Error(`Failed to fetch transaction: ${error.message}`);
+        }
+    }
+
+    /**
+     * Original file behind one of a transaction's sources
+     * @returns {Promise<Object>} { content, contentType, name }
+     */
+    async getTransactionSourceFile(transactionId, sourceIndex, userId) {
+        try {
+            const transaction = await this.getTransaction(transactionId, userId);
+            const source = (transaction.sources || [])[sourceIndex];
+
+            if (!source) {
+                throw new Error(`Source ${sourceIndex} not found`);
+            }
+            if (!source.uri) {
+                throw new Error(`Stored file for source ${sourceIndex} not found`);
+            }
+
+            const file = await storageService.readFile(userId, source.uri);
+            return { ...file, name: source.name || file.name };
+        } catch (error) {
+            console.error('❌ Error fetching source file:', error.message);
+            throw new Error(`Failed to fetch source file: ${error.message}`);
+        }
+    }
+
+    async updateTransaction(transactionId, userId, updates) {
+        try {
+            // Ownership and existence check
+            const existing = await this.getTransaction(transactionId, userId);
+            const categoryChanged = updates.category !== undefined && (
+                updates.category !== existing.category ||
+                (updates.subcategory || null) !== (existing.subcategory || null)
+            );
+
+            // Amount or date edits change the home-currency value
+            let homeAmountFields = {};
+            if (updates.amount !== undefined || updates.timestamp !== undefined) {
+                homeAmountFields = await currencyService.getHomeAmountFields(
+                    updates.amount ?? existing.amount,
+                    existing.currency,
+                    updates.timestamp || existing.timestamp,
+                    existing.home_currency || await currencyService.getHomeCurrency(userId)
+                );
+            }
+
+            // Re-check the items against the amount when either changes
+            let itemCheckFields = {};
+            if (updates.items !== undefined || updates.amount !== undefined || updates.totals !== undefined) {
+                itemCheckFields = {
+                    item_check: lineItemService.checkConsistency({
+                        amount: updates.amount ?? existing.amount,
+                        items: updates.items ?? existing.items,
+                        totals: updates.totals !== undefined ? updates.totals : existing.totals
+                    })
+                };
+            }
+
+            await firebaseService.updateTransaction(transactionId, {
+                ...updates,
+                ...homeAmountFields,
+                ...itemCheckFields,
+                ...(categoryChanged ? { category_source: 'user' } : {}),
+                manually_edited: true
             });
 
+            // Remember the correction so future receipts from this merchant get it right
+            if (categoryChanged) {
+                await correctionService.recordCorrection(userId, {
+                    merchant: updates.merchant || existing.merchant,
+                    from_category: existing.category,
+                    from_subcategory: existing.subcategory,
+                    to_category: updates.category,
+                    to_subcategory: updates.subcategory,
+                    transaction_id: transactionId
+                });
+            }
+
+            return await firebaseService.getTransaction(transactionId, userId);
+        } catch (error) {
+            console.error('❌ Error updating transaction:', error.message);
+            throw new Error(`Failed to update transaction: ${error.message}`);
+        }
+    }
+
+    async deleteTransaction(transactionId, userId) {
+        try {
+            // Ownership and existence check (already deleted counts as not found)
+            await this.getTransaction(transactionId, userId);
+            await firebaseService.deleteTransaction(transactionId, userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Error deleting transaction:', error.message);
+            throw new Error(`Failed to delete transaction: ${error.message}`);
+        }
+    }
+
+    async restoreTransaction(transactionId, userId) {
+        try {
+            await firebaseService.restoreTransaction(transactionId, userId);
+            return await firebaseService.getTransaction(transactionId, userId);
+        } catch (error) {
+            console.error('❌ Error restoring transaction:', error.message);
+            throw new Error(`Failed to restore transaction: ${error.message}`);
+        }
+    }
+
+    async getSpendingAnalytics(userId, days = 30) {
+        try {
+            // All analytics are in the user's preferred currency
+            const homeCurrency = await currencyService.getHomeCurrency(userId);
+            const baseline = await firebaseService.getSpendingBaseline(userId, days, homeCurrency);
+            const recent = await currencyService.convertTransactions(
+                await firebaseService.getUserTransactions(userId, { limit: 100 }),
+                homeCurrency
+            );
+            const transactions = recent.transactions;
+
+            // Spending over the period, grouped by the user's category tree
+            const cutoffDate = new Date();
+            cutoffDate.setDate(cutoffDate.getDate() - days);
+            const period = await currencyService.convertTransactions(
+                await firebaseService.getUserTransactions(userId, {
+                    startDate: cutoffDate.toISOString(),
+                    limit: 1000
+                }),
+                homeCurrency
+            );
+            const periodTransactions = period.transactions;
+            const categories = await categoryService.getUserCategories(userId);
+
             // Calculate additional analytics
             const analytics = {
+                currency: homeCurrency,
                 baseline: baseline,
                 recent_activity: {
                     last_transaction: transactions[0] || null,
                     transactions_this_week: this.getTransactionsThisWeek(transactions)
                 },
                 top_categories: this.getTopCategories(transactions),
+                category_breakdown: categoryService.buildCategoryBreakdown(categories, periodTransactions),
                 top_merchants: this.getTopMerchants(transactions)
             };
 
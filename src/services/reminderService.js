@@ -1,5 +1,9 @@
 const firebaseService = require('./firebaseService');
-const { callGemini } = require('../client/geminiClient');
+const structuredOutputService = require('./structuredOutputService');
+const geminiSchemas = require('./geminiSchemas');
+const promptService = require('./promptService');
+const promptSafetyService = require('./promptSafetyService');
+const { QuotaExceededError, findError } = require('../errors');
 
 class ReminderService {
     constructor() {
@@ -9,6 +13,7 @@ class ReminderService {
             RECURRING: 'recurring',
             ONE_TIME: 'one_time'
         };
+        this.analysisTimeout = 15000; // ms; reminders are best effort
     }
 
     /**
@@ -19,7 +24,7 @@ class ReminderService {
             console.log(`⏰ Analyzing transaction for reminders: ${transaction.merchant}`);
 
             // Use Gemini to analyze if this transaction needs reminders
-            const analysis = await this.analyzeWithGemini(transaction, inputData);
+            const analysis = await this.analyzeWithGemini(transaction, inputData, userId);
             
             if (analysis.needs_reminder) {
                 const reminder = await this.createReminder(transaction, analysis, userId);
@@ -31,6 +36,10 @@ class ReminderService {
             }
 
         } catch (error) {
+            if (findError(error, QuotaExceededError)) {
+                console.log(`⏸️ Reminder analysis deferred for ${transaction.merchant}:`, error.message);
+                return null;
+            }
             console.error('❌ Error analyzing transaction for reminders:', error.message);
             return null;
         }
@@ -38,111 +47,67 @@ class ReminderService {
 
     /**
      * Use Gemini to analyze if transaction needs reminders
+     * @returns {Promise<Object>} The analysis, with `prompt` set to the prompt version used
      */
-    async analyzeWithGemini(transaction, inputData) {
+    async analyzeWithGemini(transaction, inputData, userId) {
         try {
             // Build context with original source data
-            let sourceContext = '';
-            
-            switch (inputData.type) {
-                case 'email':
-                    sourceContext = `
-Original Email:
-Subject: ${inputData.data.subject}
-From: ${inputData.data.sender}
-Body: ${inputData.data.body}`;
-                    break;
-                    
-                case 'text':
-                    sourceContext = `
-Original Text: ${inputData.data}`;
-                    break;
-                    
-                case 'audio':
-                    sourceContext = `
-Original Audio Input: [Audio file processed]`;
-                    break;
-                    
-                case 'image':
-                    sourceContext = `
-Original Image: [Receipt image processed]`;
-                    break;
-                    
-                default:
-                    sourceContext = `
-Original Input: ${JSON.stringify(inputData.data, null, 2)}`;
-            }
-
-            const prompt = `Analyze this transaction and its original source to determine if it needs reminders:
-
-Transaction: ${JSON.stringify(transaction, null, 2)}
-
-${sourceContext}
-
-Based on the original source content and transaction details, determine if this needs recurring reminders.
-
-Return ONLY a JSON object:
-{
-  "needs_reminder": boolean,
-  "reminder_type": "subscription|bill|recurring|one_time",
-  "frequency": "monthly|yearly|weekly|quarterly|custom",
-  "next_due_date": "YYYY-MM-DDTHH:MM:SSZ format" or null,
-  "reminder_days_before": number (how many days before to remind),
-  "confidence": number (0-100),
-  "reason": "why this needs/doesn't need a reminder based on source content",
-  "estimated_amount": number or null,
-  "category": "subscription|utility|insurance|loan|other"
-}
-
-Examples:
-- Email from Netflix about subscription → needs monthly reminder
-- Email about electricity bill → needs monthly reminder  
-- Insurance premium email → needs yearly reminder
-- One-time purchase receipt → no reminder needed
-- Apple subscription confirmation → needs monthly reminder
-- SMS about loan EMI → needs monthly reminder`;
-
-            const contents = [{ parts: [{ text: prompt }] }];
-            const response = await callGemini(contents, 'gemini-2.5-flash');
+            const source = this.describeSource(inputData);
+            const locale = await promptService.getUserLocale(userId);
+
+            const { text, prompt } = await promptService.render('reminder_analysis', {
+                transaction: JSON.stringify(transaction, null, 2),
+                source_type: source.title.toLowerCase(),
+                source_content_json: promptSafetyService.quote(source.content)
+            }, { userId, locale });
+            const system = await promptService.render('analysis_system', {}, { userId, locale });
+
+            const contents = [{ parts: [{ text }] }];
+            const analysis = await structuredOutputService.generate(contents, {
+                model: 'gemini-2.5-flash',
+                schema: geminiSchemas.reminder(),
+                label: 'reminder analysis',
+                timeout: this.analysisTimeout,
+                systemInstruction: system.text,
+                caller: 'reminders',
+                userId: userId
+            });
 
-            return this.parseGeminiResponse(response);
+            return { ...analysis, prompt };
 
         } catch (error) {
             console.error('❌ Gemini analysis error:', error.message);
-            throw new Error(`Failed to analyze transaction for reminders: ${error.message}`);
+            throw new Error(`Failed to analyze transaction for reminders: ${error.message}`, { cause: error });
         }
     }
 
     /**
-     * Parse Gemini response for reminder analysis
+     * Original input for the reminder prompt
+     * @returns {Object} { title, content }
      */
-    parseGeminiResponse(responseText) {
-        try {
-            let jsonText = responseText.trim();
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-            
-            const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                jsonText = jsonMatch[0];
-            }
-
-            // Fix common JSON issues
-            jsonText = jsonText.replace(/\n/g, ' ');
-            jsonText = jsonText.replace(/,\s*}/g, '}');
-            jsonText = jsonText.replace(/,\s*]/g, ']');
-
-            const analysis = JSON.parse(jsonText);
-
-            // Set defaults
-            analysis.needs_reminder = analysis.needs_reminder || false;
-            analysis.confidence = analysis.confidence || 0;
-            analysis.reminder_days_before = analysis.reminder_days_before || 3;
-
-            return analysis;
-
-        } catch (error) {
-            console.error('❌ Failed to parse Gemini response:', error.message);
-            throw new Error('Invalid Gemini response format');
+    describeSource(inputData) {
+        switch (inputData.type) {
+            case 'email':
+                return {
+                    title: 'Email',
+                    content: `Subject: ${inputData.data.subject}
+From: ${inputData.data.sender}
+Body: ${inputData.data.body}`
+                };
+            case 'text':
+                return { title: 'Text', content: inputData.data };
+            case 'audio':
+                return { title: 'Audio Input', content: '[Audio file processed]' };
+            case 'image':
+                return { title: 'Image', content: '[Receipt image processed]' };
+            case 'pdf':
+                return {
+                    title: 'PDF',
+                    content: `Pages: ${inputData.data.pageCount || 1}
+Text: ${inputData.data.text || '[No text layer; the pages were read as images]'}`
+                };
+            default:
+                return { title: 'Input', content: JSON.stringify(inputData.data, null, 2) };
         }
     }
 
@@ -164,6 +129,7 @@ Examples:
                 reminder_days_before: analysis.reminder_days_before,
                 confidence: analysis.confidence,
                 reason: analysis.reason,
+                prompt: analysis.prompt || null,
                 status: 'active',
                 reminder_sent: false,
                 created_from_transaction: true,
@@ -186,11 +152,11 @@ Examples:
     /**
      * Get due reminders (for cron job)
      */
-    async getDueReminders(daysAhead = 7) {
+    async getDueReminders(daysAhead = 7, userId = null) {
         try {
             console.log(`⏰ Checking for reminders due in next ${daysAhead} days...`);
 
-            const dueReminders = await firebaseService.getDueReminders(daysAhead);
+            const dueReminders = await firebaseService.getDueReminders(daysAhead, userId);
             
             console.log(`📋 Found ${dueReminders.length} due reminders`);
             return dueReminders;
@@ -0,0 +1,369 @@
+const firebaseService = require('./firebaseService');
+const categoryService = require('./categoryService');
+const safeRegex = require('safe-regex2');
+
+class RuleService {
+    constructor() {
+        // Allowed operators per condition field
+        this.fieldOperators = {
+            merchant: ['matches', 'contains', 'equals'],
+            item: ['matches', 'contains', 'equals'],
+            category: ['equals'],
+            currency: ['equals'],
+            source: ['equals'],
+            amount: ['lt', 'lte', 'gt', 'gte', 'equals']
+        };
+
+        this.maxConditions = 10;
+        this.maxPatternLength = 200;
+
+        // Text a `matches` pattern runs against is cut to this length, which
+        // bounds the work even for patterns the safety check lets through
+        this.maxMatchLength = 200;
+        this.defaultPriority = 100;
+
+        // Upper bound on transactions touched by one retroactive apply
+        this.retroactiveScanLimit = 1000;
+    }
+
+    // ==================== RULE MANAGEMENT ====================
+
+    /**
+     * Get a user's rules in evaluation order (lowest priority number first)
+     */
+    async getUserRules(userId) {
+        const rules = await firebaseService.getUserRules(userId);
+
+        return rules.sort((a, b) =>
+            (a.priority ?? this.defaultPriority) - (b.priority ?? this.defaultPriority) ||
+            (a.created_at || '').localeCompare(b.created_at || '')
+        );
+    }
+
+    async getRule(userId, ruleId) {
+        return firebaseService.getRule(ruleId, userId);
+    }
+
+    async createRule(userId, ruleInput) {
+        const categories = await categoryService.loadUserCategories(userId);
+        const { errors, rule } = this.validateRule(ruleInput, categories);
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join('; ')}`);
+        }
+
+        const ruleId = await firebaseService.saveRule({ userId, ...rule });
+        return { id: ruleId, userId, ...rule };
+    }
+
+    async updateRule(userId, ruleId, ruleInput) {
+        const existing = await firebaseService.getRule(ruleId, userId);
+        const categories = await categoryService.loadUserCategories(userId);
+
+        // Partial updates are validated as a whole rule
+        const merged = {
+            name: existing.name,
+            conditions: existing.conditions,
+            action: existing.action,
+            priority: existing.priority,
+            enabled: existing.enabled,
+            ...ruleInput
+        };
+
+        const { errors, rule } = this.validateRule(merged, categories);
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join('; ')}`);
+        }
+
+        await firebaseService.updateRule(ruleId, rule);
+        return { ...existing, ...rule };
+    }
+
+    async deleteRule(userId, ruleId) {
+        // Ownership check
+        await firebaseService.getRule(ruleId, userId);
+        return firebaseService.deleteRule(ruleId);
+    }
+
+    /**
+     * Validate and normalize a rule definition
+     * @returns {{ errors: string[], rule: Object }}
+     */
+    validateRule(input = {}, categories) {
+        const errors = [];
+
+        if (typeof input.name !== 'string' || input.name.trim().length === 0 || input.name.length > 100) {
+            errors.push('name must be a non-empty string under 100 characters');
+        }
+
+        const conditions = Array.isArray(input.conditions) ? input.conditions : null;
+        if (!conditions || conditions.length === 0) {
+            errors.push('conditions must be a non-empty array');
+        } else if (conditions.length > this.maxConditions) {
+            errors.push(`At most ${this.maxConditions} conditions are allowed`);
+        } else {
+            conditions.forEach((condition, index) => {
+                const conditionError = this.validateCondition(condition);
+                if (conditionError) {
+                    errors.push(`Condition ${index + 1}: ${conditionError}`);
+                }
+            });
+        }
+
+        if (!input.action || typeof input.action !== 'object') {
+            errors.push('action with a category is required');
+        } else {
+            const categoryError = categoryService.validateCategory(
+                categories,
+                input.action.category,
+                input.action.subcategory
+            );
+            if (categoryError) {
+                errors.push(`action: ${categoryError}`);
+            }
+        }
+
+        if (input.priority !== undefined && (!Number.isInteger(input.priority) || input.priority < 0)) {
+            errors.push('priority must be a non-negative integer');
+        }
+
+        if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+            errors.push('enabled must be a boolean');
+        }
+
+        if (errors.length > 0) {
+            return { errors, rule: null };
+        }
+
+        return {
+            errors,
+            rule: {
+                name: input.name.trim(),
+                conditions: conditions.map(condition => ({
+                    field: condition.field,
+                    operator: condition.operator,
+                    value: condition.field === 'amount' ? condition.value : String(condition.value),
+                    flags: condition.operator === 'matches' ? (condition.flags || '') : null
+                })),
+                action: {
+                    category: input.action.category,
+                    subcategory: input.action.subcategory || null
+                },
+                priority: input.priority ?? this.defaultPriority,
+                enabled: input.enabled ?? true
+            }
+        };
+    }
+
+    /**
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateCondition(condition) {
+        if (!condition || typeof condition !== 'object') {
+            return 'must be an object';
+        }
+
+        const operators = this.fieldOperators[condition.field];
+        if (!operators) {
+            return `field must be one of ${Object.keys(this.fieldOperators).join(', ')}`;
+        }
+
+        if (!operators.includes(condition.operator)) {
+            return `operator for ${condition.field} must be one of ${operators.join(', ')}`;
+        }
+
+        if (condition.field === 'amount') {
+            if (typeof condition.value !== 'number' || !isFinite(condition.value)) {
+                return 'value must be a number';
+            }
+            return null;
+        }
+
+        if (typeof condition.value !== 'string' || condition.value.length === 0) {
+            return 'value must be a non-empty string';
+        }
+
+        if (condition.operator === 'matches') {
+            if (condition.value.length > this.maxPatternLength) {
+                return `pattern must be under ${this.maxPatternLength} characters`;
+            }
+            if (condition.flags !== undefined && !/^[imsu]*$/.test(condition.flags)) {
+                return 'flags may only contain i, m, s, u';
+            }
+            try {
+                new RegExp(condition.value, condition.flags || '');
+            } catch (error) {
+                return `invalid pattern: ${error.message}`;
+            }
+            // Nested quantifiers such as (a+)+ can backtrack exponentially
+            if (!safeRegex(condition.value)) {
+                return 'pattern has nested repetition that could make matching too slow';
+            }
+        }
+
+        return null;
+    }
+
+    // ==================== EVALUATION ====================
+
+    /**
+     * Build the fields rules are evaluated against from a transaction or an
+     * extraction result. "source" matches any of the transaction's sources.
+     */
+    buildContext(data, inputType = null) {
+        const sources = (data.sources || []).map(source => source?.input_type).filter(Boolean);
+        if (inputType) {
+            sources.push(inputType);
+        }
+
+        return {
+            merchant: data.merchant || '',
+            amount: typeof data.amount === 'number' ? data.amount : null,
+            currency: (data.currency || '').toUpperCase(),
+            category: data.category || '',
+            sources: sources,
+            items: (data.items || []).map(item => (typeof item === 'string' ? item : item?.name || ''))
+        };
+    }
+
+    matchesCondition(condition, context) {
+        const compareString = (actual) => {
+            switch (condition.operator) {
+                case 'matches':
+                    return new RegExp(condition.value, condition.flags || '').test(actual.slice(0, this.maxMatchLength));
+                case 'contains':
+                    return actual.toLowerCase().includes(condition.value.toLowerCase());
+                case 'equals':
+                    return actual.toLowerCase() === condition.value.toLowerCase();
+                default:
+                    return false;
+            }
+        };
+
+        switch (condition.field) {
+            case 'merchant':
+            case 'category':
+            case 'currency':
+                return compareString(context[condition.field]);
+            case 'item':
+                return context.items.some(compareString);
+            case 'source':
+                return context.sources.some(compareString);
+            case 'amount': {
+                if (context.amount === null) return false;
+                const { value } = condition;
+                switch (condition.operator) {
+                    case 'lt': return context.amount < value;
+                    case 'lte': return context.amount <= value;
+                    case 'gt': return context.amount > value;
+                    case 'gte': return context.amount >= value;
+                    case 'equals': return context.amount === value;
+                    default: return false;
+                }
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * A rule matches when all of its conditions hold
+     */
+    matchesRule(rule, context) {
+        return rule.enabled !== false &&
+            (rule.conditions || []).length > 0 &&
+            rule.conditions.every(condition => this.matchesCondition(condition, context));
+    }
+
+    /**
+     * Find the first matching rule for an extraction result
+     * @returns {Object|null} { category, subcategory, rule_id, rule_name }
+     */
+    async evaluateRules(userId, processedData, inputType) {
+        try {
+            const rules = await this.getUserRules(userId);
+            if (rules.length === 0) {
+                return null;
+            }
+
+            const context = this.buildContext(processedData, inputType);
+            const rule = rules.find(candidate => this.matchesRule(candidate, context));
+
+            if (!rule) {
+                return null;
+            }
+
+            console.log(`📏 Rule matched: ${rule.name} → ${rule.action.category}${rule.action.subcategory ? '/' + rule.action.subcategory : ''}`);
+            return {
+                category: rule.action.category,
+                subcategory: rule.action.subcategory || null,
+                rule_id: rule.id,
+                rule_name: rule.name
+            };
+
+        } catch (error) {
+            console.error('❌ Error evaluating rules:', error.message);
+            // Rules are best-effort; fall back to the extracted category
+            return null;
+        }
+    }
+
+    /**
+     * Apply one rule to a user's existing active transactions. Transactions the
+     * user edited by hand are skipped unless includeEdited is set.
+     */
+    async applyRuleToExistingTransactions(userId, ruleId, options = {}) {
+        try {
+            const rule = await firebaseService.getRule(ruleId, userId);
+            const transactions = await firebaseService.getUserTransactions(userId, {
+                limit: this.retroactiveScanLimit
+            });
+
+            const updated = [];
+            let skippedEdited = 0;
+
+            for (const transaction of transactions) {
+                if (!this.matchesRule({ ...rule, enabled: true }, this.buildContext(transaction))) {
+                    continue;
+                }
+
+                const unchanged = transaction.category === rule.action.category &&
+                    (transaction.subcategory || null) === (rule.action.subcategory || null);
+                if (unchanged) {
+                    continue;
+                }
+
+                if (transaction.manually_edited && !options.includeEdited) {
+                    skippedEdited++;
+                    continue;
+                }
+
+                if (!options.dryRun) {
+                    await firebaseService.updateTransaction(transaction.id, {
+                        category: rule.action.category,
+                        subcategory: rule.action.subcategory || null,
+                        category_source: 'rule',
+                        applied_rule_id: rule.id
+                    });
+                }
+                updated.push(transaction.id);
+            }
+
+            console.log(`✅ Rule ${rule.name} ${options.dryRun ? 'would update' : 'updated'} ${updated.length} transactions`);
+            return {
+                rule_id: rule.id,
+                dry_run: Boolean(options.dryRun),
+                scanned_count: transactions.length,
+                updated_count: updated.length,
+                skipped_edited_count: skippedEdited,
+                transaction_ids: updated
+            };
+
+        } catch (error) {
+            console.error('❌ Error applying rule:', error.message);
+            throw new Error(`Failed to apply rule: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new RuleService();
@@ -0,0 +1,248 @@
+/**
+ * Deterministic parser for Indian bank, UPI and card transaction SMS.
+ * Messages that match no template return null and are sent to Gemini.
+ */
+class SmsParserService {
+    constructor() {
+        // Amount with an optional currency prefix: "Rs.1,250.00", "INR 500", "₹99"
+        const amount = '(?:rs\\.?|inr|₹)\\s*([\\d,]+(?:\\.\\d{1,2})?)';
+        const account = '(?:a\\/?c|acct|account|card)(?:\\s+no\\.?)?\\s*(?:ending(?:\\s+with)?\\s*|no\\.?\\s*)?([x*]*\\d{3,6})';
+
+        // Tried in order; the first template whose pattern matches wins
+        this.templates = [
+            {
+                // "Rs.250.00 debited from A/c XX1234 on 24-01-25 to VPA swiggy@axis (UPI Ref No 501234567890)"
+                // "Sent Rs.250.00 From HDFC Bank A/C *1234 To SWIGGY On 24/01/25 Ref 501234567890"
+                name: 'upi_debit',
+                method: 'upi',
+                pattern: new RegExp(`\\bsent\\s+${amount}\\s+from\\b|(?:sent\\s+${amount}|debited).*?\\b(?:upi|vpa)\\b|\\b(?:upi|vpa)\\b.*?(?:sent\\s+${amount}|debited)`, 'i')
+            },
+            {
+                // "INR 1,250.00 spent on ICICI Bank Card XX1234 on 24-Jan-25 at AMAZON. Avl Limit: INR 50,000"
+                // "Your card ending 1234 was charged Rs.250 at McDonald's on 24-Jan-25"
+                name: 'card_spend',
+                method: 'card',
+                pattern: new RegExp(`${amount}\\s+(?:was\\s+)?spent\\s+(?:on|using|via)\\b.*?\\bcard\\b|\\bcard\\b.*?(?:charged|used\\s+for|spent)\\s+(?:for\\s+)?${amount}|\\bcard\\b.*?\\bfor\\s+${amount}\\s+at\\b`, 'i')
+            },
+            {
+                // "A/c XX1234 debited by Rs 500.00 on 24Jan25 trf to John Doe Refno 123456. Avl Bal Rs 10,000"
+                // "Rs 500.00 withdrawn from A/c XX1234 at ATM"
+                name: 'account_debit',
+                method: 'account',
+                pattern: new RegExp(`${account}.*?(?:debited|withdrawn)\\s+(?:by|for|with)?\\s*${amount}|${amount}\\s+(?:has\\s+been\\s+|is\\s+)?(?:debited|withdrawn)\\s+from\\s+.*?${account}`, 'i')
+            }
+        ];
+
+        // OTPs and payment requests are not expenses, and neither are credits
+        // unless the same message also reports a debit
+        this.ignorePatterns = [
+            /\b(?:otp|one[\s-]time\s+password)\b/i,
+            /\b(?:has\s+requested|collect\s+request|payment\s+request)\b/i
+        ];
+        this.creditPattern = /\b(?:credited|received|refund(?:ed)?|cashback)\b/i;
+        this.debitPattern = /\b(?:debited|spent|charged|withdrawn|sent|paid)\b/i;
+
+        this.amountPattern = new RegExp(amount, 'gi');
+        this.accountPattern = new RegExp(account, 'i');
+        this.months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    }
+
+    /**
+     * Parse an SMS into the same shape geminiService returns
+     * @param {Object} sms - { message, sender }
+     * @param {Object} metadata - input metadata (timestamp is used when the SMS has no date)
+     * @returns {Object|null} Extracted expense data, or null if no template matched
+     */
+    parse(sms, metadata = {}) {
+        const message = (sms.message || '').replace(/\s+/g, ' ').trim();
+        if (!message) {
+            return null;
+        }
+
+        const isCredit = this.creditPattern.test(message) && !this.debitPattern.test(message);
+        if (isCredit || this.ignorePatterns.some(pattern => pattern.test(message))) {
+            return this.buildNoExpense(message, metadata);
+        }
+
+        const template = this.templates.find(candidate => candidate.pattern.test(message));
+        if (!template) {
+            return null;
+        }
+
+        const amount = this.extractAmount(message);
+        if (amount === null) {
+            return null;
+        }
+
+        const counterparty = this.extractCounterparty(message);
+
+        return {
+            expense_detected: true,
+            merchant: counterparty.name,
+            amount: amount,
+            currency: 'INR',
+            category: null,
+            subcategory: null,
+            items: [],
+            timestamp: this.extractDate(message, metadata.timestamp),
+            confidence: 90,
+            action_type: 'expense',
+            deletion_target: null,
+            payment: {
+                method: template.method,
+                account: this.extractAccount(message),
+                vpa: counterparty.vpa,
+                reference: this.extractReference(message),
+                balance: this.extractBalance(message),
+                sender: sms.sender || null
+            },
+            parser: `sms_template:${template.name}`,
+            input_type: 'sms',
+            processed_at: new Date().toISOString(),
+            location: metadata.location || null
+        };
+    }
+
+    buildNoExpense(message, metadata) {
+        return {
+            expense_detected: false,
+            merchant: null,
+            amount: null,
+            currency: null,
+            category: null,
+            subcategory: null,
+            timestamp: null,
+            confidence: 90,
+            action_type: 'expense',
+            deletion_target: null,
+            parser: 'sms_template:not_a_debit',
+            input_type: 'sms',
+            processed_at: new Date().toISOString(),
+            location: metadata.location || null
+        };
+    }
+
+    parseNumber(value) {
+        const number = parseFloat(value.replace(/,/g, ''));
+        return isFinite(number) ? number : null;
+    }
+
+    /**
+     * First amount that isn't a balance or limit
+     */
+    extractAmount(message) {
+        const matches = [...message.matchAll(this.amountPattern)];
+
+        for (const match of matches) {
+            const before = message.slice(Math.max(0, match.index - 20), match.index);
+            if (/(?:bal(?:ance)?|limit|avl|available)[\s.:]*(?:is\s*)?$/i.test(before)) {
+                continue;
+            }
+            return this.parseNumber(match[1]);
+        }
+
+        return null;
+    }
+
+    extractBalance(message) {
+        const match = message.match(/(?:avl\.?|available|clear|net)?\s*(?:bal(?:ance)?|limit)[\s.:]*(?:is\s*)?(?:rs\.?|inr|₹)\s*(-?[\d,]+(?:\.\d{1,2})?)/i);
+        return match ? this.parseNumber(match[1]) : null;
+    }
+
+    /**
+     * Masked account or card number, normalized to "XX1234"
+     */
+    extractAccount(message) {
+        const match = message.match(this.accountPattern);
+        if (!match) {
+            return null;
+        }
+
+        const digits = match[1].replace(/[^\d]/g, '');
+        return `XX${digits.slice(-4)}`;
+    }
+
+    extractReference(message) {
+        const match = message.match(/\b(?:upi\s*)?(?:ref(?:erence)?|rrn|txn|transaction)\.?\s*(?:no\.?|id|number|#)?[\s.:-]*([a-z0-9]{6,})/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Payee name and/or UPI id. "to VPA swiggy@axis" yields both a VPA and a
+     * merchant guess from its handle.
+     */
+    extractCounterparty(message) {
+        const vpaMatch = message.match(/\b([a-z0-9._-]{2,}@[a-z]{2,})\b/i);
+        const vpa = vpaMatch ? vpaMatch[1].toLowerCase() : null;
+
+        const stop = '(?=\\s+(?:on|via|using|ref|refno|upi|avl|not\\s+you|if\\s+not|info|txn)\\b|\\s*\\(|[.,;]\\s|[.;]?$)';
+        const patterns = [
+            new RegExp(`\\bat\\s+(.+?)${stop}`, 'i'),
+            new RegExp(`\\b(?:to|trf\\s+to|towards|paid\\s+to)\\s+(?:vpa\\s+)?(.+?)${stop}`, 'i'),
+            new RegExp(`\\binfo[:\\s]+(.+?)${stop}`, 'i')
+        ];
+
+        for (const pattern of patterns) {
+            const match = message.match(pattern);
+            if (!match) {
+                continue;
+            }
+
+            const name = match[1].trim();
+            if (vpa && name.toLowerCase() === vpa) {
+                return { name: this.merchantFromVpa(vpa), vpa };
+            }
+            if (name && !/^(?:a\/?c|account|your)\b/i.test(name) && !/^[x*]*\d+$/i.test(name)) {
+                return { name, vpa };
+            }
+        }
+
+        return { name: vpa ? this.merchantFromVpa(vpa) : null, vpa };
+    }
+
+    merchantFromVpa(vpa) {
+        const handle = vpa.split('@')[0].replace(/[._-]+/g, ' ').replace(/\d+/g, '').trim();
+        if (!handle) {
+            return vpa;
+        }
+        return handle.replace(/\b\w/g, char => char.toUpperCase());
+    }
+
+    /**
+     * Transaction date from the SMS ("24-01-25", "24/01/2025", "24-Jan-25",
+     * "24Jan25"). Falls back to the received timestamp.
+     */
+    extractDate(message, fallback) {
+        let day, month, year;
+
+        const numeric = message.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/);
+        const named = message.match(/\b(\d{1,2})[-\s]?([a-z]{3})[a-z]*[-\s,]?(\d{2,4})\b/i);
+
+        if (numeric) {
+            [, day, month, year] = numeric;
+            month = parseInt(month, 10);
+        } else if (named && this.months.includes(named[2].toLowerCase())) {
+            [, day, , year] = named;
+            month = this.months.indexOf(named[2].toLowerCase()) + 1;
+        }
+
+        if (day && month) {
+            const fullYear = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+            const date = new Date(Date.UTC(fullYear, month - 1, parseInt(day, 10)));
+
+            if (!isNaN(date.getTime()) && date.getUTCMonth() === month - 1) {
+                // Keep the time of day from when the SMS arrived, if it's the same day
+                const received = fallback ? new Date(fallback) : null;
+                if (received && !isNaN(received.getTime()) && received.toISOString().slice(0, 10) === date.toISOString().slice(0, 10)) {
+                    return received.toISOString();
+                }
+                return date.toISOString();
+            }
+        }
+
+        const received = fallback ? new Date(fallback) : null;
+        return received && !isNaN(received.getTime()) ? received.toISOString() : new Date().toISOString();
+    }
+}
+
+module.exports = new SmsParserService();
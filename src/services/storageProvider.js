@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const firebaseAdminConfig = require('../config/firebaseAdmin');
+
+/**
+ * Object stores for original receipt files. Any provider used by the
+ * storage service must implement:
+ *   save(key, content, contentType) => Promise<string>  (the file's URI)
+ *   read(uri) => Promise<{ content, contentType }>
+ *   getKey(uri) => string|null  (null when the URI isn't from this store)
+ * where `key` is a relative path such as "receipts/<userId>/2025-01/<id>.jpg".
+ */
+class BucketStorage {
+    constructor(bucketName = process.env.STORAGE_BUCKET) {
+        this.bucketName = bucketName;
+        this.bucket = null;
+    }
+
+    getBucket() {
+        if (!this.bucketName) {
+            throw new Error('STORAGE_BUCKET is not configured');
+        }
+        if (!this.bucket) {
+            this.bucket = firebaseAdminConfig.getStorage().bucket(this.bucketName);
+        }
+        return this.bucket;
+    }
+
+    async save(key, content, contentType) {
+        try {
+            await this.getBucket().file(key).save(content, {
+                contentType: contentType,
+                resumable: false
+            });
+            return `gs://${this.bucketName}/${key}`;
+
+        } catch (error) {
+            throw new Error(`Bucket storage error: ${error.message}`);
+        }
+    }
+
+    async read(uri) {
+        const key = this.getKey(uri);
+        if (!key) {
+            throw new Error('Stored file not found');
+        }
+
+        try {
+            const file = this.getBucket().file(key);
+            const [content] = await file.download();
+            const [metadata] = await file.getMetadata();
+            return { content, contentType: metadata.contentType || null };
+
+        } catch (error) {
+            if (error.code === 404) {
+                throw new Error('Stored file not found');
+            }
+            throw new Error(`Bucket storage error: ${error.message}`);
+        }
+    }
+
+    getKey(uri) {
+        const prefix = `gs://${this.bucketName}/`;
+        return typeof uri === 'string' && uri.startsWith(prefix) ? uri.slice(prefix.length) : null;
+    }
+}
+
+/**
+ * Stand-in store for development and testing: files are written under
+ * `<directory>/<key>` and addressed as `local://<key>`. Content types are
+ * not kept; the storage service detects them when files are read back.
+ */
+class LocalStorage {
+    constructor(directory = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads')) {
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Absolute path for a key, refusing keys that escape the directory
+     */
+    getFilePath(key) {
+        const filePath = path.resolve(this.directory, key);
+        if (!filePath.startsWith(this.directory + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async save(key, content) {
+        try {
+            const filePath = this.getFilePath(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, content);
+            return `local://${key}`;
+
+        } catch (error) {
+            throw new Error(`Local storage error: ${error.message}`);
+        }
+    }
+
+    async read(uri) {
+        const key = this.getKey(uri);
+        if (!key) {
+            throw new Error('Stored file not found');
+        }
+
+        try {
+            const content = await fs.promises.readFile(this.getFilePath(key));
+            return { content, contentType: null };
+
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error('Stored file not found');
+            }
+            throw new Error(`Local storage error: ${error.message}`);
+        }
+    }
+
+    getKey(uri) {
+        return typeof uri === 'string' && uri.startsWith('local://') ? uri.slice('local://'.length) : null;
+    }
+}
+
+module.exports = { BucketStorage, LocalStorage };
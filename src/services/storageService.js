@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const path = require('path');
+const mediaService = require('./mediaService');
+const { BucketStorage, LocalStorage } = require('./storageProvider');
+
+/**
+ * Keeps the original receipt files (images, audio, PDFs, emails) so
+ * transaction sources can point back at them
+ */
+class StorageService {
+    constructor() {
+        this.storage = null;
+
+        this.extensions = {
+            'image/jpeg': '.jpg',
+            'image/png': '.png',
+            'image/webp': '.webp',
+            'image/heic': '.heic',
+            'image/heif': '.heif',
+            'image/avif': '.avif',
+            'image/gif': '.gif',
+            'image/tiff': '.tiff',
+            'audio/mp3': '.mp3',
+            'audio/wav': '.wav',
+            'audio/m4a': '.m4a',
+            'application/pdf': '.pdf',
+            'message/rfc822': '.eml'
+        };
+    }
+
+    /**
+     * Replace the storage provider
+     * @param {Object} storage - implements save, read, getKey
+     */
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Storage selected by STORAGE_DRIVER, or "bucket" when STORAGE_BUCKET is
+     * set. Local disk is only a default outside production: on Cloud Run it
+     * is wiped on every restart, so production must choose explicitly.
+     */
+    getStorage() {
+        if (!this.storage) {
+            let driver = process.env.STORAGE_DRIVER || (process.env.STORAGE_BUCKET ? 'bucket' : null);
+            if (!driver) {
+                if (process.env.NODE_ENV === 'production') {
+                    throw new Error('Storage is not configured: set STORAGE_BUCKET, or STORAGE_DRIVER=local');
+                }
+                driver = 'local';
+            }
+            this.storage = driver === 'bucket' ? new BucketStorage() : new LocalStorage();
+        }
+        return this.storage;
+    }
+
+    getUserPrefix(userId) {
+        return `receipts/${String(userId).replace(/[^A-Za-z0-9_-]/g, '_')}/`;
+    }
+
+    /**
+     * receipts/<userId>/<YYYY-MM>/<random id><extension>
+     */
+    buildKey(userId, mimeType) {
+        const month = new Date().toISOString().slice(0, 7);
+        return `${this.getUserPrefix(userId)}${month}/${crypto.randomUUID()}${this.extensions[mimeType] || ''}`;
+    }
+
+    /**
+     * Store an uploaded file under the user's path
+     * @param {Object} upload - { buffer, mimeType, name }
+     * @returns {Promise<string>} URI to record on the transaction source
+     */
+    async saveUpload(userId, upload) {
+        try {
+            const key = this.buildKey(userId, upload.mimeType);
+            const uri = await this.getStorage().save(key, upload.buffer, upload.mimeType);
+
+            console.log(`💾 Stored ${upload.name || 'upload'} (${upload.buffer.length} bytes) at ${uri}`);
+            return uri;
+
+        } catch (error) {
+            console.error('❌ Error storing upload:', error.message);
+            throw new Error(`Failed to store upload: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a stored file back, refusing URIs outside the user's path
+     * @returns {Promise<Object>} { content, contentType, name }
+     */
+    async readFile(userId, uri) {
+        const key = this.getStorage().getKey(uri);
+        if (!key || key.split('/').includes('..')) {
+            throw new Error('Stored file not found');
+        }
+        if (!key.startsWith(this.getUserPrefix(userId))) {
+            throw new Error('Unauthorized to access this file');
+        }
+
+        const file = await this.getStorage().read(uri);
+        const detected = mediaService.detectFileType(file.content);
+
+        return {
+            content: file.content,
+            contentType: file.contentType || detected?.mimeType || 'application/octet-stream',
+            name: path.posix.basename(key)
+        };
+    }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,186 @@
+const llmService = require('./llmService');
+
+/**
+ * JSON responses from Gemini, constrained by a response schema and checked
+ * against the same schema on arrival. Schemas use the Gemini (OpenAPI subset)
+ * format: type, nullable, enum, format, minimum, maximum, properties,
+ * required, items, minItems, maxItems.
+ */
+class StructuredOutputService {
+    constructor() {
+        // Repair attempts after the first invalid response
+        this.maxRepairs = 1;
+
+        // Validation errors quoted back to the model
+        this.maxReportedErrors = 10;
+    }
+
+    /**
+     * Call Gemini for a JSON object matching `schema`. An unparseable or
+     * invalid response is sent back once with the validation errors for
+     * repair; if that fails too, the call throws.
+     * @param {Array} contents - Gemini contents
+     * @param {Object} options - { model, schema, label, timeout, systemInstruction, caller, userId }
+     *   label names the response in errors (and keys mock fixtures); timeout (ms) applies
+     *   to each call; systemInstruction carries the instructions apart from the contents;
+     *   caller and userId attribute usage and apply the user's quota
+     * @returns {Promise<Object>} The validated response
+     */
+    async generate(contents, { model, schema, label = 'response', timeout, systemInstruction, caller, userId }) {
+        let conversation = contents.map(content => ({ role: 'user', ...content }));
+        let errors = [];
+
+        for (let attempt = 0; attempt <= this.maxRepairs; attempt++) {
+            const responseText = await llmService.generate(conversation, model, {
+                responseSchema: schema,
+                timeout,
+                label,
+                systemInstruction,
+                caller,
+                userId
+            });
+
+            let value;
+            try {
+                value = this.parseJson(responseText);
+                errors = this.validate(value, schema);
+            } catch (error) {
+                errors = [error.message];
+            }
+
+            if (errors.length === 0) {
+                return value;
+            }
+
+            console.warn(`⚠️ Invalid ${label} from Gemini (attempt ${attempt + 1}): ${errors.slice(0, 3).join('; ')}`);
+
+            conversation = [
+                ...conversation,
+                { role: 'model', parts: [{ text: responseText }] },
+                { role: 'user', parts: [{ text: this.buildRepairPrompt(errors) }] }
+            ];
+        }
+
+        throw new Error(`Invalid ${label} from Gemini API: ${errors.slice(0, this.maxReportedErrors).join('; ')}`);
+    }
+
+    buildRepairPrompt(errors) {
+        return `Your previous response did not match the required JSON schema:
+${errors.slice(0, this.maxReportedErrors).map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only, with every required field present.`;
+    }
+
+    /**
+     * JSON mode returns bare JSON, but tolerate a code fence around it
+     */
+    parseJson(responseText) {
+        const text = String(responseText || '').trim()
+            .replace(/^```(?:json)?\s*/i, '')
+            .replace(/\s*```$/, '');
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`response is not valid JSON (${error.message})`);
+        }
+    }
+
+    /**
+     * @returns {Array<string>} Validation errors, empty when the value matches
+     */
+    validate(value, schema, path = 'response') {
+        if (value === null || value === undefined) {
+            return schema.nullable ? [] : [`${path} must not be null`];
+        }
+
+        switch (schema.type) {
+            case 'OBJECT':
+                return this.validateObject(value, schema, path);
+            case 'ARRAY':
+                return this.validateArray(value, schema, path);
+            case 'STRING':
+                return this.validateString(value, schema, path);
+            case 'NUMBER':
+            case 'INTEGER':
+                return this.validateNumber(value, schema, path);
+            case 'BOOLEAN':
+                return typeof value === 'boolean' ? [] : [`${path} must be a boolean`];
+            default:
+                return [];
+        }
+    }
+
+    validateObject(value, schema, path) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return [`${path} must be an object`];
+        }
+
+        const errors = [];
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`));
+            }
+        });
+
+        return errors;
+    }
+
+    validateArray(value, schema, path) {
+        if (!Array.isArray(value)) {
+            return [`${path} must be an array`];
+        }
+
+        const errors = [];
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+
+        return errors;
+    }
+
+    validateString(value, schema, path) {
+        if (typeof value !== 'string') {
+            return [`${path} must be a string`];
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [`${path} must be one of: ${schema.enum.join(', ')}`];
+        }
+        if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+            return [`${path} must be an ISO 8601 date-time`];
+        }
+        return [];
+    }
+
+    validateNumber(value, schema, path) {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            return [`${path} must be a number`];
+        }
+        if (schema.type === 'INTEGER' && !Number.isInteger(value)) {
+            return [`${path} must be an integer`];
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return [`${path} must be at least ${schema.minimum}`];
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return [`${path} must be at most ${schema.maximum}`];
+        }
+        return [];
+    }
+}
+
+module.exports = new StructuredOutputService();
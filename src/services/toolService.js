@@ -8,6 +8,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const geminiService = require('./geminiService');
+const llmService = require('./llmService');
 
 class ToolService {
     constructor() {
@@ -79,7 +80,11 @@ Return analysis in JSON format:
 }`;
 
             const contents = [{ parts: [{ text: prompt }] }];
-            const response = await geminiService.callGemini(contents, geminiService.models.FLASH);
+            const response = await llmService.generate(contents, geminiService.models.FLASH, {
+                label: 'ai analysis',
+                caller: 'tool_agent',
+                userId: context.userId
+            });
 
             try {
                 // Parse the response
@@ -284,7 +289,11 @@ Available tools:
 - ai_analysis: Analyze data with AI. Params: { "data": any_data_object }`;
 
             const contents = [{ parts: [{ text: prompt }] }];
-            const response = await geminiService.callGemini(contents, geminiService.models.FLASH);
+            const response = await llmService.generate(contents, geminiService.models.FLASH, {
+                label: 'next steps',
+                caller: 'tool_agent',
+                userId: session.userId
+            });
 
             try {
                 // Parse the response
@@ -380,7 +389,11 @@ Return ONLY a valid JSON object in this format:
 }`;
 
             const contents = [{ parts: [{ text: prompt }] }];
-            const response = await geminiService.callGemini(contents, geminiService.models.FLASH);
+            const response = await llmService.generate(contents, geminiService.models.FLASH, {
+                label: 'more steps check',
+                caller: 'tool_agent',
+                userId: session.userId
+            });
 
             try {
                 // Parse the response
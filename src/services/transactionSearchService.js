@@ -0,0 +1,165 @@
+const firebaseService = require('./firebaseService');
+
+class TransactionSearchService {
+    constructor() {
+        // Firestore has no partial-match or multi-field range queries, so search
+        // scans the user's most recent transactions and filters in memory
+        this.scanLimit = 1000;
+
+        this.sortOptions = ['date_desc', 'date_asc', 'amount_desc', 'amount_asc'];
+
+        // Filters that cannot be expressed as Firestore queries
+        this.searchFilterKeys = ['merchant', 'minAmount', 'maxAmount', 'currency', 'source', 'hasWalletPass', 'item', 'q'];
+    }
+
+    /**
+     * Whether the filters need the in-memory search path instead of a plain
+     * cursor-paginated Firestore query
+     */
+    requiresSearch(filters = {}) {
+        if (filters.sort && filters.sort !== 'date_desc') {
+            return true;
+        }
+        return this.searchFilterKeys.some(key => filters[key] !== undefined);
+    }
+
+    /**
+     * Search a user's transactions. Firestore-native filters (category, date
+     * range) narrow the scan; the rest are applied in memory, then results are
+     * sorted and paginated with an offset cursor.
+     */
+    async searchTransactions(userId, filters = {}) {
+        try {
+            console.log(`🔎 Searching transactions for user: ${userId}`);
+
+            const pageSize = filters.limit || 50;
+            const offset = filters.cursor ? this.decodeCursor(filters.cursor) : 0;
+
+            const scanned = await firebaseService.getUserTransactions(userId, {
+                category: filters.category,
+                subcategory: filters.subcategory,
+                startDate: filters.startDate,
+                endDate: filters.endDate,
+                limit: this.scanLimit
+            });
+
+            const matches = this.sortTransactions(
+                scanned.filter(transaction => this.matches(transaction, filters)),
+                filters.sort,
+                filters
+            );
+
+            const page = matches.slice(offset, offset + pageSize);
+            const hasMore = offset + pageSize < matches.length;
+
+            console.log(`✅ Search matched ${matches.length} of ${scanned.length} scanned transactions`);
+            return {
+                transactions: page,
+                next_cursor: hasMore ? this.encodeCursor(offset + pageSize) : null,
+                has_more: hasMore,
+                total_count: matches.length,
+                scan_truncated: scanned.length >= this.scanLimit
+            };
+
+        } catch (error) {
+            console.error('❌ Error searching transactions:', error.message);
+            throw new Error(`Failed to search transactions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check a single transaction against the in-memory filters
+     */
+    matches(transaction, filters) {
+        const merchant = (transaction.merchant || '').toLowerCase();
+        const itemNames = (transaction.items || [])
+            .map(item => (typeof item === 'string' ? item : item?.name || '').toLowerCase());
+        const amount = this.getComparableAmount(transaction, filters);
+
+        if (filters.merchant && !merchant.includes(filters.merchant.toLowerCase())) {
+            return false;
+        }
+
+        if (filters.minAmount !== undefined && (amount === null || amount < filters.minAmount)) {
+            return false;
+        }
+
+        if (filters.maxAmount !== undefined && (amount === null || amount > filters.maxAmount)) {
+            return false;
+        }
+
+        if (filters.currency && (transaction.currency || '').toUpperCase() !== filters.currency) {
+            return false;
+        }
+
+        if (filters.source && !(transaction.sources || []).some(source => source?.input_type === filters.source)) {
+            return false;
+        }
+
+        if (filters.hasWalletPass !== undefined && Boolean(transaction.wallet_pass_id) !== filters.hasWalletPass) {
+            return false;
+        }
+
+        if (filters.item) {
+            const needle = filters.item.toLowerCase();
+            if (!itemNames.some(name => name.includes(needle))) {
+                return false;
+            }
+        }
+
+        if (filters.q) {
+            const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+            const haystack = [merchant, ...itemNames].join(' ');
+            if (!terms.every(term => haystack.includes(term))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Amount used for amount filters and sorting: the home-currency amount when
+     * the transaction has one, so amounts in different currencies compare.
+     * With a currency filter all matches share a currency and the original
+     * amount is used.
+     */
+    getComparableAmount(transaction, filters = {}) {
+        if (!filters.currency && typeof transaction.home_amount === 'number') {
+            return transaction.home_amount;
+        }
+        return typeof transaction.amount === 'number' ? transaction.amount : null;
+    }
+
+    sortTransactions(transactions, sort = 'date_desc', filters = {}) {
+        const byDate = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+        const byAmount = (a, b) => (this.getComparableAmount(a, filters) || 0) - (this.getComparableAmount(b, filters) || 0);
+
+        const comparators = {
+            date_desc: (a, b) => byDate(b, a),
+            date_asc: byDate,
+            amount_desc: (a, b) => byAmount(b, a) || byDate(b, a),
+            amount_asc: (a, b) => byAmount(a, b) || byDate(b, a)
+        };
+
+        return [...transactions].sort(comparators[sort] || comparators.date_desc);
+    }
+
+    encodeCursor(offset) {
+        return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+    }
+
+    decodeCursor(token) {
+        try {
+            const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+            if (!Number.isInteger(payload.o) || payload.o < 0) {
+                throw new Error('missing offset');
+            }
+            return payload.o;
+        } catch (error) {
+            throw new Error('Validation failed: invalid cursor');
+        }
+    }
+}
+
+module.exports = new TransactionSearchService();
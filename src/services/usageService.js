@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { geminiClient } = require('../client/geminiClient');
+const { MemoryUsageStore, FirestoreUsageStore } = require('./usageStoreProvider');
+const { QuotaExceededError } = require('../errors');
+
+/**
+ * Gemini usage accounting: every call the client makes is added to its
+ * user's daily totals (tokens, estimated cost, latency), split by caller
+ * and model. USAGE_STORE selects the store: "firestore" (default) or
+ * "memory". Per-user daily quotas are checked before each call.
+ */
+class UsageService {
+    constructor() {
+        this.store = null;
+        this.pricing = null;
+        this.pricingFile = process.env.GEMINI_PRICING_FILE || path.join(__dirname, '../config/geminiPricing.json');
+
+        // Calls made outside any user's request (scheduled jobs, admin analysis)
+        this.systemUserId = '_system';
+
+        // 0 means unlimited
+        this.quotas = {
+            daily_tokens: parseInt(process.env.GEMINI_DAILY_TOKEN_QUOTA) || 0,
+            daily_calls: parseInt(process.env.GEMINI_DAILY_CALL_QUOTA) || 0
+        };
+
+        this.maxReportDays = 31;
+
+        geminiClient.onUsage(record => this.record(record));
+    }
+
+    /**
+     * Replace the usage store
+     * @param {Object} store - implements add, get, list
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    getStore() {
+        if (!this.store) {
+            this.store = process.env.USAGE_STORE === 'memory'
+                ? new MemoryUsageStore()
+                : new FirestoreUsageStore();
+        }
+        return this.store;
+    }
+
+    loadPricing() {
+        if (!this.pricing) {
+            try {
+                this.pricing = JSON.parse(fs.readFileSync(this.pricingFile, 'utf8')).models || {};
+            } catch (error) {
+                console.error('❌ Error loading Gemini pricing, costs will read 0:', error.message);
+                this.pricing = {};
+            }
+        }
+        return this.pricing;
+    }
+
+    /**
+     * @returns {number} Estimated cost in USD; 0 for models without a price
+     */
+    estimateCost(model, promptTokens, outputTokens) {
+        const price = this.loadPricing()[model];
+        if (!price) {
+            return 0;
+        }
+        return (promptTokens * price.input + outputTokens * price.output) / 1e6;
+    }
+
+    /**
+     * UTC day (YYYY-MM-DD) that usage is counted against
+     */
+    getDate(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Start of the next UTC day, when daily quotas reset
+     */
+    getQuotaReset(now = new Date()) {
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    }
+
+    /**
+     * Add a usage record from the Gemini client to the daily totals. Never
+     * throws: losing a count must not fail the call it describes.
+     */
+    async record(record) {
+        const counters = {
+            calls: 1,
+            errors: record.success ? 0 : 1,
+            prompt_tokens: record.prompt_tokens,
+            output_tokens: record.output_tokens,
+            total_tokens: record.total_tokens,
+            cost_usd: this.estimateCost(record.model, record.prompt_tokens, record.output_tokens),
+            latency_ms: record.latency_ms
+        };
+
+        console.log(`📊 Gemini usage: ${record.caller} on ${record.model}, ${record.total_tokens} tokens in ${record.latency_ms}ms`);
+
+        try {
+            await this.getStore().add(
+                record.user_id || this.systemUserId,
+                this.getDate(new Date(record.timestamp)),
+                counters,
+                record.caller,
+                record.model
+            );
+        } catch (error) {
+            console.error('❌ Usage recording failed:', error.message);
+        }
+    }
+
+    /**
+     * Throw a QuotaExceededError when the user has used up today's quota. Calls already in flight
+     * can take a user slightly past the limit. If usage can't be read the
+     * call is allowed.
+     */
+    async assertWithinQuota(userId) {
+        if (!userId || (!this.quotas.daily_tokens && !this.quotas.daily_calls)) {
+            return;
+        }
+
+        let usage;
+        try {
+            usage = await this.getStore().get(userId, this.getDate());
+        } catch (error) {
+            console.error('❌ Quota check failed, allowing the call:', error.message);
+            return;
+        }
+
+        const resetsAt = this.getQuotaReset();
+
+        if (this.quotas.daily_tokens && (usage?.total_tokens || 0) >= this.quotas.daily_tokens) {
+            throw new QuotaExceededError(`Quota exceeded: daily limit of ${this.quotas.daily_tokens} Gemini tokens reached, resets at ${resetsAt.toISOString()}`, resetsAt);
+        }
+        if (this.quotas.daily_calls && (usage?.calls || 0) >= this.quotas.daily_calls) {
+            throw new QuotaExceededError(`Quota exceeded: daily limit of ${this.quotas.daily_calls} Gemini calls reached, resets at ${resetsAt.toISOString()}`, resetsAt);
+        }
+    }
+
+    /**
+     * Usage between two UTC days, inclusive
+     * @param {Object} filters - { startDate, endDate, userId } dates are YYYY-MM-DD;
+     *   endDate defaults to today and startDate to endDate
+     * @returns {Promise<Object>} Totals, and totals by user, caller, model and day
+     */
+    async getReport({ startDate, endDate, userId } = {}) {
+        endDate = endDate || this.getDate();
+        startDate = startDate || endDate;
+
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (!datePattern.test(startDate) || !datePattern.test(endDate) || isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) {
+            throw new Error('Validation error: startDate and endDate must be YYYY-MM-DD dates');
+        }
+        if (startDate > endDate) {
+            throw new Error('Validation error: startDate must not be after endDate');
+        }
+        if ((Date.parse(endDate) - Date.parse(startDate)) / 86400000 >= this.maxReportDays) {
+            throw new Error(`Validation error: a report covers at most ${this.maxReportDays} days`);
+        }
+
+        let entries = await this.getStore().list(startDate, endDate);
+        if (userId) {
+            entries = entries.filter(entry => entry.user_id === userId);
+        }
+
+        const totals = {};
+        const byUser = {};
+        const byCaller = {};
+        const byModel = {};
+        const byDay = {};
+
+        entries.forEach(entry => {
+            this.addCounters(totals, entry);
+            this.addCounters(byUser[entry.user_id] = byUser[entry.user_id] || {}, entry);
+            this.addCounters(byDay[entry.date] = byDay[entry.date] || {}, entry);
+            Object.entries(entry.by_caller || {}).forEach(([caller, counters]) => {
+                this.addCounters(byCaller[caller] = byCaller[caller] || {}, counters);
+            });
+            Object.entries(entry.by_model || {}).forEach(([model, counters]) => {
+                this.addCounters(byModel[model] = byModel[model] || {}, counters);
+            });
+        });
+
+        const summarizeAll = (groups, keyName) => Object.entries(groups)
+            .map(([key, counters]) => ({ [keyName]: key, ...this.summarize(counters) }));
+
+        return {
+            start_date: startDate,
+            end_date: endDate,
+            user_id: userId || null,
+            totals: this.summarize(totals),
+            by_user: summarizeAll(byUser, 'user_id').sort((a, b) => b.total_tokens - a.total_tokens),
+            by_caller: summarizeAll(byCaller, 'caller').sort((a, b) => b.total_tokens - a.total_tokens),
+            by_model: summarizeAll(byModel, 'model').sort((a, b) => b.total_tokens - a.total_tokens),
+            by_day: summarizeAll(byDay, 'date').sort((a, b) => a.date.localeCompare(b.date)),
+            quotas: this.quotas
+        };
+    }
+
+    addCounters(target, counters) {
+        ['calls', 'errors', 'prompt_tokens', 'output_tokens', 'total_tokens', 'cost_usd', 'latency_ms'].forEach(name => {
+            target[name] = (target[name] || 0) + (counters[name] || 0);
+        });
+        return target;
+    }
+
+    summarize(counters) {
+        const calls = counters.calls || 0;
+
+        return {
+            calls: calls,
+            errors: counters.errors || 0,
+            prompt_tokens: counters.prompt_tokens || 0,
+            output_tokens: counters.output_tokens || 0,
+            total_tokens: counters.total_tokens || 0,
+            cost_usd: Math.round((counters.cost_usd || 0) * 1e6) / 1e6,
+            average_latency_ms: calls ? Math.round((counters.latency_ms || 0) / calls) : 0
+        };
+    }
+}
+
+module.exports = new UsageService();
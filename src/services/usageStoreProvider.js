@@ -0,0 +1,65 @@
+const firebaseService = require('./firebaseService');
+
+/**
+ * Stores for daily Gemini usage totals, one entry per user and UTC day.
+ * Any store used by the usage service must implement:
+ *   add(userId, date, counters, caller, model) => Promise<void>
+ *   get(userId, date) => Promise<Object|null>
+ *   list(startDate, endDate) => Promise<Array<Object>>
+ * where an entry is { user_id, date, ...counters, by_caller: { <caller>: counters },
+ * by_model: { <model>: counters } } and counters are summed on add.
+ */
+class MemoryUsageStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async add(userId, date, counters, caller, model) {
+        const key = `${date}_${userId}`;
+        const entry = this.entries.get(key) || { user_id: userId, date, by_caller: {}, by_model: {} };
+
+        const addTo = (target) => {
+            Object.entries(counters).forEach(([name, value]) => {
+                target[name] = (target[name] || 0) + value;
+            });
+        };
+
+        addTo(entry);
+        addTo(entry.by_caller[caller] = entry.by_caller[caller] || {});
+        addTo(entry.by_model[model] = entry.by_model[model] || {});
+        entry.updated_at = new Date().toISOString();
+
+        this.entries.set(key, entry);
+    }
+
+    async get(userId, date) {
+        const entry = this.entries.get(`${date}_${userId}`);
+        return entry ? JSON.parse(JSON.stringify(entry)) : null;
+    }
+
+    async list(startDate, endDate) {
+        return [...this.entries.values()]
+            .filter(entry => entry.date >= startDate && entry.date <= endDate)
+            .map(entry => JSON.parse(JSON.stringify(entry)));
+    }
+}
+
+/**
+ * Shared across instances in the `usage_daily` collection, updated with
+ * atomic increments so concurrent calls don't lose counts.
+ */
+class FirestoreUsageStore {
+    async add(userId, date, counters, caller, model) {
+        await firebaseService.incrementDailyUsage(userId, date, counters, caller, model);
+    }
+
+    async get(userId, date) {
+        return firebaseService.getDailyUsage(userId, date);
+    }
+
+    async list(startDate, endDate) {
+        return firebaseService.getUsageBetween(startDate, endDate);
+    }
+}
+
+module.exports = { MemoryUsageStore, FirestoreUsageStore };
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const authMiddleware = require('../src/middleware/authMiddleware');
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function authenticate(authorization) {
+    const req = { headers: authorization ? { authorization } : {} };
+    const res = mockResponse();
+    let nextCalled = false;
+
+    await authMiddleware.authenticate(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+}
+
+test('accepts a token signed with JWT_SECRET and maps its claims to req.user', async () => {
+    const token = jwt.sign({ uid: 'user_1', email: 'user@example.com' }, process.env.JWT_SECRET);
+    const { req, nextCalled } = await authenticate(`Bearer ${token}`);
+
+    assert.strictEqual(nextCalled, true);
+    assert.strictEqual(req.user.uid, 'user_1');
+    assert.strictEqual(req.user.email, 'user@example.com');
+});
+
+test('falls back to the sub claim for the user id', async () => {
+    const token = jwt.sign({ sub: 'user_2' }, process.env.JWT_SECRET);
+    const { req } = await authenticate(`Bearer ${token}`);
+
+    assert.strictEqual(req.user.uid, 'user_2');
+});
+
+test('rejects a missing bearer token with 401', async () => {
+    const { res, nextCalled } = await authenticate(null);
+
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /^Unauthorized: Missing bearer token/);
+});
+
+test('rejects tokens signed with another secret or expired', async () => {
+    const forged = jwt.sign({ uid: 'user_1' }, 'another-secret');
+    const expired = jwt.sign({ uid: 'user_1', exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+    for (const token of [forged, expired]) {
+        const { res, nextCalled } = await authenticate(`Bearer ${token}`);
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.statusCode, 401);
+    }
+});
+
+test('requireAdmin allows the admin claim and rejects other users with 403', () => {
+    let allowed = false;
+    authMiddleware.requireAdmin({ user: { uid: 'admin_1', claims: { admin: true } } }, mockResponse(), () => { allowed = true; });
+    assert.strictEqual(allowed, true);
+
+    const res = mockResponse();
+    authMiddleware.requireAdmin({ user: { uid: 'user_1', claims: {} } }, res, () => assert.fail('next must not be called'));
+    assert.strictEqual(res.statusCode, 403);
+});
+
+test('refuses the local verifier in production', () => {
+    const { verifier } = authMiddleware;
+    const nodeEnv = process.env.NODE_ENV;
+    authMiddleware.verifier = null;
+    process.env.NODE_ENV = 'production';
+
+    try {
+        assert.throws(() => authMiddleware.getVerifier(), /AUTH_VERIFIER=local is not allowed in production/);
+    } finally {
+        authMiddleware.verifier = verifier;
+        if (nodeEnv === undefined) {
+            delete process.env.NODE_ENV;
+        } else {
+            process.env.NODE_ENV = nodeEnv;
+        }
+    }
+});
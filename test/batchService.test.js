@@ -0,0 +1,175 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const batchService = require('../src/services/batchService');
+const firebaseService = require('../src/services/firebaseService');
+const receiptService = require('../src/services/receiptService');
+const receiptController = require('../src/controllers/receiptController');
+const { QuotaExceededError } = require('../src/errors');
+
+const original = {
+    saveBatch: firebaseService.saveBatch,
+    updateBatch: firebaseService.updateBatch,
+    getUnfinishedBatches: firebaseService.getUnfinishedBatches,
+    processReceipt: receiptService.processReceipt,
+    concurrency: batchService.concurrency
+};
+
+afterEach(() => {
+    Object.assign(firebaseService, {
+        saveBatch: original.saveBatch,
+        updateBatch: original.updateBatch,
+        getUnfinishedBatches: original.getUnfinishedBatches
+    });
+    receiptService.processReceipt = original.processReceipt;
+    batchService.concurrency = original.concurrency;
+});
+
+/**
+ * Response double recording the status and JSON body
+ */
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+test('file items are prepared only when a worker picks them up', async () => {
+    const events = [];
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+
+    batchService.concurrency = 1;
+    firebaseService.saveBatch = async () => {};
+    firebaseService.updateBatch = async (batchId, update) => {
+        if (update.status === 'completed') finish();
+    };
+    receiptService.processReceipt = async (inputData) => {
+        events.push(`process ${inputData.data}`);
+        return { action_type: 'expense_created', transaction_id: `tx-${inputData.data}` };
+    };
+
+    const fileItem = (name) => ({
+        type: 'image',
+        name: name,
+        prepareInput: async () => {
+            events.push(`prepare ${name}`);
+            return { type: 'image', data: name, metadata: {} };
+        }
+    });
+
+    await batchService.createBatch('user-1', [fileItem('a.jpg'), fileItem('b.jpg')]);
+    await finished;
+
+    assert.deepStrictEqual(events, ['prepare a.jpg', 'process a.jpg', 'prepare b.jpg', 'process b.jpg']);
+});
+
+test('a file that cannot be prepared fails only its item', async () => {
+    const states = {};
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+
+    firebaseService.saveBatch = async () => {};
+    firebaseService.updateBatch = async (batchId, update) => {
+        Object.entries(update).filter(([key]) => key.startsWith('items.')).forEach(([key, state]) => { states[key] = state; });
+        if (update.status === 'completed') finish(update.counts);
+    };
+    receiptService.processReceipt = async () => ({ action_type: 'expense_created', transaction_id: 'tx-1' });
+
+    await batchService.createBatch('user-1', [
+        { type: 'email', name: 'broken.eml', prepareInput: async () => { throw new Error('Validation failed: email file has no readable content'); } },
+        { type: 'text', name: null, inputData: { type: 'text', data: 'Coffee 120', metadata: {} } }
+    ]);
+    const counts = await finished;
+
+    assert.strictEqual(states['items.0'].status, 'failed');
+    assert.match(states['items.0'].error, /no readable content/);
+    assert.strictEqual(states['items.1'].status, 'succeeded');
+    assert.deepStrictEqual(counts, { queued: 0, processing: 0, succeeded: 1, failed: 1, deferred: 0 });
+});
+
+test('items over the daily quota are deferred, not failed', async () => {
+    const states = {};
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+
+    batchService.concurrency = 1;
+    firebaseService.saveBatch = async () => {};
+    firebaseService.updateBatch = async (batchId, update) => {
+        Object.entries(update).filter(([key]) => key.startsWith('items.')).forEach(([key, state]) => { states[key] = state; });
+        if (update.status === 'completed') finish(update.counts);
+    };
+    let calls = 0;
+    receiptService.processReceipt = async () => {
+        if (++calls > 1) {
+            throw new Error('Failed to process receipt: Quota exceeded', { cause: new QuotaExceededError('Quota exceeded', new Date('2025-01-25T00:00:00Z')) });
+        }
+        return { action_type: 'expense_created', transaction_id: 'tx-1' };
+    };
+
+    const textItem = (data) => ({ type: 'text', name: null, inputData: { type: 'text', data: data, metadata: {} } });
+    await batchService.createBatch('user-1', [textItem('Coffee 120'), textItem('Lunch 340')]);
+    const counts = await finished;
+
+    assert.strictEqual(states['items.0'].status, 'succeeded');
+    assert.strictEqual(states['items.1'].status, 'deferred');
+    assert.match(states['items.1'].error, /Quota exceeded/);
+    assert.strictEqual(states['items.1'].retry_after, '2025-01-25T00:00:00.000Z');
+    assert.deepStrictEqual(counts, { queued: 0, processing: 0, succeeded: 1, failed: 0, deferred: 1 });
+});
+
+test('batches left unfinished past the stale timeout are interrupted', async () => {
+    const now = new Date('2025-03-01T12:00:00Z');
+    const updates = [];
+
+    firebaseService.getUnfinishedBatches = async () => [
+        {
+            id: 'batch_stale',
+            status: 'processing',
+            updated_at: '2025-03-01T11:00:00Z',
+            items: {
+                0: { index: 0, status: 'succeeded', result: { action_type: 'expense_created' }, error: null },
+                1: { index: 1, status: 'processing', result: null, error: null },
+                2: { index: 2, status: 'queued', result: null, error: null }
+            }
+        },
+        { id: 'batch_running', status: 'processing', updated_at: '2025-03-01T11:55:00Z', items: {} }
+    ];
+    firebaseService.updateBatch = async (batchId, update) => updates.push({ batchId, update });
+
+    assert.strictEqual(await batchService.expireStaleBatches(now), 1);
+
+    assert.strictEqual(updates.length, 1);
+    const { batchId, update } = updates[0];
+    assert.strictEqual(batchId, 'batch_stale');
+    assert.strictEqual(update.status, 'interrupted');
+    assert.deepStrictEqual(update.counts, { queued: 0, processing: 0, succeeded: 1, failed: 2, deferred: 0 });
+    assert.strictEqual(update.items[0].status, 'succeeded');
+    assert.strictEqual(update.items[2].status, 'failed');
+    assert.match(update.items[2].error, /interrupted/);
+});
+
+test('batch uploads over the size limit are rejected before they are read', () => {
+    let passed = false;
+    const next = () => { passed = true; };
+
+    const tooLarge = fakeResponse();
+    receiptController.limitBatchRequest({ headers: { 'content-length': String(batchService.maxRequestSize + 1) } }, tooLarge, next);
+    assert.strictEqual(tooLarge.statusCode, 413);
+
+    const undeclared = fakeResponse();
+    receiptController.limitBatchRequest({ headers: {} }, undeclared, next);
+    assert.strictEqual(undeclared.statusCode, 411);
+
+    assert.strictEqual(passed, false);
+    receiptController.limitBatchRequest({ headers: { 'content-length': '2048' } }, fakeResponse(), next);
+    assert.strictEqual(passed, true);
+});
@@ -0,0 +1,50 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const categoryService = require('../src/services/categoryService');
+const firebaseService = require('../src/services/firebaseService');
+
+const original = {
+    getUserCategories: firebaseService.getUserCategories,
+    saveUserCategories: firebaseService.saveUserCategories
+};
+
+afterEach(() => Object.assign(firebaseService, original));
+
+/**
+ * Firestore that can't be read, recording what gets saved
+ */
+function useUnreadableStore() {
+    const saved = [];
+    firebaseService.getUserCategories = async () => {
+        throw new Error('deadline exceeded');
+    };
+    firebaseService.saveUserCategories = async (userId, categories) => saved.push(categories);
+    return saved;
+}
+
+test('reading categories falls back to the defaults when the tree cannot be read', async () => {
+    useUnreadableStore();
+
+    assert.deepStrictEqual(await categoryService.getUserCategories('user-1'), categoryService.getDefaultCategories());
+});
+
+test('changes fail instead of saving the defaults over an unreadable tree', async () => {
+    const saved = useUnreadableStore();
+
+    await assert.rejects(categoryService.addCategory('user-1', { id: 'pets' }), /Failed to load categories: deadline exceeded/);
+    await assert.rejects(categoryService.removeCategory('user-1', 'shopping'), /Failed to load categories/);
+    await assert.rejects(categoryService.addSubcategory('user-1', 'food', { id: 'snacks' }), /Failed to load categories/);
+    await assert.rejects(categoryService.removeSubcategory('user-1', 'food', 'dining'), /Failed to load categories/);
+
+    assert.deepStrictEqual(saved, []);
+});
+
+test('changes start from the defaults for a user who never customized them', async () => {
+    const saved = [];
+    firebaseService.getUserCategories = async () => null;
+    firebaseService.saveUserCategories = async (userId, categories) => saved.push(categories);
+
+    await categoryService.addCategory('user-1', { id: 'pets' });
+
+    assert.deepStrictEqual(saved[0].map(category => category.id), ['food', 'shopping', 'transport', 'entertainment', 'other', 'pets']);
+});
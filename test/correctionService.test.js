@@ -0,0 +1,71 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const correctionService = require('../src/services/correctionService');
+const firebaseService = require('../src/services/firebaseService');
+
+const original = {
+    getCategoryCorrection: firebaseService.getCategoryCorrection,
+    saveCategoryCorrection: firebaseService.saveCategoryCorrection,
+    deleteCategoryCorrection: firebaseService.deleteCategoryCorrection
+};
+
+afterEach(() => Object.assign(firebaseService, original));
+
+/**
+ * category_corrections in memory
+ */
+function useCorrectionStore(initial = {}) {
+    const documents = new Map(Object.entries(initial));
+
+    firebaseService.getCategoryCorrection = async (id) => (documents.has(id) ? { id, ...documents.get(id) } : null);
+    firebaseService.saveCategoryCorrection = async (id, data) => {
+        documents.set(id, data);
+        return id;
+    };
+    firebaseService.deleteCategoryCorrection = async (id) => documents.delete(id);
+
+    return documents;
+}
+
+const correction = (merchant, category) => ({ merchant, from_category: 'other', to_category: category, transaction_id: 'tx-1' });
+
+test('users whose IDs and merchant keys join the same way get separate mappings', async () => {
+    const documents = useCorrectionStore();
+
+    await correctionService.recordCorrection('a_b', correction('C', 'food'));
+    await correctionService.recordCorrection('a', correction('B C', 'transport'));
+
+    assert.strictEqual(documents.size, 2);
+    assert.strictEqual(documents.get(correctionService.getCorrectionId('a_b', 'c')).category, 'food');
+    assert.strictEqual(documents.get(correctionService.getCorrectionId('a', 'b_c')).category, 'transport');
+});
+
+test("a document at the user's ID but owned by someone else is neither read nor deleted", async () => {
+    const documents = useCorrectionStore({
+        'a:c': { userId: 'other', merchant_key: 'c', merchant: 'C', category: 'food', correction_count: 3, examples: [] }
+    });
+
+    assert.strictEqual(await correctionService.getCorrection('a', 'c'), null);
+    await assert.rejects(correctionService.deleteCorrection('a', 'c'), /not found/);
+    assert.strictEqual(documents.get('a:c').userId, 'other');
+});
+
+test('repeated corrections to the same category strengthen the mapping', async () => {
+    const documents = useCorrectionStore();
+
+    await correctionService.recordCorrection('user1', correction('Swiggy', 'food'));
+    const saved = await correctionService.recordCorrection('user1', correction('Swiggy', 'food'));
+
+    assert.strictEqual(saved.correction_count, 2);
+    assert.deepStrictEqual([...documents.keys()], ['user1:swiggy']);
+});
+
+test('deleting a mapping removes only the caller\'s document', async () => {
+    const documents = useCorrectionStore();
+    await correctionService.recordCorrection('user1', correction('Swiggy', 'food'));
+    await correctionService.recordCorrection('user2', correction('Swiggy', 'shopping'));
+
+    await correctionService.deleteCorrection('user1', 'swiggy');
+
+    assert.deepStrictEqual([...documents.keys()], ['user2:swiggy']);
+});
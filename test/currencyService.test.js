@@ -0,0 +1,117 @@
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const currencyService = require('../src/services/currencyService');
+const firebaseService = require('../src/services/firebaseService');
+const { LocalRatesProvider } = require('../src/services/exchangeRateProvider');
+
+const original = {
+    getUserProfile: firebaseService.getUserProfile
+};
+
+let ratesFile;
+
+before(() => {
+    ratesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rates-')), 'rates.json');
+    fs.writeFileSync(ratesFile, JSON.stringify({
+        base: 'USD',
+        rates: {
+            '2025-01-01': { USD: 1, INR: 85, EUR: 0.95 },
+            '2025-02-01': { USD: 1, INR: 87, EUR: 0.96 }
+        }
+    }));
+});
+
+afterEach(() => {
+    firebaseService.getUserProfile = original.getUserProfile;
+    currencyService.setProvider(null);
+});
+
+test('cross rates go through the base currency, using the latest table on or before the date', async () => {
+    const provider = new LocalRatesProvider(ratesFile);
+
+    assert.deepStrictEqual(await provider.getRate('USD', 'INR', '2025-01-20T10:00:00Z'), { rate: 85, date: '2025-01-01' });
+    assert.deepStrictEqual(await provider.getRate('USD', 'INR', '2025-03-05'), { rate: 87, date: '2025-02-01' });
+    assert.deepStrictEqual(await provider.getRate('EUR', 'INR', '2025-02-10'), { rate: 87 / 0.96, date: '2025-02-01' });
+});
+
+test('dates before the first table use the earliest rates', async () => {
+    const provider = new LocalRatesProvider(ratesFile);
+
+    assert.strictEqual((await provider.getRate('USD', 'INR', '2024-06-01')).date, '2025-01-01');
+});
+
+test('the rates file is read once and cached', async () => {
+    const provider = new LocalRatesProvider(ratesFile);
+    const readFileSync = fs.readFileSync;
+    let reads = 0;
+    fs.readFileSync = (...args) => {
+        reads++;
+        return readFileSync(...args);
+    };
+
+    try {
+        await provider.getRate('USD', 'INR', '2025-01-10');
+        await provider.getRate('EUR', 'INR', '2025-02-10');
+    } finally {
+        fs.readFileSync = readFileSync;
+    }
+
+    assert.strictEqual(reads, 1);
+});
+
+test('amounts are converted to the home currency and rounded', async () => {
+    currencyService.setProvider(new LocalRatesProvider(ratesFile));
+
+    assert.deepStrictEqual(await currencyService.getHomeAmountFields(12.34, 'usd', '2025-01-15T00:00:00Z', 'INR'), {
+        home_currency: 'INR',
+        home_amount: 1048.9,
+        exchange_rate: 85,
+        exchange_rate_date: '2025-01-01'
+    });
+    assert.deepStrictEqual(await currencyService.convert(499, 'INR', 'INR'), { amount: 499, rate: 1, rate_date: null });
+});
+
+test('a currency without a rate leaves the home amount empty', async () => {
+    currencyService.setProvider(new LocalRatesProvider(ratesFile));
+
+    assert.strictEqual(await currencyService.convert(100, 'JPY', 'INR', '2025-01-15'), null);
+    assert.deepStrictEqual(await currencyService.getHomeAmountFields(100, 'JPY', '2025-01-15', 'INR'), {
+        home_currency: 'INR',
+        home_amount: null,
+        exchange_rate: null,
+        exchange_rate_date: null
+    });
+});
+
+test('a failing rate provider leaves the amount unconverted', async () => {
+    currencyService.setProvider({ getRate: async () => { throw new Error('rates unavailable'); } });
+
+    assert.strictEqual(await currencyService.convert(100, 'USD', 'INR', '2025-01-15'), null);
+});
+
+test('analytics reuse stored home amounts and count transactions that cannot be converted', async () => {
+    currencyService.setProvider(new LocalRatesProvider(ratesFile));
+
+    const result = await currencyService.convertTransactions([
+        { id: 'a', amount: 10, currency: 'USD', home_currency: 'INR', home_amount: 900, timestamp: '2025-01-15' },
+        { id: 'b', amount: 10, currency: 'USD', timestamp: '2025-02-15' },
+        { id: 'c', amount: 10, currency: 'JPY', timestamp: '2025-02-15' }
+    ], 'INR');
+
+    assert.deepStrictEqual(result.transactions.map(transaction => [transaction.id, transaction.amount, transaction.original_amount]), [
+        ['a', 900, 10],
+        ['b', 870, 10]
+    ]);
+    assert.strictEqual(result.unconverted_count, 1);
+});
+
+test('the home currency comes from the profile, defaulting to INR', async () => {
+    firebaseService.getUserProfile = async () => ({ profile: { preferences: { currency: 'eur' } } });
+    assert.strictEqual(await currencyService.getHomeCurrency('user-1'), 'EUR');
+
+    firebaseService.getUserProfile = async () => { throw new Error('offline'); };
+    assert.strictEqual(await currencyService.getHomeCurrency('user-1'), 'INR');
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const emailParserService = require('../src/services/emailParserService');
+
+test('HTML bodies keep their text and line structure', () => {
+    const text = emailParserService.htmlToText(
+        '<html><head><title>Receipt</title></head><body><style>p { color: red }</style>' +
+        '<p>Order #123</p><table><tr><td>Total</td><td>Rs 499.00</td></tr></table>' +
+        '<script>alert(1)</script>Thanks<br>Shop</body></html>'
+    );
+
+    assert.strictEqual(text, 'Order #123\nTotal Rs 499.00\nThanks\nShop');
+});
+
+test('entities are decoded once, including code points above U+FFFF', () => {
+    assert.strictEqual(emailParserService.htmlToText('<p>&amp;lt;b&amp;gt; &lt;i&gt; &#128512; &#x1F600; &#xD800; &#1114112;</p>'),
+        '&lt;b&gt; <i> \u{1F600} \u{1F600}');
+});
+
+test('unclosed tags are converted in linear time', () => {
+    const started = Date.now();
+    emailParserService.htmlToText('<script'.repeat(100000));
+    emailParserService.htmlToText('<script>'.repeat(100000));
+    emailParserService.htmlToText('<a'.repeat(300000));
+
+    assert.ok(Date.now() - started < 2000, `conversion took ${Date.now() - started}ms`);
+});
+
+test('HTML past the size cap is dropped', () => {
+    const html = `<p>Total Rs 499</p>${' '.repeat(emailParserService.maxHtmlLength)}<p>Hidden</p>`;
+
+    assert.strictEqual(emailParserService.htmlToText(html), 'Total Rs 499');
+});
@@ -0,0 +1,34 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const encryptionService = require('../src/services/encryptionService');
+
+before(() => {
+    process.env.TOKEN_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+    encryptionService.key = null;
+});
+
+test('round-trips a secret without storing it in the clear', () => {
+    const encrypted = encryptionService.encrypt('1//refresh-token');
+
+    assert.ok(encryptionService.isEncrypted(encrypted));
+    assert.ok(!encrypted.includes('refresh-token'));
+    assert.strictEqual(encryptionService.decrypt(encrypted), '1//refresh-token');
+});
+
+test('uses a fresh IV for every value', () => {
+    assert.notStrictEqual(encryptionService.encrypt('same'), encryptionService.encrypt('same'));
+});
+
+test('rejects tampered ciphertext', () => {
+    const [iv, tag, ciphertext] = encryptionService.encrypt('secret').slice('enc:v1:'.length).split(':');
+    const flipped = Buffer.from(ciphertext, 'base64');
+    flipped[0] ^= 1;
+
+    assert.throws(() => encryptionService.decrypt(`enc:v1:${iv}:${tag}:${flipped.toString('base64')}`), /Failed to decrypt/);
+});
+
+test('rejects values without the encryption prefix', () => {
+    assert.throws(() => encryptionService.decrypt('1//plaintext-token'), /not encrypted/);
+    assert.throws(() => encryptionService.decrypt(undefined), /not encrypted/);
+});
@@ -0,0 +1,84 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { QuotaExceededError, sendError } = require('../src/errors');
+const usageService = require('../src/services/usageService');
+const { MemoryUsageStore } = require('../src/services/usageStoreProvider');
+const receiptService = require('../src/services/receiptService');
+const firebaseService = require('../src/services/firebaseService');
+
+const original = {
+    quotas: { ...usageService.quotas },
+    store: usageService.store,
+    getUserCategories: firebaseService.getUserCategories,
+    getUserProfile: firebaseService.getUserProfile,
+    getUserCategoryCorrections: firebaseService.getUserCategoryCorrections
+};
+
+afterEach(() => {
+    usageService.quotas = { ...original.quotas };
+    usageService.setStore(original.store);
+    Object.assign(firebaseService, {
+        getUserCategories: original.getUserCategories,
+        getUserProfile: original.getUserProfile,
+        getUserCategoryCorrections: original.getUserCategoryCorrections
+    });
+});
+
+/**
+ * Response double recording the status, headers and JSON body
+ */
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+test('a receipt over the daily quota fails with a 429 and Retry-After', async () => {
+    usageService.quotas = { daily_tokens: 0, daily_calls: 1 };
+    usageService.setStore(new MemoryUsageStore());
+    await usageService.getStore().add('user-1', usageService.getDate(), { calls: 1 }, 'extraction', 'gemini-2.5-flash');
+    firebaseService.getUserCategories = async () => null;
+    firebaseService.getUserProfile = async () => null;
+    firebaseService.getUserCategoryCorrections = async () => [];
+
+    const error = await receiptService.processReceipt({ type: 'text', data: 'Coffee 120', metadata: {} }, 'user-1')
+        .then(() => null, error => error);
+    const res = fakeResponse();
+    sendError(error, res);
+
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.body.error, 'quota_exceeded');
+    const retryAfter = Number(res.headers['Retry-After']);
+    assert.ok(retryAfter > 0 && retryAfter <= 86400, `Retry-After ${retryAfter}`);
+});
+
+test('only QuotaExceededError maps to 429, not a message that mentions the quota', () => {
+    const res = fakeResponse();
+    sendError(new Error('Failed to save note: Quota exceeded in the note text'), res);
+
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(res.headers['Retry-After'], undefined);
+});
+
+test('wrapped errors keep their mapping', () => {
+    const res = fakeResponse();
+    const retryAfter = new Date(Date.now() + 60000);
+    sendError(new Error('Failed to process receipt: Quota exceeded', { cause: new QuotaExceededError('Quota exceeded', retryAfter) }), res);
+
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.headers['Retry-After'], '60');
+});
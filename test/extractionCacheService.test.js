@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const extractionCacheService = require('../src/services/extractionCacheService');
+const { MemoryCache, FirestoreCache } = require('../src/services/extractionCacheProvider');
+const firebaseService = require('../src/services/firebaseService');
+const { MockProvider } = require('../src/services/llmProvider');
+const llmService = require('../src/services/llmService');
+const geminiService = require('../src/services/geminiService');
+
+const original = {
+    getExtractionCache: firebaseService.getExtractionCache,
+    escalation: geminiService.escalation.enabled
+};
+
+let calls;
+
+beforeEach(() => {
+    const provider = new MockProvider('default', path.join(__dirname, '..', 'fixtures', 'llm'));
+    const generate = provider.generate.bind(provider);
+    calls = 0;
+    provider.generate = (contents, model, options) => {
+        calls++;
+        return generate(contents, model, options);
+    };
+    llmService.setProvider(provider);
+    extractionCacheService.setCache(new MemoryCache());
+    geminiService.escalation.enabled = false;
+});
+
+afterEach(() => {
+    llmService.setProvider(null);
+    extractionCacheService.setCache(undefined);
+    firebaseService.getExtractionCache = original.getExtractionCache;
+    geminiService.escalation.enabled = original.escalation;
+});
+
+const text = (data) => ({ type: 'text', data, metadata: {} });
+
+test('a repeated extraction is served from the cache', async () => {
+    const first = await geminiService.processExpenseInput(text('Paid 450 at DMart'));
+    const second = await geminiService.processExpenseInput(text('Paid 450 at DMart'));
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(first.cache_hit, false);
+    assert.strictEqual(second.cache_hit, true);
+    assert.ok(second.cached_at);
+    assert.strictEqual(second.amount, first.amount);
+});
+
+test('different contents or users miss the cache', async () => {
+    await geminiService.processExpenseInput(text('Paid 450 at DMart'));
+    await geminiService.processExpenseInput(text('Paid 451 at DMart'));
+    await geminiService.processExpenseInput(text('Paid 450 at DMart'), { userId: 'user-2' });
+
+    assert.strictEqual(calls, 3);
+});
+
+test('keys change with every part the extraction depends on', () => {
+    const parts = { userId: 'user-1', model: 'gemini-2.5-flash', prompt: { name: 'text_extraction', version: 'v2' }, system: null, contents: [] };
+    const key = extractionCacheService.buildKey(parts);
+
+    assert.strictEqual(extractionCacheService.buildKey({ ...parts }), key);
+    for (const changed of [
+        { userId: 'user-2' },
+        { model: 'gemini-2.5-pro' },
+        { prompt: { name: 'text_extraction', version: 'v3' } },
+        { contents: [{ parts: [{ text: 'x' }] }] }
+    ]) {
+        assert.notStrictEqual(extractionCacheService.buildKey({ ...parts, ...changed }), key, JSON.stringify(changed));
+    }
+    // Values that join to the same text still give different keys
+    assert.notStrictEqual(
+        extractionCacheService.buildKey({ ...parts, userId: 'a_b', model: 'c' }),
+        extractionCacheService.buildKey({ ...parts, userId: 'a', model: 'b_c' })
+    );
+});
+
+test('expired entries are misses', async () => {
+    const cache = new MemoryCache();
+    await cache.set('key', { amount: 1 }, -1);
+
+    assert.strictEqual(await cache.get('key'), null);
+    assert.strictEqual(cache.entries.size, 0);
+});
+
+test('the oldest entries are evicted once the cache is full', async () => {
+    const cache = new MemoryCache(2);
+    await cache.set('a', 1, 60000);
+    await cache.set('b', 2, 60000);
+    await cache.set('c', 3, 60000);
+
+    assert.strictEqual(await cache.get('a'), null);
+    assert.strictEqual((await cache.get('c')).value, 3);
+});
+
+test('cached values are copies', async () => {
+    const cache = new MemoryCache();
+    await cache.set('key', { items: ['milk'] }, 60000);
+
+    (await cache.get('key')).value.items.push('bread');
+
+    assert.deepStrictEqual((await cache.get('key')).value.items, ['milk']);
+});
+
+test('expired Firestore entries are misses', async () => {
+    firebaseService.getExtractionCache = async () => ({
+        value: JSON.stringify({ amount: 1 }),
+        cached_at: '2025-01-01T00:00:00.000Z',
+        expires_at: { toMillis: () => Date.now() - 1 }
+    });
+
+    assert.strictEqual(await new FirestoreCache().get('key'), null);
+});
+
+test('a failing cache never fails the extraction', async () => {
+    extractionCacheService.setCache({
+        get: async () => { throw new Error('cache offline'); },
+        set: async () => { throw new Error('cache offline'); }
+    });
+
+    const data = await geminiService.processExpenseInput(text('Paid 450 at DMart'));
+
+    assert.strictEqual(data.expense_detected, true);
+    assert.strictEqual(data.cache_hit, false);
+});
@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { geminiClient } = require('../src/client/geminiClient');
+const { CircuitBreaker } = require('../src/client/resilience');
+
+const original = {
+    apiKey: geminiClient.apiKey,
+    post: geminiClient.client.post,
+    breaker: geminiClient.breaker,
+    baseDelayMs: geminiClient.baseDelayMs
+};
+
+beforeEach(() => {
+    geminiClient.apiKey = 'test-key';
+    geminiClient.baseDelayMs = 1;
+    geminiClient.breaker = new CircuitBreaker({ name: 'Gemini API', failureThreshold: 5, cooldownMs: 30000 });
+});
+
+afterEach(() => {
+    Object.assign(geminiClient, {
+        apiKey: original.apiKey,
+        breaker: original.breaker,
+        baseDelayMs: original.baseDelayMs
+    });
+    geminiClient.client.post = original.post;
+});
+
+/**
+ * axios-style HTTP error
+ */
+function httpError(status, headers = {}, data = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers, data };
+    error.request = {};
+    return error;
+}
+
+const ok = { data: { candidates: [{ content: { parts: [{ text: '{"ok":true}' }] } }] } };
+
+/**
+ * Answer posts from a list of responses, recording how many were made
+ */
+function respondWith(...responses) {
+    const calls = [];
+    geminiClient.client.post = async () => {
+        const response = responses[calls.length];
+        calls.push(response);
+        if (response instanceof Error) {
+            throw response;
+        }
+        return response;
+    };
+    return calls;
+}
+
+test('429 and 503 responses are retried', async () => {
+    const calls = respondWith(httpError(429), httpError(503), ok);
+
+    assert.strictEqual(await geminiClient.callGemini([], 'gemini-2.5-flash'), '{"ok":true}');
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(geminiClient.breaker.getState().failures, 0);
+});
+
+test('a 400 is not retried and does not count against the circuit', async () => {
+    const calls = respondWith(httpError(400, {}, { error: { message: 'Invalid JSON payload' } }), ok);
+
+    await assert.rejects(geminiClient.callGemini([], 'gemini-2.5-flash'), /Gemini API error: Invalid JSON payload/);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(geminiClient.breaker.getState().failures, 0);
+});
+
+test('retries stop after maxRetries and count one failure', async () => {
+    const calls = respondWith(...Array.from({ length: geminiClient.maxRetries + 2 }, () => httpError(503)));
+
+    await assert.rejects(geminiClient.callGemini([], 'gemini-2.5-flash'), /Gemini API error: HTTP 503/);
+    assert.strictEqual(calls.length, geminiClient.maxRetries + 1);
+    assert.strictEqual(geminiClient.breaker.getState().failures, 1);
+});
+
+test('a Retry-After longer than the limit is not waited out', async () => {
+    const calls = respondWith(httpError(429, { 'retry-after': '120' }), ok);
+
+    await assert.rejects(geminiClient.callGemini([], 'gemini-2.5-flash'), /HTTP 429/);
+    assert.strictEqual(calls.length, 1);
+});
+
+test('the retry delay follows Retry-After, then Gemini RetryInfo, then backoff', () => {
+    assert.strictEqual(geminiClient.getRetryDelay(httpError(429, { 'retry-after': '2' }), 0), 2000);
+    assert.strictEqual(geminiClient.getRetryDelay(httpError(429, {}, {
+        error: { details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '1.5s' }] }
+    }), 0), 1500);
+
+    geminiClient.baseDelayMs = 500;
+    for (let attempt = 0; attempt < 6; attempt++) {
+        const delay = geminiClient.getRetryDelay(httpError(503), attempt);
+        assert.ok(delay >= 0 && delay <= Math.min(geminiClient.maxDelayMs, 500 * 2 ** attempt), `attempt ${attempt}: ${delay}`);
+    }
+});
+
+test('an open circuit fails calls without reaching the API', async () => {
+    const calls = respondWith(ok);
+    for (let index = 0; index < 5; index++) {
+        geminiClient.breaker.recordFailure();
+    }
+
+    await assert.rejects(geminiClient.callGemini([], 'gemini-2.5-flash'), /circuit open/);
+    assert.strictEqual(calls.length, 0);
+});
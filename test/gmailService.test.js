@@ -0,0 +1,251 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const gmailService = require('../src/services/gmailService');
+const firebaseService = require('../src/services/firebaseService');
+const receiptService = require('../src/services/receiptService');
+const { LocalMailbox } = require('../src/services/mailboxProvider');
+const encryptionService = require('../src/services/encryptionService');
+const { QuotaExceededError } = require('../src/errors');
+
+const savedEnv = { ...process.env };
+const original = {
+    claimProcessedEmail: firebaseService.claimProcessedEmail,
+    saveProcessedEmail: firebaseService.saveProcessedEmail,
+    getGmailConnection: firebaseService.getGmailConnection,
+    saveGmailConnection: firebaseService.saveGmailConnection,
+    updateGmailConnection: firebaseService.updateGmailConnection,
+    processReceipt: receiptService.processReceipt
+};
+
+const receiptEmail = [
+    'Subject: Your order receipt',
+    'From: Shop <orders@shop.example>',
+    'Content-Type: text/plain',
+    '',
+    'Order #123. Total paid: Rs 499.00'
+].join('\r\n');
+
+/**
+ * processed_emails in memory; claims run one at a time like Firestore transactions
+ */
+function useProcessedEmailStore() {
+    const documents = new Map();
+    let queue = Promise.resolve();
+
+    firebaseService.claimProcessedEmail = (processedId, claim, canClaim) => {
+        const run = queue.then(async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            const existing = documents.get(processedId) || null;
+            if (!canClaim(existing)) {
+                return false;
+            }
+            documents.set(processedId, { ...existing, ...claim, claimed_at: new Date().toISOString() });
+            return true;
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+    firebaseService.saveProcessedEmail = async (processedId, data) => {
+        documents.set(processedId, { ...documents.get(processedId), ...data });
+        return processedId;
+    };
+
+    return documents;
+}
+
+function useLocalMailbox(messages) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+    fs.mkdirSync(path.join(directory, 'me@example.com'));
+    Object.entries(messages).forEach(([id, raw]) => {
+        fs.writeFileSync(path.join(directory, 'me@example.com', `${id}.eml`), raw);
+    });
+    gmailService.setMailbox(new LocalMailbox(directory));
+}
+
+afterEach(() => {
+    Object.assign(firebaseService, {
+        claimProcessedEmail: original.claimProcessedEmail,
+        saveProcessedEmail: original.saveProcessedEmail,
+        getGmailConnection: original.getGmailConnection,
+        saveGmailConnection: original.saveGmailConnection,
+        updateGmailConnection: original.updateGmailConnection
+    });
+    gmailService.maxMessagesPerNotification = 50;
+    receiptService.processReceipt = original.processReceipt;
+    gmailService.setMailbox(null);
+    ['GMAIL_PUSH_AUDIENCE', 'GMAIL_MAILBOX'].forEach(name => {
+        if (savedEnv[name] === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = savedEnv[name];
+        }
+    });
+});
+
+test('rejects pushes when no audience is configured', async () => {
+    delete process.env.GMAIL_PUSH_AUDIENCE;
+    delete process.env.GMAIL_MAILBOX;
+
+    assert.strictEqual(await gmailService.verifyPushRequest('Bearer anything'), false);
+    assert.strictEqual(await gmailService.verifyPushRequest(undefined), false);
+});
+
+test('skips push verification only for the local mailbox', async () => {
+    delete process.env.GMAIL_PUSH_AUDIENCE;
+    process.env.GMAIL_MAILBOX = 'local';
+
+    assert.strictEqual(await gmailService.verifyPushRequest(undefined), true);
+});
+
+test('rejects pushes without a bearer token when an audience is configured', async () => {
+    process.env.GMAIL_PUSH_AUDIENCE = 'https://example.com/webhooks/gmail';
+
+    assert.strictEqual(await gmailService.verifyPushRequest(undefined), false);
+    assert.strictEqual(await gmailService.verifyPushRequest('Bearer not-a-jwt'), false);
+});
+
+test('concurrent notifications for the same message process it once', async () => {
+    const documents = useProcessedEmailStore();
+    useLocalMailbox({ msg1: receiptEmail });
+
+    let receipts = 0;
+    receiptService.processReceipt = async () => {
+        receipts++;
+        return { action_type: 'expense_created', transaction_id: 'tx_1' };
+    };
+
+    const connection = { userId: 'user_1', email_address: 'me@example.com' };
+    const outcomes = await Promise.all([
+        gmailService.processMessage(connection, 'msg1'),
+        gmailService.processMessage(connection, 'msg1'),
+        gmailService.processMessage(connection, 'msg1')
+    ]);
+
+    assert.strictEqual(receipts, 1);
+    assert.deepStrictEqual(outcomes.sort(), ['duplicates', 'duplicates', 'processed']);
+    assert.strictEqual(documents.get('user_1_msg1').status, 'processed');
+});
+
+test('failed, deferred and abandoned claims can be retried, finished ones cannot', () => {
+    const now = Date.now();
+
+    assert.strictEqual(gmailService.canClaimMessage(null, now), true);
+    assert.strictEqual(gmailService.canClaimMessage({ status: 'failed' }, now), true);
+    assert.strictEqual(gmailService.canClaimMessage({ status: 'deferred' }, now), true);
+    assert.strictEqual(gmailService.canClaimMessage({ status: 'processing', claimed_at: new Date(now - 60000).toISOString() }, now), false);
+    assert.strictEqual(gmailService.canClaimMessage({ status: 'processing', claimed_at: new Date(now - 3600000).toISOString() }, now), true);
+    assert.strictEqual(gmailService.canClaimMessage({ status: 'processed' }, now), false);
+    assert.strictEqual(gmailService.canClaimMessage({ status: 'skipped' }, now), false);
+});
+
+test('messages past the per-notification limit are kept for the next notification', async () => {
+    useProcessedEmailStore();
+    gmailService.maxMessagesPerNotification = 2;
+    // Gmail lists only the messages added after the given history ID
+    gmailService.setMailbox({
+        listMessageIds: async (connection, historyId) => (historyId === '10' ? ['a', 'b', 'c'] : []),
+        getRawMessage: async () => Buffer.from(receiptEmail)
+    });
+
+    const processed = [];
+    receiptService.processReceipt = async (input, userId) => {
+        processed.push(input.metadata.timestamp);
+        return { action_type: 'expense_created', transaction_id: `tx_${processed.length}` };
+    };
+
+    const connection = { id: 'me@example.com', userId: 'user_1', email_address: 'me@example.com', history_id: '10' };
+    firebaseService.getGmailConnection = async () => ({ ...connection });
+    firebaseService.updateGmailConnection = async (id, updates) => Object.assign(connection, updates);
+
+    const first = await gmailService.handleNotification({ emailAddress: 'me@example.com', historyId: '20' });
+    assert.strictEqual(first.processed, 2);
+    assert.deepStrictEqual(connection.pending_message_ids, ['c']);
+    assert.strictEqual(connection.history_id, '20');
+
+    const second = await gmailService.handleNotification({ emailAddress: 'me@example.com', historyId: '21' });
+    assert.strictEqual(second.processed, 1);
+    assert.deepStrictEqual(connection.pending_message_ids, []);
+    assert.strictEqual(processed.length, 3);
+});
+
+test('messages over the daily quota are deferred and kept for a later notification', async () => {
+    const documents = useProcessedEmailStore();
+    gmailService.setMailbox({
+        listMessageIds: async (connection, historyId) => (historyId === '10' ? ['a', 'b', 'c'] : []),
+        getRawMessage: async () => Buffer.from(receiptEmail)
+    });
+
+    let quotaLeft = 1;
+    let calls = 0;
+    receiptService.processReceipt = async () => {
+        calls++;
+        if (quotaLeft === 0) {
+            throw new Error('Failed to process receipt: Quota exceeded', { cause: new QuotaExceededError('Quota exceeded', new Date('2025-01-25T00:00:00Z')) });
+        }
+        quotaLeft--;
+        return { action_type: 'expense_created', transaction_id: `tx_${calls}` };
+    };
+
+    const connection = { id: 'me@example.com', userId: 'user_1', email_address: 'me@example.com', history_id: '10' };
+    firebaseService.getGmailConnection = async () => ({ ...connection });
+    firebaseService.updateGmailConnection = async (id, updates) => Object.assign(connection, updates);
+
+    const first = await gmailService.handleNotification({ emailAddress: 'me@example.com', historyId: '20' });
+    assert.strictEqual(first.processed, 1);
+    assert.strictEqual(first.deferred, 1);
+    assert.strictEqual(first.failed, 0);
+    assert.strictEqual(calls, 2);
+    assert.deepStrictEqual(connection.pending_message_ids, ['b', 'c']);
+    assert.strictEqual(documents.get('user_1_b').status, 'deferred');
+    assert.strictEqual(documents.has('user_1_c'), false);
+
+    // After the quota resets the deferred messages go through
+    quotaLeft = 10;
+    const second = await gmailService.handleNotification({ emailAddress: 'me@example.com', historyId: '21' });
+    assert.strictEqual(second.processed, 2);
+    assert.deepStrictEqual(connection.pending_message_ids, []);
+    assert.strictEqual(documents.get('user_1_b').status, 'processed');
+});
+
+function useGmailAccount(ownerAddress) {
+    process.env.TOKEN_ENCRYPTION_KEY = Buffer.alloc(32, 7).toString('base64');
+    encryptionService.key = null;
+
+    const saved = {};
+    firebaseService.getGmailConnection = async () => null;
+    firebaseService.saveGmailConnection = async (id, connection) => {
+        saved[id] = connection;
+        return id;
+    };
+    gmailService.setMailbox({
+        getProfile: async connection => {
+            assert.strictEqual(encryptionService.decrypt(connection.refresh_token), 'owner-token');
+            return { emailAddress: ownerAddress };
+        },
+        watch: async () => ({ historyId: '1', expiration: null })
+    });
+    return saved;
+}
+
+test('connecting a mailbox requires the refresh token to belong to it', async () => {
+    const saved = useGmailAccount('owner@example.com');
+
+    await assert.rejects(
+        () => gmailService.connectMailbox('user_2', { email_address: 'victim@example.com', refresh_token: 'owner-token' }),
+        /Unauthorized/
+    );
+    assert.deepStrictEqual(saved, {});
+});
+
+test('connected mailboxes store the refresh token encrypted', async () => {
+    const saved = useGmailAccount('Owner@Example.com');
+
+    const connection = await gmailService.connectMailbox('user_1', { email_address: 'owner@example.com', refresh_token: 'owner-token' });
+
+    assert.strictEqual(connection.refresh_token, undefined);
+    assert.ok(encryptionService.isEncrypted(saved['owner@example.com'].refresh_token));
+    assert.strictEqual(encryptionService.decrypt(saved['owner@example.com'].refresh_token), 'owner-token');
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalMailbox } = require('../src/services/mailboxProvider');
+
+function createMailbox(files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+    const inbox = path.join(directory, 'user@example.com');
+    fs.mkdirSync(inbox);
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(inbox, name), content));
+    return new LocalMailbox(directory);
+}
+
+const connection = { email_address: 'user@example.com' };
+
+test('lists the .eml files of a mailbox in name order', async () => {
+    const mailbox = createMailbox({ '002.eml': 'b', '001.eml': 'a', 'notes.txt': 'x' });
+
+    assert.deepStrictEqual(await mailbox.listMessageIds(connection), ['001', '002']);
+});
+
+test('reads a message by id', async () => {
+    const mailbox = createMailbox({ '001.eml': 'Subject: Receipt\r\n\r\nTotal 100' });
+    const raw = await mailbox.getRawMessage(connection, '001');
+
+    assert.strictEqual(raw.toString(), 'Subject: Receipt\r\n\r\nTotal 100');
+});
+
+test('an unknown mailbox has no messages', async () => {
+    const mailbox = createMailbox({});
+
+    assert.deepStrictEqual(await mailbox.listMessageIds({ email_address: 'other@example.com' }), []);
+});
+
+test('message ids cannot read outside the mailbox', async () => {
+    const mailbox = createMailbox({});
+
+    await assert.rejects(() => mailbox.getRawMessage(connection, '../../etc/passwd'), /Local mailbox error/);
+});
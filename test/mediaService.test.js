@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mediaService = require('../src/services/mediaService');
+
+function box(type, ...children) {
+    const body = Buffer.concat(children);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+function ftyp(brand) {
+    return box('ftyp', Buffer.from(`${brand}\0\0\0\0isom`, 'latin1'));
+}
+
+function track(handler) {
+    const hdlr = box('hdlr', Buffer.alloc(8), Buffer.from(handler, 'latin1'), Buffer.alloc(12));
+    return box('trak', box('mdia', hdlr));
+}
+
+test('detects M4A audio by its brand', () => {
+    const file = Buffer.concat([ftyp('M4A '), box('mdat', Buffer.alloc(16))]);
+
+    assert.deepStrictEqual(mediaService.detectFileType(file), { type: 'audio', mimeType: 'audio/m4a' });
+});
+
+test('detects M4A audio with a generic MP4 brand by its sound track', () => {
+    for (const brand of ['mp42', 'isom']) {
+        // moov after mdat, as phone recorders write it
+        const file = Buffer.concat([ftyp(brand), box('mdat', Buffer.alloc(16)), box('moov', track('soun'))]);
+
+        assert.deepStrictEqual(mediaService.detectFileType(file), { type: 'audio', mimeType: 'audio/m4a' });
+    }
+});
+
+test('rejects MP4 video', () => {
+    const file = Buffer.concat([ftyp('mp42'), box('moov', track('vide'), track('soun'))]);
+
+    assert.strictEqual(mediaService.detectFileType(file), null);
+    assert.match(mediaService.inspectUpload({ buffer: file, size: file.length, mimetype: 'audio/m4a' }, 'audio').error, /^Unrecognized file content/);
+});
+
+test('rejects MP4 files without tracks', () => {
+    const file = Buffer.concat([ftyp('isom'), box('mdat', Buffer.alloc(16))]);
+
+    assert.strictEqual(mediaService.detectFileType(file), null);
+});
@@ -0,0 +1,120 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const pdfService = require('../src/services/pdfService');
+const { MockProvider } = require('../src/services/llmProvider');
+const llmService = require('../src/services/llmService');
+const geminiService = require('../src/services/geminiService');
+
+/**
+ * Minimal PDF with one line of Helvetica text per page
+ */
+function makePdf(pageTexts) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageTexts.map((_, index) => `${4 + index * 2} 0 R`).join(' ')}] /Count ${pageTexts.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    pageTexts.forEach((text, index) => {
+        const stream = `BT /F1 18 Tf 40 700 Td (${text}) Tj ET`;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 300 800] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + index * 2} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+afterEach(() => llmService.setProvider(null));
+
+test('the page count comes from the page tree', async () => {
+    const buffer = makePdf(['Invoice 7781', 'Line items', 'Total payable 4720']);
+
+    assert.deepStrictEqual(await pdfService.getDocumentInfo(buffer), { page_count: 3, encrypted: false });
+    assert.strictEqual(await pdfService.validatePdf(buffer), null);
+});
+
+test('a page mentioned only in content does not count', async () => {
+    const buffer = makePdf(['/Type /Page /Type /Page']);
+
+    assert.strictEqual((await pdfService.getDocumentInfo(buffer)).page_count, 1);
+});
+
+test('a PDF whose pages cannot be counted is rejected', async () => {
+    const error = await pdfService.validatePdf(Buffer.from('%PDF-1.4\nnot really a document', 'latin1'));
+
+    assert.match(error, /PDF could not be read/);
+});
+
+test('a PDF over the page limit is rejected', async () => {
+    const buffer = makePdf(Array.from({ length: pdfService.maxPages + 1 }, (_, index) => `Page ${index + 1}`));
+
+    assert.match(await pdfService.validatePdf(buffer), /at most 30 pages/);
+});
+
+test('the text layer is read with pdf.js, page by page', async () => {
+    const text = await pdfService.extractText(makePdf(['Invoice 7781 from Acme Stores', 'Total payable 4720.00']));
+
+    assert.match(text, /Invoice 7781 from Acme Stores/);
+    assert.match(text, /Total payable 4720\.00/);
+});
+
+test('unreadable PDFs have no text layer', async () => {
+    assert.strictEqual(await pdfService.extractText(Buffer.from('%PDF-1.4\nnot really a document', 'latin1')), null);
+});
+
+test('stream markers without an endstream do not stall text extraction', async () => {
+    const buffer = makePdf(['<< /Length 1 >> stream\n'.repeat(15000)]);
+    assert.ok(buffer.length > 300 * 1024);
+    assert.strictEqual(await pdfService.validatePdf(buffer), null);
+
+    const started = Date.now();
+    await pdfService.extractText(buffer);
+    await pdfService.extractText(Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.from('<<>>stream\n'.repeat(70000))]));
+
+    assert.ok(Date.now() - started < 3000, `text extraction took ${Date.now() - started}ms`);
+});
+
+test('pages render to JPEG images, in order', async () => {
+    const frames = await pdfService.renderPages(makePdf(['Page one', 'Page two']));
+
+    assert.strictEqual(frames.length, 2);
+    frames.forEach(frame => {
+        assert.strictEqual(frame.mimeType, 'image/jpeg');
+        assert.strictEqual(Buffer.from(frame.base64, 'base64').slice(0, 2).toString('hex'), 'ffd8');
+    });
+});
+
+test('rendered pages are sent to the model instead of the document', async () => {
+    const provider = new MockProvider('default', path.join(__dirname, '..', 'fixtures', 'llm'));
+    const requests = [];
+    const generate = provider.generate.bind(provider);
+    provider.generate = (contents, model, options) => {
+        requests.push(contents);
+        return generate(contents, model, options);
+    };
+    llmService.setProvider(provider);
+
+    const buffer = makePdf(['Scanned bill', 'Amount due 1840']);
+    const pages = await pdfService.renderPages(buffer);
+
+    await geminiService.processExpenseInput({
+        type: 'pdf',
+        data: { base64: buffer.toString('base64'), pageCount: 2, text: null, pages },
+        metadata: {}
+    });
+
+    const parts = requests[0][0].parts;
+    assert.match(parts[0].text, /no text layer/);
+    assert.deepStrictEqual(parts.slice(1).map(part => part.inline_data.mime_type), ['image/jpeg', 'image/jpeg']);
+});
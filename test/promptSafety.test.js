@@ -0,0 +1,88 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { MockProvider } = require('../src/services/llmProvider');
+const llmService = require('../src/services/llmService');
+const geminiService = require('../src/services/geminiService');
+const promptSafetyService = require('../src/services/promptSafetyService');
+const corpus = require('../fixtures/adversarial/corpus.json');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'llm');
+
+// Tag each untrusted field is quoted inside, per input type
+const quotedFields = {
+    text: { user_text: data => data },
+    email: { email_subject: data => data.subject, email_sender: data => data.sender, email_body: data => data.body },
+    sms: { sms_sender: data => data.sender, sms_message: data => data.message },
+    pdf: { pdf_text: data => data.text }
+};
+
+/**
+ * The `injection` scenario, recording the prompts it is sent
+ */
+function useHostileModel() {
+    const provider = new MockProvider('injection', fixturesDir);
+    const prompts = [];
+    const generate = provider.generate.bind(provider);
+    provider.generate = (contents, model, options) => {
+        prompts.push(contents[0].parts[0].text);
+        return generate(contents, model, options);
+    };
+    llmService.setProvider(provider);
+    return prompts;
+}
+
+function toInput(testCase) {
+    if (testCase.type === 'pdf') {
+        return { ...testCase.data, base64: Buffer.from('%PDF-1.4').toString('base64') };
+    }
+    return testCase.data;
+}
+
+afterEach(() => llmService.setProvider(null));
+
+test('quoting keeps every corpus input inside its tag', () => {
+    for (const testCase of corpus.cases) {
+        for (const [tag, field] of Object.entries(quotedFields[testCase.type])) {
+            const value = field(testCase.data);
+            const quoted = promptSafetyService.quote(value);
+
+            assert.ok(!/[<>]/.test(quoted), `${testCase.id} ${tag}`);
+            assert.strictEqual(JSON.parse(quoted), value, `${testCase.id} ${tag}`);
+        }
+    }
+});
+
+test('the detector flags exactly the corpus cases marked as flagged', () => {
+    for (const testCase of corpus.cases) {
+        const fields = Object.values(quotedFields[testCase.type]).map(field => field(testCase.data));
+        assert.strictEqual(promptSafetyService.detectInjection(fields.join('\n')), testCase.expect.flagged, testCase.id);
+    }
+});
+
+for (const testCase of corpus.cases) {
+    test(`corpus ${testCase.id} survives a model that obeys it`, async () => {
+        const prompts = useHostileModel();
+
+        const data = await geminiService.processExpenseInput({ type: testCase.type, data: toInput(testCase), metadata: {} });
+
+        for (const prompt of prompts) {
+            for (const [tag, field] of Object.entries(quotedFields[testCase.type])) {
+                const sections = [...prompt.matchAll(new RegExp(`<${tag}>\\s*([\\s\\S]*?)\\s*</${tag}>`, 'g'))];
+                assert.strictEqual(sections.length, 1, `${tag} is closed once`);
+                assert.strictEqual(JSON.parse(sections[0][1]), field(testCase.data));
+            }
+        }
+
+        if (testCase.expect.action_type) {
+            assert.strictEqual(data.action_type, testCase.expect.action_type);
+            assert.strictEqual(data.deletion_target, null);
+        }
+        assert.ok(!/[<>{}\u0000-\u001f]/.test(data.merchant || ''));
+        assert.ok(data.merchant === null || data.merchant.length <= promptSafetyService.maxMerchantLength);
+        assert.strictEqual(data.safety_flags.includes('possible_prompt_injection'), testCase.expect.flagged);
+        if (testCase.expect.flagged) {
+            assert.ok(data.confidence <= promptSafetyService.flaggedConfidence);
+        }
+    });
+}
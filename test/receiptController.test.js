@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const receiptController = require('../src/controllers/receiptController');
+const receiptRoutes = require('../src/routes/receiptRoutes');
+const mediaService = require('../src/services/mediaService');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+        req.user = { uid: 'user-1' };
+        next();
+    });
+    app.use('/api/receipts', receiptRoutes);
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/receipts`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * multipart/form-data body with a declared Content-Length
+ */
+async function postForm(url, form) {
+    const encoded = new Response(form);
+    const body = Buffer.from(await encoded.arrayBuffer());
+    return fetch(url, {
+        method: 'POST',
+        body: body,
+        headers: { 'content-type': encoded.headers.get('content-type'), 'content-length': String(body.length) }
+    });
+}
+
+const clientEmail = {
+    subject: 'Your order receipt',
+    sender: 'orders@shop.example',
+    body: 'Order #123. Total paid: Rs 499.00',
+    attachments: [{
+        type: 'image',
+        name: 'receipt.html',
+        data: { base64: Buffer.from('<script>alert(1)</script>').toString('base64'), mimeType: 'text/html' },
+        upload: { buffer: Buffer.from('<script>alert(1)</script>'), mimeType: 'text/html', originalName: 'receipt.html' }
+    }],
+    source: 'gmail'
+};
+
+test('client-supplied email attachments are ignored', async () => {
+    const inputData = await receiptController.prepareInputData({
+        body: { type: 'email', data: clientEmail, metadata: {} }
+    });
+
+    assert.deepStrictEqual(inputData.data, {
+        subject: 'Your order receipt',
+        sender: 'orders@shop.example',
+        body: 'Order #123. Total paid: Rs 499.00'
+    });
+});
+
+test('client-supplied email attachments are ignored in batches', async () => {
+    const { errors, items } = await receiptController.prepareBatchItems({ files: [], body: { entries: [{ type: 'email', data: clientEmail }] } });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(items[0].inputData.data.attachments, undefined);
+    assert.strictEqual(items[0].inputData.data.body, clientEmail.body);
+});
+
+test('a batch with too many files is rejected with a 400', async () => {
+    const form = new FormData();
+    for (let index = 0; index < 51; index++) {
+        form.append('files', new Blob(['Coffee 120']), `receipt${index}.txt`);
+    }
+
+    const response = await postForm(`${baseUrl}/batch`, form);
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.error, 'validation_error');
+});
+
+test('a file over the size limit is rejected with a 413', async () => {
+    const form = new FormData();
+    form.append('type', 'image');
+    form.append('file', new Blob([Buffer.alloc(mediaService.maxFileSize + 1)]), 'receipt.jpg');
+
+    const response = await postForm(`${baseUrl}/process`, form);
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(body.error, 'payload_too_large');
+    assert.match(body.message, /at most 10MB/);
+});
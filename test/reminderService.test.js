@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const reminderService = require('../src/services/reminderService');
+
+test('a PDF source is described by its pages and text, not its bytes', () => {
+    const base64 = Buffer.from('%PDF-1.4 binary content').toString('base64');
+
+    const source = reminderService.describeSource({
+        type: 'pdf',
+        data: { base64, text: 'Electricity bill\nDue date: 12 March\nAmount due: ₹1,840', pageCount: 2 }
+    });
+
+    assert.strictEqual(source.title, 'PDF');
+    assert.match(source.content, /Pages: 2/);
+    assert.match(source.content, /Due date: 12 March/);
+    assert.ok(!source.content.includes(base64));
+});
+
+test('a scanned PDF without a text layer says so', () => {
+    const source = reminderService.describeSource({ type: 'pdf', data: { base64: 'JVBERi0=', text: null, pageCount: 1 } });
+
+    assert.match(source.content, /No text layer/);
+    assert.ok(!source.content.includes('JVBERi0='));
+});
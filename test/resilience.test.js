@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, ConcurrencyLimiter } = require('../src/client/resilience');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the circuit opens after the failure threshold and fails fast', () => {
+    const breaker = new CircuitBreaker({ name: 'Test', failureThreshold: 3, cooldownMs: 60000 });
+
+    for (let index = 0; index < 2; index++) {
+        assert.strictEqual(breaker.acquire(), 0);
+        breaker.recordFailure();
+    }
+    assert.strictEqual(breaker.getState().state, 'closed');
+
+    assert.strictEqual(breaker.acquire(), 0);
+    breaker.recordFailure();
+
+    assert.strictEqual(breaker.getState().state, 'open');
+    const waitMs = breaker.acquire();
+    assert.ok(waitMs > 59000 && waitMs <= 60000, `wait ${waitMs}`);
+});
+
+test('a success resets the failure count', () => {
+    const breaker = new CircuitBreaker({ name: 'Test', failureThreshold: 2, cooldownMs: 60000 });
+
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    assert.strictEqual(breaker.getState().state, 'closed');
+});
+
+test('after the cooldown one trial call goes through; its success closes the circuit', async () => {
+    const breaker = new CircuitBreaker({ name: 'Test', failureThreshold: 1, cooldownMs: 20 });
+    breaker.recordFailure();
+    await sleep(30);
+
+    assert.strictEqual(breaker.acquire(), 0);
+    assert.strictEqual(breaker.getState().state, 'half_open');
+    assert.ok(breaker.acquire() > 0, 'a second call waits while the trial is in flight');
+
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.getState().state, 'closed');
+    assert.strictEqual(breaker.acquire(), 0);
+});
+
+test('a failed trial call reopens the circuit', async () => {
+    const breaker = new CircuitBreaker({ name: 'Test', failureThreshold: 5, cooldownMs: 20 });
+    for (let index = 0; index < 5; index++) {
+        breaker.recordFailure();
+    }
+    await sleep(30);
+
+    assert.strictEqual(breaker.acquire(), 0);
+    breaker.recordFailure();
+
+    assert.strictEqual(breaker.getState().state, 'open');
+    assert.ok(breaker.acquire() > 0);
+});
+
+test('a released trial slot can be claimed again', async () => {
+    const breaker = new CircuitBreaker({ name: 'Test', failureThreshold: 1, cooldownMs: 20 });
+    breaker.recordFailure();
+    await sleep(30);
+
+    assert.strictEqual(breaker.acquire(), 0);
+    breaker.release();
+    assert.strictEqual(breaker.acquire(), 0);
+});
+
+test('the limiter queues tasks past its limit and runs them in order', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    const started = [];
+    const releases = [];
+
+    const task = (name) => limiter.run(() => new Promise(resolve => {
+        started.push(name);
+        releases.push(() => resolve(name));
+    }));
+
+    const results = [task('a'), task('b'), task('c'), task('d')];
+    await sleep(0);
+
+    assert.deepStrictEqual(started, ['a', 'b']);
+    assert.deepStrictEqual(limiter.getState(), { active: 2, queued: 2, max_concurrent: 2 });
+
+    releases[0]();
+    await sleep(0);
+    assert.deepStrictEqual(started, ['a', 'b', 'c']);
+
+    releases.slice(1).forEach(release => release());
+    await sleep(0);
+    releases[3]();
+
+    assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(limiter.getState(), { active: 0, queued: 0, max_concurrent: 2 });
+});
+
+test('a failing task frees its slot', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+
+    await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+
+    assert.strictEqual(await limiter.run(async () => 'next'), 'next');
+    assert.strictEqual(limiter.getState().active, 0);
+});
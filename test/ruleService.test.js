@@ -0,0 +1,54 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const ruleService = require('../src/services/ruleService');
+const firebaseService = require('../src/services/firebaseService');
+
+const original = {
+    getRule: firebaseService.getRule,
+    getUserTransactions: firebaseService.getUserTransactions,
+    updateTransaction: firebaseService.updateTransaction
+};
+
+afterEach(() => Object.assign(firebaseService, original));
+
+test('patterns with nested repetition are rejected', () => {
+    const error = ruleService.validateCondition({ field: 'merchant', operator: 'matches', value: '(a+)+$' });
+
+    assert.match(error, /nested repetition/);
+});
+
+test('ordinary patterns are accepted', () => {
+    for (const value of ['swiggy|zomato', '^uber\\s*(eats)?$', 'amazon\\.(in|com)']) {
+        assert.strictEqual(ruleService.validateCondition({ field: 'merchant', operator: 'matches', value, flags: 'i' }), null, value);
+    }
+});
+
+test('patterns run against the first characters of long text only', () => {
+    const condition = { field: 'item', operator: 'matches', value: 'tail$', flags: '' };
+    const context = ruleService.buildContext({ items: [{ name: `${'x'.repeat(500)}tail` }] });
+
+    assert.strictEqual(ruleService.matchesCondition(condition, context), false);
+});
+
+test('applying a rule to existing transactions marks them as categorized by the rule', async () => {
+    const updates = [];
+    firebaseService.getRule = async () => ({
+        id: 'rule-1',
+        name: 'Food delivery apps',
+        conditions: [{ field: 'merchant', operator: 'matches', value: 'swiggy|zomato', flags: 'i' }],
+        action: { category: 'food', subcategory: 'delivery' }
+    });
+    firebaseService.getUserTransactions = async () => [
+        { id: 'tx-1', merchant: 'Swiggy', category: 'other', subcategory: null },
+        { id: 'tx-2', merchant: 'DMart', category: 'groceries', subcategory: null }
+    ];
+    firebaseService.updateTransaction = async (id, fields) => updates.push({ id, fields });
+
+    const result = await ruleService.applyRuleToExistingTransactions('user-1', 'rule-1');
+
+    assert.deepStrictEqual(result.transaction_ids, ['tx-1']);
+    assert.deepStrictEqual(updates, [{
+        id: 'tx-1',
+        fields: { category: 'food', subcategory: 'delivery', category_source: 'rule', applied_rule_id: 'rule-1' }
+    }]);
+});
@@ -0,0 +1,28 @@
+/**
+ * Loaded before every test file (see the `test` script). Tests run offline:
+ * the LLM is the fixture-based mock and caches and usage live in memory.
+ * Firebase gets placeholder settings so services load; tests replace the
+ * Firestore calls they reach.
+ */
+const defaults = {
+    FIREBASE_PROJECT_ID: 'test-project',
+    FIREBASE_API_KEY: 'test-key',
+    LLM_PROVIDER: 'mock',
+    EXTRACTION_CACHE: 'none',
+    USAGE_STORE: 'memory',
+    AUTH_VERIFIER: 'local',
+    JWT_SECRET: 'test-secret'
+};
+
+Object.entries(defaults).forEach(([name, value]) => {
+    if (process.env[name] === undefined) {
+        process.env[name] = value;
+    }
+});
+
+// Services log every step; keep test output to the results (TEST_LOGS=1 shows them)
+if (!process.env.TEST_LOGS) {
+    ['log', 'info', 'warn', 'error'].forEach(method => {
+        console[method] = () => {};
+    });
+}
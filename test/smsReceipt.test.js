@@ -0,0 +1,104 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const receiptService = require('../src/services/receiptService');
+const firebaseService = require('../src/services/firebaseService');
+const ruleService = require('../src/services/ruleService');
+const { MockProvider } = require('../src/services/llmProvider');
+const llmService = require('../src/services/llmService');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'llm');
+
+const original = {
+    getUserCategories: firebaseService.getUserCategories,
+    getUserProfile: firebaseService.getUserProfile,
+    getUserCategoryCorrections: firebaseService.getUserCategoryCorrections,
+    evaluateRules: ruleService.evaluateRules,
+    handleExpense: receiptService.handleExpense
+};
+
+let corrections;
+let rule;
+
+beforeEach(() => {
+    corrections = [];
+    rule = null;
+    firebaseService.getUserCategories = async () => null;
+    firebaseService.getUserProfile = async () => null;
+    firebaseService.getUserCategoryCorrections = async () => corrections;
+    ruleService.evaluateRules = async () => rule;
+    // Return what would be saved instead of saving it
+    receiptService.handleExpense = async (processedData) => processedData;
+});
+
+afterEach(() => {
+    Object.assign(firebaseService, {
+        getUserCategories: original.getUserCategories,
+        getUserProfile: original.getUserProfile,
+        getUserCategoryCorrections: original.getUserCategoryCorrections
+    });
+    ruleService.evaluateRules = original.evaluateRules;
+    receiptService.handleExpense = original.handleExpense;
+    llmService.setProvider(null);
+});
+
+/**
+ * A mock scenario, recording the labels of the calls made
+ */
+function useModel(scenario = 'default') {
+    const provider = new MockProvider(scenario, fixturesDir);
+    const labels = [];
+    const generate = provider.generate.bind(provider);
+    provider.generate = (contents, model, options) => {
+        labels.push(options.label);
+        return generate(contents, model, options);
+    };
+    llmService.setProvider(provider);
+    return labels;
+}
+
+const sms = (message) => ({ type: 'sms', data: { sender: 'ICICIB', message }, metadata: {} });
+
+test('a parsed SMS is categorized by Gemini from its merchant', async () => {
+    const labels = useModel();
+
+    const data = await receiptService.processReceipt(sms('INR 1,250.00 spent on ICICI Bank Card XX1234 on 24-Jan-25 at AMAZON. Avl Limit: INR 50,000'), 'user-1');
+
+    assert.strictEqual(data.parser, 'sms_template:card_spend');
+    assert.deepStrictEqual(labels, ['merchant categorization']);
+    assert.strictEqual(data.category, 'shopping');
+    assert.strictEqual(data.category_source, 'model');
+});
+
+test('a learned mapping or a rule saves the categorization call', async () => {
+    const labels = useModel();
+    corrections = [{ merchant_key: 'amazon', merchant: 'AMAZON', category: 'entertainment', subcategory: null, correction_count: 2 }];
+
+    const learned = await receiptService.processReceipt(sms('INR 499 spent on ICICI Bank Card XX1234 on 24-Jan-25 at AMAZON'), 'user-1');
+    assert.strictEqual(learned.category, 'entertainment');
+    assert.strictEqual(learned.category_source, 'learned');
+
+    corrections = [];
+    rule = { category: 'transport', subcategory: null, rule_id: 'rule-1', rule_name: 'Card spends' };
+    await receiptService.processReceipt(sms('INR 499 spent on ICICI Bank Card XX1234 on 24-Jan-25 at AMAZON'), 'user-1');
+
+    assert.deepStrictEqual(labels, []);
+});
+
+test('a failed categorization keeps the parsed payment', async () => {
+    useModel('unavailable');
+
+    const data = await receiptService.processReceipt(sms('INR 1,250.00 spent on ICICI Bank Card XX1234 on 24-Jan-25 at AMAZON'), 'user-1');
+
+    assert.strictEqual(data.amount, 1250);
+    assert.strictEqual(data.category, 'other');
+});
+
+test('the parsed merchant is sanitized like model output', async () => {
+    useModel();
+
+    const data = await receiptService.processReceipt(sms('INR 1,250.00 spent on ICICI Bank Card XX1234 at <b>Refund Desk</b>{call now} on 24-Jan-25'), 'user-1');
+
+    assert.strictEqual(data.merchant, 'b Refund Desk /b call now');
+    assert.ok(data.safety_flags.includes('merchant_sanitized'));
+});
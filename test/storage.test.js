@@ -0,0 +1,83 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStorage } = require('../src/services/storageProvider');
+const storageService = require('../src/services/storageService');
+const receiptService = require('../src/services/receiptService');
+const receiptController = require('../src/controllers/receiptController');
+
+const savedEnv = { ...process.env };
+const originalGetSourceFile = receiptService.getTransactionSourceFile;
+
+afterEach(() => {
+    process.env = { ...savedEnv };
+    receiptService.getTransactionSourceFile = originalGetSourceFile;
+    storageService.setStorage(null);
+});
+
+const pdf = Buffer.from('%PDF-1.4\n%test\n');
+
+function useLocalStorage() {
+    const storage = new LocalStorage(fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-')));
+    storageService.setStorage(storage);
+    return storage;
+}
+
+test('stores uploads under the user prefix and reads them back', async () => {
+    useLocalStorage();
+
+    const uri = await storageService.saveUpload('user_1', { buffer: pdf, mimeType: 'application/pdf', name: 'bill.pdf' });
+    assert.match(uri, /^local:\/\/receipts\/user_1\/\d{4}-\d{2}\/[0-9a-f-]+\.pdf$/);
+
+    const file = await storageService.readFile('user_1', uri);
+    assert.deepStrictEqual(file.content, pdf);
+    assert.strictEqual(file.contentType, 'application/pdf');
+});
+
+test("refuses another user's files", async () => {
+    useLocalStorage();
+
+    const uri = await storageService.saveUpload('user_1', { buffer: pdf, mimeType: 'application/pdf' });
+    await assert.rejects(() => storageService.readFile('user_2', uri), /Unauthorized/);
+});
+
+test('refuses keys that escape the storage directory', async () => {
+    const storage = useLocalStorage();
+
+    await assert.rejects(() => storage.save('../outside.pdf', pdf), /Invalid storage key/);
+    await assert.rejects(() => storageService.readFile('user_1', 'local://receipts/user_1/../user_2/x.pdf'), /not found/);
+});
+
+test('production refuses to default to local storage', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.STORAGE_BUCKET;
+    storageService.setStorage(null);
+
+    assert.throws(() => storageService.getStorage(), /Storage is not configured/);
+
+    process.env.STORAGE_DRIVER = 'local';
+    assert.ok(storageService.getStorage() instanceof LocalStorage);
+});
+
+test('stored files are served with nosniff', async () => {
+    receiptService.getTransactionSourceFile = async () => ({ content: pdf, contentType: 'application/pdf', name: 'bill.pdf' });
+    const headers = {};
+    const res = {
+        set(name, value) {
+            headers[name] = value;
+        },
+        send(body) {
+            this.body = body;
+            return this;
+        }
+    };
+
+    await receiptController.getTransactionSource({ user: { uid: 'user_1' }, params: { id: 'tx-1', index: '0' } }, res);
+
+    assert.strictEqual(headers['X-Content-Type-Options'], 'nosniff');
+    assert.strictEqual(headers['Content-Type'], 'application/pdf');
+    assert.deepStrictEqual(res.body, pdf);
+});
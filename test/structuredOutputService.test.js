@@ -0,0 +1,92 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const structuredOutputService = require('../src/services/structuredOutputService');
+const llmService = require('../src/services/llmService');
+
+afterEach(() => llmService.setProvider(null));
+
+const schema = {
+    type: 'OBJECT',
+    properties: {
+        merchant: { type: 'STRING' },
+        amount: { type: 'NUMBER', minimum: 0 },
+        kind: { type: 'STRING', enum: ['expense', 'refund'] },
+        note: { type: 'STRING', nullable: true }
+    },
+    required: ['merchant', 'amount', 'kind']
+};
+
+/**
+ * Provider answering with the given texts in turn, recording each request
+ */
+function useResponses(...responses) {
+    const requests = [];
+    llmService.setProvider({
+        generate: async (contents, model, options) => {
+            requests.push({ contents, options });
+            return responses[requests.length - 1];
+        },
+        getStatus: () => ({})
+    });
+    return requests;
+}
+
+const generate = () => structuredOutputService.generate([{ parts: [{ text: 'Receipt' }] }], {
+    model: 'gemini-2.5-flash',
+    schema,
+    label: 'test extraction'
+});
+
+test('a valid response is returned after one call', async () => {
+    const requests = useResponses('{"merchant":"DMart","amount":450,"kind":"expense","note":null}');
+
+    assert.deepStrictEqual(await generate(), { merchant: 'DMart', amount: 450, kind: 'expense', note: null });
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].options.responseSchema, schema);
+});
+
+test('a fenced JSON response is accepted', async () => {
+    useResponses('```json\n{"merchant":"DMart","amount":450,"kind":"refund"}\n```');
+
+    assert.strictEqual((await generate()).kind, 'refund');
+});
+
+test('an invalid response is sent back with its errors and the repair is used', async () => {
+    const invalid = '{"merchant":"DMart","amount":-5,"kind":"purchase"}';
+    const requests = useResponses(invalid, '{"merchant":"DMart","amount":5,"kind":"expense"}');
+
+    assert.strictEqual((await generate()).amount, 5);
+    assert.strictEqual(requests.length, 2);
+
+    const [, answer, repair] = requests[1].contents;
+    assert.deepStrictEqual(answer, { role: 'model', parts: [{ text: invalid }] });
+    assert.match(repair.parts[0].text, /response\.amount must be at least 0/);
+    assert.match(repair.parts[0].text, /response\.kind must be one of: expense, refund/);
+});
+
+test('unparseable JSON is repaired like a schema error', async () => {
+    const requests = useResponses('{"merchant": "DMart",', '{"merchant":"DMart","amount":1,"kind":"expense"}');
+
+    assert.strictEqual((await generate()).merchant, 'DMart');
+    assert.match(requests[1].contents[2].parts[0].text, /response is not valid JSON/);
+});
+
+test('a response still invalid after repair is rejected', async () => {
+    const requests = useResponses('{"merchant":"DMart"}', '{"merchant":"DMart","amount":"450"}');
+
+    await assert.rejects(generate(), /Invalid test extraction from Gemini API: response\.kind is required; response\.amount must be a number/);
+    assert.strictEqual(requests.length, 2);
+});
+
+test('validation covers nullability, integers, dates and array sizes', () => {
+    const validate = (value, fieldSchema) => structuredOutputService.validate(value, fieldSchema);
+
+    assert.deepStrictEqual(validate(null, { type: 'STRING', nullable: true }), []);
+    assert.deepStrictEqual(validate(null, { type: 'STRING' }), ['response must not be null']);
+    assert.deepStrictEqual(validate(1.5, { type: 'INTEGER' }), ['response must be an integer']);
+    assert.deepStrictEqual(validate(NaN, { type: 'NUMBER' }), ['response must be a number']);
+    assert.deepStrictEqual(validate('yesterday', { type: 'STRING', format: 'date-time' }), ['response must be an ISO 8601 date-time']);
+    assert.deepStrictEqual(validate([], { type: 'ARRAY', minItems: 1, items: { type: 'STRING' } }), ['response must have at least 1 items']);
+    assert.deepStrictEqual(validate(['a', 2], { type: 'ARRAY', items: { type: 'STRING' } }), ['response[1] must be a string']);
+    assert.deepStrictEqual(validate([1, 2], { type: 'OBJECT' }), ['response must be an object']);
+});
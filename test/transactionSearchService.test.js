@@ -0,0 +1,58 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const transactionSearchService = require('../src/services/transactionSearchService');
+const receiptService = require('../src/services/receiptService');
+const firebaseService = require('../src/services/firebaseService');
+
+const original = {
+    getUserTransactions: firebaseService.getUserTransactions,
+    scanLimit: transactionSearchService.scanLimit
+};
+
+afterEach(() => {
+    firebaseService.getUserTransactions = original.getUserTransactions;
+    transactionSearchService.scanLimit = original.scanLimit;
+});
+
+const transactions = [
+    { id: 'inr', merchant: 'DMart', amount: 2000, currency: 'INR', home_amount: 2000, home_currency: 'INR', timestamp: '2025-03-03T10:00:00Z' },
+    { id: 'usd', merchant: 'Apple', amount: 30, currency: 'USD', home_amount: 2550, home_currency: 'INR', timestamp: '2025-03-02T10:00:00Z' },
+    { id: 'eur', merchant: 'Cafe', amount: 5, currency: 'EUR', home_amount: 460, home_currency: 'INR', timestamp: '2025-03-01T10:00:00Z' },
+    { id: 'unconverted', merchant: 'Kiosk', amount: 100, currency: 'XYZ', timestamp: '2025-02-28T10:00:00Z' }
+];
+
+test('amount filters and sorting compare home-currency amounts', async () => {
+    firebaseService.getUserTransactions = async () => transactions;
+
+    const result = await transactionSearchService.searchTransactions('user-1', { minAmount: 1000, sort: 'amount_desc' });
+
+    assert.deepStrictEqual(result.transactions.map(transaction => transaction.id), ['usd', 'inr']);
+});
+
+test('transactions without a home amount fall back to their own amount', async () => {
+    firebaseService.getUserTransactions = async () => transactions;
+
+    const result = await transactionSearchService.searchTransactions('user-1', { maxAmount: 200 });
+
+    assert.deepStrictEqual(result.transactions.map(transaction => transaction.id), ['unconverted']);
+});
+
+test('with a currency filter amounts are in that currency', async () => {
+    firebaseService.getUserTransactions = async () => transactions;
+
+    const result = await transactionSearchService.searchTransactions('user-1', { currency: 'USD', maxAmount: 50 });
+
+    assert.deepStrictEqual(result.transactions.map(transaction => transaction.id), ['usd']);
+});
+
+test('the transactions response says when the search scan was truncated', async () => {
+    transactionSearchService.scanLimit = 4;
+    firebaseService.getUserTransactions = async () => transactions;
+
+    const truncated = await receiptService.getUserTransactions('user-1', { merchant: 'a' });
+    assert.strictEqual(truncated.scan_truncated, true);
+
+    transactionSearchService.scanLimit = 1000;
+    const complete = await receiptService.getUserTransactions('user-1', { merchant: 'a' });
+    assert.strictEqual(complete.scan_truncated, false);
+});